@@ -0,0 +1,149 @@
+// scripts/benchmarkStability.js
+// Compares the incremental stability calculation with the full one.
+// Plays a seeded game per ruleset, records every board the stability system
+// would see (with the locked history below it, so the history stress is
+// compared too), checks that both calculations give identical results for
+// each of them and times both. Run with: npm run bench:stability
+import { createGame, startGame, applyInput, step, GameInputs } from "../src/utils/engine/index.js";
+import { createRuleset, STANDARD_RULESET } from "../src/utils/ruleset.js";
+import { calculateStability, getStabilityResult } from "../src/utils/stability/instabilityCore.js";
+import { calculateStabilityIncremental } from "../src/utils/stability/incrementalStability.js";
+
+const RULESETS = [
+  STANDARD_RULESET,
+  createRuleset({ name: "wide", board: { towerWidth: 24 } }),
+  createRuleset({ name: "huge", board: { towerWidth: 40, visibleRows: 60 } }),
+];
+
+const FRAMES = 20000;
+const TIMING_RUNS = 5;
+const HISTORY_SWAP_INTERVAL = 7;
+
+const MOVES = [
+  GameInputs.MOVE_LEFT,
+  GameInputs.MOVE_RIGHT,
+  GameInputs.ROTATE,
+  GameInputs.HARD_DROP,
+  GameInputs.SOFT_DROP,
+];
+
+// Play a game with random moves and record every distinct board, along with
+// the structure of the history locked below it at the time
+function recordBoards(rules, seed) {
+  const state = createGame({ rules });
+  startGame(state, { seed });
+
+  const boards = [];
+  let last = "";
+  let lastHistory = null;
+  let random = seed;
+
+  for (let frame = 0; frame < FRAMES; frame++) {
+    random = (random * 16807) % 2147483647;
+    applyInput(state, { type: MOVES[random % MOVES.length] });
+    if (frame % 400 === 399) applyInput(state, { type: GameInputs.LOCK_SECTION });
+    step(state, 16);
+
+    const key = state.board.map(row => row.join("")).join("|");
+    if (key !== last || state.historyStructure !== lastHistory) {
+      boards.push({
+        board: state.board.map(row => [...row]),
+        historyStructure: state.historyStructure,
+      });
+      last = key;
+      lastHistory = state.historyStructure;
+    }
+  }
+
+  return boards;
+}
+
+function createScratchState(rules, { board, historyStructure } = { board: null, historyStructure: null }) {
+  return { board, rules, historyStructure, externalInstability: 0, stabilityCache: null };
+}
+
+// A section lock clears the active section, which makes the incremental
+// calculation start over anyway. To check that it notices a new history under
+// a board that barely changed, pair the boards with the locked histories in
+// turn, switching every few boards.
+function swapHistories(boards) {
+  const histories = [...new Set(boards.map(({ historyStructure }) => historyStructure))];
+  return boards.map(({ board }, index) => ({
+    board,
+    historyStructure: histories[Math.floor(index / HISTORY_SWAP_INTERVAL) % histories.length],
+  }));
+}
+
+// Point a reused scratch state at a recorded board and the history below it
+function moveTo(state, { board, historyStructure }) {
+  state.board = board;
+  state.historyStructure = historyStructure;
+}
+
+// Everything calculateStability stores on the state
+function snapshot(state, stability) {
+  return JSON.stringify(getStabilityResult(state, stability));
+}
+
+function countMismatches(rules, boards) {
+  const incremental = createScratchState(rules);
+  let mismatches = 0;
+
+  boards.forEach((recorded, index) => {
+    const full = createScratchState(rules, recorded);
+    const expected = snapshot(full, calculateStability(full));
+
+    moveTo(incremental, recorded);
+    const actual = snapshot(incremental, calculateStabilityIncremental(incremental));
+
+    if (actual !== expected) {
+      mismatches++;
+      if (mismatches === 1) console.log(`  first mismatch at board ${index}`);
+    }
+  });
+
+  return mismatches;
+}
+
+// Best average time per board (ms) over a few runs
+function time(boards, calculate) {
+  let best = Infinity;
+  for (let run = 0; run < TIMING_RUNS; run++) {
+    const start = performance.now();
+    calculate(boards);
+    best = Math.min(best, (performance.now() - start) / boards.length);
+  }
+  return best;
+}
+
+let failed = false;
+
+for (const rules of RULESETS) {
+  const { towerWidth, visibleRows } = rules.board;
+  const boards = recordBoards(rules, 42);
+  const onHistory = boards.filter(({ historyStructure }) => historyStructure).length;
+  console.log(`${rules.name} (${towerWidth} wide, ${visibleRows} rows): ${boards.length} boards, ${onHistory} on a locked history`);
+
+  const mismatches = countMismatches(rules, boards) + countMismatches(rules, swapHistories(boards));
+  failed = failed || mismatches > 0;
+
+  const fullTime = time(boards, list => {
+    list.forEach(recorded => calculateStability(createScratchState(rules, recorded)));
+  });
+  const incrementalTime = time(boards, list => {
+    const state = createScratchState(rules);
+    list.forEach(recorded => {
+      moveTo(state, recorded);
+      calculateStabilityIncremental(state);
+    });
+  });
+
+  console.log(`  full:        ${fullTime.toFixed(3)} ms per board`);
+  console.log(`  incremental: ${incrementalTime.toFixed(3)} ms per board (${(fullTime / incrementalTime).toFixed(1)}x)`);
+  console.log(`  mismatches:  ${mismatches}`);
+}
+
+if (failed) {
+  console.log("Incremental results differ from the full calculation");
+  process.exit(1);
+}
@@ -0,0 +1,70 @@
+// scripts/checkStability.js
+// Regression checks for the stability scoring. Drops every piece of the
+// standard set flat (in its spawn rotation) onto an empty tower, in every
+// column where it fits, and checks what such a harmless placement must never
+// cost. Run with: npm run check:stability
+import { createGame, startGame, applyInput, GameInputs, GameEvents } from "../src/utils/engine/index.js";
+import { spawnPieceOfType } from "../src/utils/spawn.js";
+import { calculateLoadPenalty } from "../src/utils/stability/loadAnalysis.js";
+import { MAX_INSTABILITY } from "../src/utils/stability/instabilityCore.js";
+
+const SEED = 42;
+
+// Drop one piece of a type at column x onto an empty tower
+function dropFlat(type, x) {
+  const state = createGame({ deferStability: false });
+  startGame(state, { seed: SEED });
+  spawnPieceOfType(state, type);
+  state.activePiece.x = x;
+  const events = applyInput(state, { type: GameInputs.HARD_DROP });
+  return { state, events };
+}
+
+// Every flat opening placement on the standard tower
+function* flatPlacements() {
+  const state = createGame();
+  const { gutterWidth, towerWidth } = state.rules.board;
+
+  for (const type of Object.keys(state.shapes)) {
+    spawnPieceOfType(state, type);
+    const width = state.activePiece.shape[0].length;
+    for (let x = gutterWidth; x + width <= gutterWidth + towerWidth; x++) {
+      yield { type, x, ...dropFlat(type, x) };
+    }
+  }
+}
+
+const CHECKS = [
+  {
+    name: "a flat single placement costs no load penalty",
+    test: ({ state }) => calculateLoadPenalty(state.loadAnalysis, state.rules) === 0,
+    describe: ({ state }) => `load penalty ${calculateLoadPenalty(state.loadAnalysis, state.rules).toFixed(2)}`,
+  },
+  {
+    name: "a flat opening placement does not collapse",
+    test: ({ events }) => !events.some(event => event.type === GameEvents.TOWER_COLLAPSED),
+    describe: ({ state }) => `collapsed at instability ${state.instability.toFixed(1)}`,
+  },
+  {
+    name: "a flat opening placement keeps the stability a streak needs",
+    test: ({ state }) => MAX_INSTABILITY - state.instability >= state.rules.abilityEconomy.streakStability,
+    describe: ({ state }) => `stability ${(MAX_INSTABILITY - state.instability).toFixed(1)}`,
+  },
+];
+
+let failed = 0;
+const placements = [...flatPlacements()];
+
+for (const check of CHECKS) {
+  const failures = placements.filter(placement => !check.test(placement));
+  console.log(`${failures.length === 0 ? "ok  " : "FAIL"} ${check.name} (${placements.length} placements)`);
+  failures.slice(0, 5).forEach(placement => {
+    console.log(`     ${placement.type} at x=${placement.x}: ${check.describe(placement)}`);
+  });
+  failed += failures.length > 0 ? 1 : 0;
+}
+
+if (failed > 0) {
+  console.log(`${failed} stability check(s) failed`);
+  process.exit(1);
+}
@@ -1,19 +1,54 @@
 // main.js
 import Phaser from "phaser";
-import { setupBoard } from "./utils/create.js";
-import { lockTowerSection } from "./utils/lock.js";
-import { updateAbilityText, updateSidebarText } from "./utils/ui.js";
-import { spawnTetromino } from "./utils/spawn.js";
-import { drawPiece, drawGhostPiece, clearActiveBlocks } from "./utils/draw.js";
-import { movePiece, rotatePiece, dropPiece } from "./utils/move.js";
-import { checkCollision, checkCollisionAt } from "./utils/collision.js";
-import { lockPiece } from "./utils/place.js";
-import { TETROMINO_SHAPES, JLSTZ_KICKS, GRID_SIZE, BOARD_WIDTH, BOARD_HEIGHT } from "./utils/constants.js";
-import { shakeScreen, flashScreen } from "./utils/animHelpers.js";
-import { createClient, joinRoom, setupMessageHandlers, sendRoomMessage, useAbility } from "./utils/networkHelpers.js";
-import { checkTowerHeight } from "./utils/towerHelpers.js";
-import { initializePreviewQueue } from "./utils/pieceHelpers.js";
-import { calculateStability, updateStabilityEffects } from "./utils/instabilityHelpers.js";
+import { setupBoard, toggleDebugMode, toggleLoadDebugMode } from "./utils/create.js";
+import { updateSidebarText, updateTargetText } from "./utils/ui.js";
+import { GRID_SIZE } from "./utils/constants.js";
+import { createClient, joinRoom, setupMessageHandlers, updateTargetMarker } from "./utils/networkHelpers.js";
+import { cycleTargetMode } from "./utils/targeting.js";
+import { renderPreviewQueue } from "./utils/pieceHelpers.js";
+import { createGame, startGame, applyInput, step, GameInputs } from "./utils/engine/index.js";
+import { createGameView, renderEvents } from "./utils/gameView.js";
+import { createInputRepeater } from "./utils/inputRepeater.js";
+import { getDropInterval } from "./utils/abilities.js";
+import {
+  loadBindings,
+  saveBindings,
+  loadHandling,
+  saveHandling,
+  createKeyLookup,
+  normalizeKey,
+} from "./utils/controls.js";
+import { createControlsMenu, openControlsMenu, closeControlsMenu, handleControlsMenuKey } from "./utils/controlsMenu.js";
+import { createGamepadPoller } from "./utils/gamepadControls.js";
+import { setupTouchGameplay } from "./utils/touchControls.js";
+import { floatMessage } from "./utils/animHelpers.js";
+import { createRuleset, fetchRuleset } from "./utils/ruleset.js";
+import { createStabilityAnalyzer } from "./utils/stability/stabilityAnalyzer.js";
+import { MATERIAL_TEXTURES } from "./utils/materials.js";
+
+// Bound actions whose held repeat is handled by the input repeater
+const REPEAT_ACTIONS = {
+  moveLeft: "left",
+  moveRight: "right",
+  softDrop: "softDrop",
+};
+
+// Engine inputs for the remaining gameplay actions
+const ACTION_INPUTS = {
+  hardDrop: { type: GameInputs.HARD_DROP },
+  rotateCW: { type: GameInputs.ROTATE },
+  rotateCCW: { type: GameInputs.ROTATE_CCW },
+  rotate180: { type: GameInputs.ROTATE_180 },
+  hold: { type: GameInputs.HOLD },
+  lockSection: { type: GameInputs.LOCK_SECTION },
+  windGust: { type: GameInputs.USE_ABILITY, ability: "windGust" },
+  earthShake: { type: GameInputs.USE_ABILITY, ability: "earthShake" },
+  gravityWell: { type: GameInputs.USE_ABILITY, ability: "gravityWell" },
+  wobbleCurse: { type: GameInputs.USE_ABILITY, ability: "wobbleCurse" },
+  shield: { type: GameInputs.USE_ABILITY, ability: "shield" },
+  reinforce: { type: GameInputs.USE_ABILITY, ability: "reinforce" },
+  counterAttack: { type: GameInputs.USE_ABILITY, ability: "counterAttack" },
+};
 
 let client, room;
 
@@ -22,104 +57,179 @@ class GameScene extends Phaser.Scene {
     super("GameScene");
   }
 
+  // The ruleset is chosen before the game boots (see loadStartupRuleset)
+  init(data) {
+    this.rules = data.rules || createRuleset();
+  }
+
   preload() {
     this.load.image("block", "./assets/block-v1.png");
+    Object.entries(MATERIAL_TEXTURES).forEach(([key, path]) => this.load.image(key, path));
   }
 
   async create() {
+    // The engine owns all game state, the scene only renders its events.
+    // Stability is calculated in a worker and comes back as an engine input.
+    this.state = createGame({ rules: this.rules, deferStability: true });
+    this.stabilityAnalyzer = createStabilityAnalyzer();
+    this.events.once("shutdown", () => this.stabilityAnalyzer.dispose());
+    this.view = createGameView(this);
+    this.bindings = loadBindings();
+    this.handling = loadHandling();
+    this.keyLookup = createKeyLookup(this.bindings);
     setupBoard(this);
-    this.kicks = JLSTZ_KICKS;
-    
+    createControlsMenu(this);
+
     // Setup networking
     client = createClient();
     room = await joinRoom(client, "normal", { userId: "u123", username: "PlayerOne" });
     this.room = room;
-    
+
     // Setup message handlers
-    setupMessageHandlers(room, this, TETROMINO_SHAPES);
-    
-    // Initialize preview queue
-    initializePreviewQueue(this, TETROMINO_SHAPES, this.previewSize);
+    setupMessageHandlers(room, this, this.state.shapes);
 
+    // Show the initial preview queue
+    renderPreviewQueue(this, this.state.shapes);
+
+    // Held movement repeats on the game loop (DAS/ARR), not OS key repeat
+    this.repeater = createInputRepeater(this.handling, this.rules.board);
+    this.game.events.on("blur", () => this.repeater.reset());
+
+    // Every key goes through the binding map (see utils/controls.js)
     this.input.keyboard.on("keydown", (event) => {
-      const ability = this.abilityKeys[event.key];
-      if (ability === "lockNow" && this.lockReady) {
-        lockTowerSection(this);
-        // lockReady will be set to false by resetCharge
-        updateSidebarText(this);
-        return;
-      }
-      if (ability && this.abilities.includes(ability)) {
-        // Use ability helper instead of inline code
-        useAbility(this, ability);
-        updateAbilityText(this);
-      }
-      if (!this.activePiece) return;
-
-      if (event.key === "ArrowLeft" || event.key === "a") movePiece(this, -1);
-      else if (event.key === "ArrowRight" || event.key === "d") movePiece(this, 1);
-      else if (event.key === "ArrowDown" || event.key === "s") dropPiece(this);
-      else if (event.key === "ArrowUp" || event.key === "w") rotatePiece(this);
-      else if (event.key === " ") {
-        let dropY = this.activePiece.y;
-        while (!checkCollisionAt(this, this.activePiece.x, dropY + 1, this.activePiece.shape)) dropY++;
-        this.activePiece.y = dropY;
-        drawPiece(this);
-        const locked = lockPiece(this);
-        if (locked) spawnTetromino(this, TETROMINO_SHAPES);
-      }
+      if (handleControlsMenuKey(this, event) || event.repeat) return;
+      this.pressAction(this.keyLookup[normalizeKey(event.key)]);
+    });
+
+    this.input.keyboard.on("keyup", (event) => {
+      this.releaseAction(this.keyLookup[normalizeKey(event.key)]);
     });
 
+    // Controllers are polled every frame in update()
+    this.gamepads = createGamepadPoller();
+
+    // Swipe/tap gestures on the board and the optional button overlay
+    setupTouchGameplay(this);
+
     this.time.delayedCall(3000, () => {
-      //this.abilities.push("windGust", "earthShake");
-      updateAbilityText(this);
       updateSidebarText(this);
     });
   }
-  
-  // Add update method to continuously check tower height
-  update() {
-    // Check tower height periodically
-    if (this.activePiece) {
-      checkTowerHeight(this);
+
+  // Apply held-key repeats, then advance the engine (gravity, lock delay,
+  // auto-lock and collapse timers) every frame
+  update(time, delta) {
+    if (!this.state) return;
+
+    if (this.gamepads && this.input.gamepad) {
+      this.pollGamepads();
+    }
+
+    // The game pauses behind the controls menu (gravity, lock delay, timers)
+    if (this.controlsMenu && this.controlsMenu.isOpen) return;
+
+    if (this.repeater && this.state.activePiece) {
+      const dropSpeed = getDropInterval(this.state);
+      this.repeater.update(delta, dropSpeed).forEach(input => this.dispatch(input));
     }
+    renderEvents(this, step(this.state, delta));
   }
 
-  checkCollision() {
-    return checkCollision(this);
+  // Apply an input to the engine and render the resulting events
+  dispatch(input) {
+    renderEvents(this, applyInput(this.state, input));
   }
 
-  checkCollisionAt(x, y, shape) {
-    return checkCollisionAt(this, x, y, shape);
+  // Start a bound action (from a key or controller button)
+  pressAction(action) {
+    // Gameplay waits while the controls menu pauses the game (e.g. ability bar clicks)
+    if (this.controlsMenu.isOpen && (REPEAT_ACTIONS[action] || ACTION_INPUTS[action])) return;
+
+    if (REPEAT_ACTIONS[action]) {
+      this.repeater.press(REPEAT_ACTIONS[action]).forEach(input => this.dispatch(input));
+    } else if (ACTION_INPUTS[action]) {
+      this.dispatch(ACTION_INPUTS[action]);
+    } else if (action === "cycleTarget") {
+      cycleTargetMode(this.targeting);
+      updateTargetText(this);
+      updateTargetMarker(this);
+    } else if (action === "toggleDebug") {
+      toggleDebugMode(this);
+    } else if (action === "toggleLoadDebug") {
+      toggleLoadDebugMode(this);
+    } else if (action === "openControls") {
+      openControlsMenu(this);
+    }
   }
 
-  clearActiveBlocks() {
-    clearActiveBlocks(this);
+  // Stop a held action
+  releaseAction(action) {
+    if (REPEAT_ACTIONS[action]) this.repeater.release(REPEAT_ACTIONS[action]);
   }
 
-  drawGhostPiece() {
-    drawGhostPiece(this);
+  // Route controller button and stick changes to the bound actions
+  pollGamepads() {
+    const edges = this.gamepads.poll(this.input.gamepad.getAll());
+
+    edges.forEach(({ action, pressed, pad }) => {
+      if (!pressed) {
+        this.releaseAction(action);
+      } else if (this.controlsMenu.isOpen) {
+        // Rebinding is keyboard only, but the start button closes the menu
+        if (action === "openControls") closeControlsMenu(this);
+      } else if (action === "cycleProfile") {
+        const profile = this.gamepads.cycleProfile(pad);
+        floatMessage(this, `Controller ${pad.index + 1}: ${profile.label}`, { fontSize: "18px", fill: "#88ccff" });
+      } else {
+        this.pressAction(action);
+      }
+    });
   }
 
-  drawPiece() {
-    drawPiece(this);
+  // Replace the key bindings, save them and refresh key hints in the sidebar
+  setBindings(bindings) {
+    this.bindings = bindings;
+    this.keyLookup = createKeyLookup(bindings);
+    saveBindings(bindings);
+    this.repeater.reset();
+    updateSidebarText(this);
   }
 
-  lockPiece() {
-    return lockPiece(this);
+  // Replace the held key handling (DAS, ARR, soft drop factor) and save it
+  setHandling(handling) {
+    this.handling = handling;
+    saveHandling(handling);
+    this.repeater = createInputRepeater(handling, this.rules.board);
   }
 
-  spawnTetromino() {
-    spawnTetromino(this, TETROMINO_SHAPES);
+  startGame(options) {
+    renderEvents(this, startGame(this.state, options));
   }
 }
 
-const config = {
-  type: Phaser.AUTO,
-  width: GRID_SIZE * BOARD_WIDTH + 200,
-  height: GRID_SIZE * BOARD_HEIGHT,
-  backgroundColor: "#1e1e1e",
-  scene: [GameScene]
-};
+// Pick a ruleset with ?ruleset=<name>, loaded from public/rulesets/<name>.json
+async function loadStartupRuleset() {
+  const name = new URLSearchParams(window.location.search).get("ruleset");
+  if (!name) return createRuleset();
+
+  try {
+    return await fetchRuleset(`./rulesets/${encodeURIComponent(name)}.json`);
+  } catch (error) {
+    console.warn(`Falling back to the standard ruleset: ${error.message}`);
+    return createRuleset();
+  }
+}
 
-const game = new Phaser.Game(config);
\ No newline at end of file
+// The canvas size depends on the board, so the game boots once the ruleset is known
+loadStartupRuleset().then(rules => {
+  const config = {
+    type: Phaser.AUTO,
+    width: GRID_SIZE * rules.board.width + 200,
+    height: GRID_SIZE * rules.board.height,
+    backgroundColor: "#1e1e1e",
+    input: { gamepad: true }
+  };
+
+  const game = new Phaser.Game(config);
+  game.scene.add("GameScene", GameScene, true, { rules });
+});
\ No newline at end of file
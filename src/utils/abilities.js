@@ -0,0 +1,172 @@
+// utils/abilities.js
+// What the multiplayer abilities do to the player they hit. A hit arrives as
+// a RECEIVE_ABILITY input carrying the seed from its message
+// (abilityMessages.js). Every random choice comes from that seed, so a hit
+// plays out the same way wherever it is replayed (tuned by rules.abilities):
+//
+// windGust: pushes the active piece one column every windInterval ms,
+//   windPushes times, all in the same seeded direction
+// earthShake: knocks blocks in the top shakeRows rows of the tower one column
+//   sideways (each with shakeChance), loosening the top of the stack
+// gravityWell: pieces fall gravityMultiplier times as fast for gravityDuration ms
+// wobbleCurse: for wobbleDuration ms each rotation turns the wrong way with wobbleChance
+import { GameEvents } from "./engine/events.js";
+import { createRng } from "./randomizer.js";
+import { checkCollision } from "./collision.js";
+import { findTopRow } from "./boardHelpers.js";
+import { getDropSpeed } from "./levelHelpers.js";
+import { refreshStability } from "./stability/stabilityUpdates.js";
+import { isAbility } from "./abilityMessages.js";
+
+// Tint and label of every ability, the defensive ones (defenses.js) included
+export const ABILITIES = {
+  windGust: { tint: 0x99ddff, label: "WIND GUST" },
+  earthShake: { tint: 0xcc8844, label: "EARTH SHAKE" },
+  gravityWell: { tint: 0xaa66ff, label: "GRAVITY WELL" },
+  wobbleCurse: { tint: 0x66ff99, label: "WOBBLE CURSE" },
+  shield: { tint: 0xeeeeee, label: "SHIELD" },
+  reinforce: { tint: 0x6688ff, label: "REINFORCE" },
+  counterAttack: { tint: 0xff8866, label: "COUNTER-ATTACK" },
+};
+
+// Apply an opponent's ability. Lasting effects are kept in
+// state.abilityEffects and run down in tickAbilityEffects.
+export function receiveAbility(state, { ability, seed, from = null }) {
+  if (!isAbility(ability)) return [];
+
+  const rules = state.rules.abilities;
+  const rng = createRng(`${seed}:${ability}`);
+  const hit = { type: GameEvents.ABILITY_HIT, ability, from };
+
+  if (ability === "windGust") {
+    const direction = rng() < 0.5 ? -1 : 1;
+    state.abilityEffects.push({ ability, direction, pushesLeft: rules.windPushes, timer: 0 });
+    return [{ ...hit, direction, duration: rules.windPushes * rules.windInterval }];
+  }
+
+  if (ability === "earthShake") {
+    const moved = shakeTopRows(state, rng);
+    const events = [{ ...hit, moved }];
+    if (moved.length > 0 && state.cellStability) {
+      events.push(...refreshStability(state));
+    }
+    return events;
+  }
+
+  const duration = ability === "gravityWell" ? rules.gravityDuration : rules.wobbleDuration;
+  state.abilityEffects.push({ ability, remaining: duration, rng });
+  return [{ ...hit, duration }];
+}
+
+// Advance the lasting effects by delta milliseconds
+export function tickAbilityEffects(state, delta) {
+  const events = [];
+
+  state.abilityEffects = state.abilityEffects.filter(effect => {
+    if (effect.ability === "windGust") {
+      events.push(...blowWind(state, effect, delta));
+      if (effect.pushesLeft > 0) return true;
+    } else {
+      effect.remaining -= delta;
+      if (effect.remaining > 0) return true;
+    }
+
+    events.push({ type: GameEvents.ABILITY_EXPIRED, ability: effect.ability });
+    return false;
+  });
+
+  return events;
+}
+
+// Whether an ability's lasting effect is running
+export function isAbilityActive(state, ability) {
+  return state.abilityEffects.some(effect => effect.ability === ability);
+}
+
+// Milliseconds between gravity drops, shortened by a gravity well
+export function getDropInterval(state) {
+  const dropSpeed = getDropSpeed(state.level, state.rules.gravity);
+  return isAbilityActive(state, "gravityWell") ? dropSpeed / state.rules.abilities.gravityMultiplier : dropSpeed;
+}
+
+// Quarter turns a rotation input really makes. Under the wobble curse it
+// sometimes turns the other way (a 180 becomes a seeded quarter turn).
+export function getWobbleTurns(state, turns) {
+  const curse = state.abilityEffects.find(effect => effect.ability === "wobbleCurse");
+  if (!curse || curse.rng() >= state.rules.abilities.wobbleChance) return turns;
+
+  if (turns === 2) return curse.rng() < 0.5 ? 1 : -1;
+  return -turns;
+}
+
+// Push the active piece once per windInterval. Pushes blocked by a wall or
+// while no piece is falling are used up all the same. Wind doesn't count as
+// a move, so it never restarts the lock delay.
+function blowWind(state, effect, delta) {
+  const { windInterval } = state.rules.abilities;
+  const events = [];
+
+  effect.timer += delta;
+  while (effect.pushesLeft > 0 && effect.timer >= windInterval) {
+    effect.timer -= windInterval;
+    effect.pushesLeft--;
+
+    const piece = state.activePiece;
+    if (!piece) continue;
+    piece.x += effect.direction;
+    if (checkCollision(state)) {
+      piece.x -= effect.direction;
+      continue;
+    }
+    piece.lastKick = null;
+    events.push({ type: GameEvents.PIECE_MOVED, piece: { ...piece } });
+  }
+
+  return events;
+}
+
+// Knock blocks in the top rows one column to a free side. The foundation
+// stays put, and nothing moves into the falling piece or while the tower is
+// already collapsing.
+function shakeTopRows(state, rng) {
+  const { gutterWidth, towerWidth, cutOffRow } = state.rules.board;
+  const { shakeRows, shakeChance } = state.rules.abilities;
+  const topRow = findTopRow(state.board);
+  if (topRow === -1 || state.isCollapsing) return [];
+
+  const blocked = new Set(getActiveCells(state).map(({ x, y }) => `${x},${y}`));
+  const moved = [];
+
+  for (let y = topRow; y < Math.min(topRow + shakeRows, cutOffRow - 1); y++) {
+    for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
+      if (!state.board[y][x] || blocked.has(`${x},${y}`)) continue;
+
+      // Both rolls happen for every block, so one block's move doesn't
+      // change what happens to the next
+      const loosened = rng() < shakeChance;
+      const dx = rng() < 0.5 ? -1 : 1;
+      const toX = x + dx;
+      const free = toX >= gutterWidth && toX < gutterWidth + towerWidth &&
+        !state.board[y][toX] && !blocked.has(`${toX},${y}`);
+      if (!loosened || !free) continue;
+
+      state.board[y][toX] = state.board[y][x];
+      state.board[y][x] = 0;
+      blocked.add(`${toX},${y}`); // Moved blocks are only shaken once
+      moved.push({ from: { x, y }, to: { x: toX, y } });
+    }
+  }
+
+  return moved;
+}
+
+function getActiveCells(state) {
+  const piece = state.activePiece;
+  if (!piece) return [];
+
+  const cells = [];
+  piece.shape.forEach((row, dy) => row.forEach((cell, dx) => {
+    if (cell) cells.push({ x: piece.x + dx, y: piece.y + dy });
+  }));
+  return cells;
+}
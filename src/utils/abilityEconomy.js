@@ -0,0 +1,116 @@
+// utils/abilityEconomy.js
+// How a player earns and spends abilities. Abilities are earned by clearing
+// lines, locking tower sections and stability streaks (rules.abilityEconomy),
+// held in state.abilities (up to maxStock uses of each) and picked with a
+// generator seeded from the game seed, so a replay earns the same ones.
+// Using one costs lock charge (rules.abilityCosts) and starts its cooldown
+// (rules.abilityCooldowns, milliseconds). Attacking abilities are sent to an
+// opponent by the view, defensive ones take effect here (defenses.js).
+import { GameEvents } from "./engine/events.js";
+import { ABILITY_TYPES } from "./abilityMessages.js";
+import { spendCharge } from "./chargeHelpers.js";
+import { DEFENSIVE_ABILITY_TYPES, applyDefense } from "./defenses.js";
+
+// Every ability a player can earn and use, attacking ones first
+export const PLAYER_ABILITIES = [...ABILITY_TYPES, ...DEFENSIVE_ABILITY_TYPES];
+
+// Spend an ability the player owns. Returns ABILITY_REJECTED with the reason
+// when it isn't owned, is cooling down or there isn't enough charge.
+export function useAbility(state, ability) {
+  if (!PLAYER_ABILITIES.includes(ability)) return [];
+
+  const cost = state.rules.abilityCosts[ability];
+  let reason = null;
+  if (!state.abilities.includes(ability)) reason = "notOwned";
+  else if (state.abilityCooldowns[ability] > 0) reason = "cooldown";
+  else if (state.chargeLevel < cost) reason = "charge";
+  if (reason) return [{ type: GameEvents.ABILITY_REJECTED, ability, reason }];
+
+  state.removeAbility(ability);
+  spendCharge(state, cost);
+  state.abilityCooldowns[ability] = state.rules.abilityCooldowns[ability];
+
+  return [
+    { type: GameEvents.ABILITY_USED, ability, abilities: [...state.abilities] },
+    { type: GameEvents.CHARGE_CHANGED, chargeLevel: state.chargeLevel, lockReady: state.lockReady },
+    ...applyDefense(state, ability),
+  ];
+}
+
+// Run the cooldowns down. Ticks every step while one is running, like the
+// lock delay, so the view can draw the cooldown indicators.
+export function tickAbilityCooldowns(state, delta) {
+  const cooling = PLAYER_ABILITIES.filter(ability => state.abilityCooldowns[ability] > 0);
+  if (cooling.length === 0) return [];
+
+  const events = [];
+  cooling.forEach(ability => {
+    state.abilityCooldowns[ability] = Math.max(0, state.abilityCooldowns[ability] - delta);
+    if (state.abilityCooldowns[ability] === 0) {
+      events.push({ type: GameEvents.ABILITY_READY, ability });
+    }
+  });
+  events.unshift({ type: GameEvents.ABILITY_COOLDOWN_TICK, cooldowns: { ...state.abilityCooldowns } });
+
+  return events;
+}
+
+// One ability for every linesPerAbility lines cleared
+export function earnFromLines(state, lines) {
+  const { linesPerAbility } = state.rules.abilityEconomy;
+  if (linesPerAbility === 0 || lines === 0) return [];
+
+  state.linesTowardAbility += lines;
+  const events = [];
+  while (state.linesTowardAbility >= linesPerAbility) {
+    state.linesTowardAbility -= linesPerAbility;
+    events.push(...earnAbility(state, "lines"));
+  }
+  return events;
+}
+
+// abilitiesPerLock abilities for every tower section lock
+export function earnFromSectionLock(state) {
+  const events = [];
+  for (let i = 0; i < state.rules.abilityEconomy.abilitiesPerLock; i++) {
+    events.push(...earnAbility(state, "sectionLock"));
+  }
+  return events;
+}
+
+// Count placements that leave the tower at streakStability or better. Only
+// the first stability update after a placement counts (attacks and collapses
+// update it too), and a streak of streakLength earns an ability.
+export function checkStabilityStreak(state, stability) {
+  if (!state.streakCheckPending) return [];
+  state.streakCheckPending = false;
+
+  const { streakLength, streakStability } = state.rules.abilityEconomy;
+  if (streakLength === 0) return [];
+
+  if (stability < streakStability) {
+    state.stabilityStreak = 0;
+    return [];
+  }
+
+  state.stabilityStreak++;
+  if (state.stabilityStreak < streakLength) return [];
+  state.stabilityStreak = 0;
+  return earnAbility(state, "streak");
+}
+
+// Uses of an ability the player holds
+export function getStock(state, ability) {
+  return state.abilities.filter(owned => owned === ability).length;
+}
+
+// Add a seeded pick among the abilities that aren't fully stocked
+function earnAbility(state, source) {
+  const { maxStock } = state.rules.abilityEconomy;
+  const open = PLAYER_ABILITIES.filter(ability => getStock(state, ability) < maxStock);
+  if (open.length === 0) return [];
+
+  const ability = open[Math.floor(state.abilityRng() * open.length)];
+  state.addAbility(ability);
+  return [{ type: GameEvents.ABILITY_EARNED, ability, source, abilities: [...state.abilities] }];
+}
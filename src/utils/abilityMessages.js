@@ -0,0 +1,102 @@
+// utils/abilityMessages.js
+// Message schema for abilities, shared by the client and the game server.
+// It only depends on the seeded randomizer so the server can import it as is.
+//
+// client -> server  "useAbility"     { type, seed, target }  A player used an ability
+// server -> victim  "abilityHit"     { type, seed, from }    Relayed to the player it hits
+// client -> server  "reflectAttack"  { strength, to }        A counter-attack sends cancelled strength back
+// server -> victim  "incomingAttack" { strength, from, kind, seed }  Generic and reflected attacks
+//
+// kind is an ATTACK_KINDS entry: "instability" (the default) raises the
+// victim's instability, "garbage" inserts rows whose holes come from seed
+// (utils/garbage.js). Reflected strength always comes back as instability.
+//
+// target is { mode, playerId }: the TARGET_MODES entry the player chose and
+// the opponent the client resolved it to (null when it knows no opponents,
+// the server picks one then). See utils/targeting.js.
+//
+// The seed travels with the ability and the victim's engine plays the effect
+// out from it (utils/abilities.js), so the same hit always does the same thing.
+import { generateSeed } from "./randomizer.js";
+
+export const ABILITY_TYPES = ["windGust", "earthShake", "gravityWell", "wobbleCurse"];
+
+export const TARGET_MODES = ["leader", "weakest", "random", "specific"];
+
+export const ATTACK_KINDS = ["instability", "garbage"];
+
+export const AbilityMessages = {
+  USE: "useAbility",
+  HIT: "abilityHit",
+  REFLECT: "reflectAttack",
+  ATTACK: "incomingAttack",
+};
+
+export function isAbility(type) {
+  return ABILITY_TYPES.includes(type);
+}
+
+// Payload for AbilityMessages.USE
+export function createUseAbilityMessage(type, { seed = generateSeed(), target = null } = {}) {
+  return { type, seed, target };
+}
+
+// Check an incoming AbilityMessages.USE payload (on the server). Returns
+// { type, seed, target } or null; a missing or malformed target is null.
+export function parseUseAbility(data) {
+  if (!data || !isAbility(data.type) || !isSeed(data.seed)) return null;
+
+  const { target } = data;
+  const validTarget = target && TARGET_MODES.includes(target.mode) &&
+    (target.playerId === null || typeof target.playerId === "string");
+  return {
+    type: data.type,
+    seed: data.seed,
+    target: validTarget ? { mode: target.mode, playerId: target.playerId } : null,
+  };
+}
+
+// Payload for AbilityMessages.HIT (what the server relays to the victim)
+export function createAbilityHitMessage({ type, seed }, from) {
+  return { type, seed, from };
+}
+
+// Check an incoming AbilityMessages.HIT payload. Returns { type, seed, from }
+// or null when the message doesn't match the schema.
+export function parseAbilityHit(data) {
+  if (!data || !isAbility(data.type) || !isSeed(data.seed)) return null;
+  return { type: data.type, seed: data.seed, from: typeof data.from === "string" ? data.from : null };
+}
+
+// Payload for AbilityMessages.REFLECT (`to` is null when the attacker is unknown)
+export function createReflectMessage(strength, to) {
+  return { strength, to };
+}
+
+// Payload for AbilityMessages.ATTACK (garbage gets a seed for its holes)
+export function createAttackMessage(strength, from, { kind = "instability", seed = generateSeed() } = {}) {
+  return kind === "garbage" ? { strength, from, kind, seed } : { strength, from, kind };
+}
+
+// Check an incoming AbilityMessages.ATTACK payload. Returns
+// { strength, from, kind, seed } or null for a strength that isn't a positive
+// number, an unknown kind or garbage without a seed.
+export function parseIncomingAttack(data) {
+  const strength = data && data.strength !== undefined ? data.strength : 10;
+  if (typeof strength !== "number" || !(strength > 0)) return null;
+
+  const kind = data && data.kind !== undefined ? data.kind : "instability";
+  if (!ATTACK_KINDS.includes(kind)) return null;
+  if (kind === "garbage" && !isSeed(data.seed)) return null;
+
+  return {
+    strength,
+    from: data && typeof data.from === "string" ? data.from : null,
+    kind,
+    seed: kind === "garbage" ? data.seed : null,
+  };
+}
+
+function isSeed(seed) {
+  return Number.isInteger(seed) && seed >= 0;
+}
@@ -1,4 +1,5 @@
 // utils/animHelpers.js
+import { GRID_SIZE } from "./constants.js";
 
 // Create a tetromino placement animation
 export function animateBlockPlacement(scene, block) {
@@ -21,8 +22,9 @@ export function shakeScreen(scene, duration = 300, intensity = 0.01) {
   scene.cameras.main.shake(duration, intensity);
 }
 
-// Animate score change
-export function animateScoreChange(scene, amount, x, y) {
+// Animate score change, with callouts (e.g. "T-SPIN DOUBLE", "COMBO x2")
+// stacked above the points
+export function animateScoreChange(scene, amount, x, y, callouts = []) {
   const text = scene.add.text(x, y, `+${amount}`, {
     fontSize: '24px',
     fill: '#fff'
@@ -35,6 +37,23 @@ export function animateScoreChange(scene, amount, x, y) {
     duration: 1000,
     onComplete: () => text.destroy()
   });
+  
+  callouts.forEach((callout, index) => {
+    const label = scene.add.text(x, y - 28 * (callouts.length - index), callout, {
+      fontSize: '18px',
+      fill: '#ffdd44',
+      fontStyle: 'bold'
+    }).setOrigin(0.5);
+    
+    scene.tweens.add({
+      targets: label,
+      y: label.y - 50,
+      alpha: 0,
+      delay: 300,
+      duration: 1400,
+      onComplete: () => label.destroy()
+    });
+  });
 }
 
 // Animate a line clear
@@ -52,4 +71,138 @@ export function animateLineClear(scene, row) {
     duration: 300,
     onComplete: () => flash.destroy()
   });
-}
\ No newline at end of file
+}
+
+// Show a centered message that floats up and fades out
+export function floatMessage(scene, message, style, duration = 1500, y = 150, riseTo = 120) {
+  const text = scene.add.text(scene.game.config.width / 2, y, message, style).setOrigin(0.5);
+  
+  scene.tweens.add({
+    targets: text,
+    alpha: 0,
+    y: riseTo,
+    duration,
+    onComplete: () => text.destroy()
+  });
+  
+  return text;
+}
+
+/**
+ * Animate gutter overhang blocks falling away
+ * @param {object} scene - The game scene
+ * @param {Array} overhangBlocks - Array of overhanging block data
+ */
+export function animateGutterOverhang(scene, overhangBlocks) {
+  overhangBlocks.forEach(block => {
+    const tempBlock = scene.add.image(
+      block.newX * GRID_SIZE, 
+      block.newY * GRID_SIZE, 
+      "block"
+    ).setOrigin(0);
+    
+    // Animate falling and fading
+    scene.tweens.add({
+      targets: tempBlock,
+      y: '+=' + (Math.random() * 100 + 200),
+      angle: Math.random() * 360,
+      alpha: 0,
+      duration: 1000,
+      ease: 'Power2',
+      onComplete: () => {
+        tempBlock.destroy();
+      }
+    });
+  });
+  
+  // Play falling sound effect if available
+  if (scene.sound && scene.sound.play && scene.sound.fallingSound) {
+    scene.sound.play('fallingSound', { volume: 0.5 });
+  }
+}
+
+// Temporarily highlight complete rows
+export function highlightCompleteRows(scene, rowIndices) {
+  // If no rows, do nothing
+  if (!rowIndices.length) return;
+  
+  // Create temporary highlight effects
+  const { gutterWidth, towerWidth } = scene.state.rules.board;
+  const highlights = [];
+  
+  for (const rowIndex of rowIndices) {
+    // Create a highlight rectangle for the row
+    const highlight = scene.add.rectangle(
+      gutterWidth * GRID_SIZE,
+      rowIndex * GRID_SIZE,
+      towerWidth * GRID_SIZE,
+      GRID_SIZE,
+      0xffff00, // Yellow highlight
+      0.5 // Alpha
+    ).setOrigin(0, 0);
+    
+    highlights.push(highlight);
+    
+    // Make it pulse
+    scene.tweens.add({
+      targets: highlight,
+      alpha: { from: 0.5, to: 0.2 },
+      duration: 500,
+      yoyo: true,
+      repeat: 3 // Just a few pulses
+    });
+  }
+  
+  // Remove highlights after a short time
+  scene.time.delayedCall(2000, () => {
+    highlights.forEach(h => h.destroy());
+  });
+}
+
+/**
+ * Briefly flash single cells (e.g. the blocks a power-up changed)
+ * @param {object} scene - The game scene
+ * @param {Array} cells - Cells as { x, y }
+ * @param {number} color - Flash color
+ */
+export function flashCells(scene, cells, color) {
+  cells.forEach(({ x, y }) => {
+    const flash = scene.add.rectangle(x * GRID_SIZE, y * GRID_SIZE, GRID_SIZE, GRID_SIZE, color, 0.8).setOrigin(0);
+
+    scene.tweens.add({
+      targets: flash,
+      alpha: 0,
+      duration: 600,
+      onComplete: () => flash.destroy()
+    });
+  });
+}
+
+/**
+ * Blow streaks across the board in the wind's direction
+ * @param {object} scene - The game scene
+ * @param {number} direction - -1 for a gust to the left, 1 to the right
+ * @param {number} duration - How long the gust lasts (ms)
+ * @param {number} color - Streak color
+ */
+export function animateWindGust(scene, direction, duration, color) {
+  const { width, cutOffRow } = scene.state.rules.board;
+  const boardWidth = width * GRID_SIZE;
+  const sweep = 500;
+
+  for (let i = 0; i < 8; i++) {
+    const y = Math.random() * cutOffRow * GRID_SIZE;
+    const streak = scene.add.rectangle(0, y, GRID_SIZE * 3, 2, color, 0.6).setDepth(5);
+    const fromX = direction > 0 ? -GRID_SIZE * 3 : boardWidth + GRID_SIZE * 3;
+    streak.x = fromX;
+
+    scene.tweens.add({
+      targets: streak,
+      x: boardWidth - fromX,
+      delay: i * 60,
+      duration: sweep,
+      repeat: Math.max(0, Math.ceil(duration / sweep) - 1),
+      onComplete: () => streak.destroy()
+    });
+  }
+}
@@ -1,5 +1,5 @@
 // utils/boardHelpers.js
-import { BOARD_WIDTH, BUFFER_ROWS, VISIBLE_ROWS, CUT_OFF_ROW, GUTTER_WIDTH, TOWER_WIDTH } from "./constants.js";
+import { BOARD_WIDTH } from "./constants.js";
 
 // Create a clean empty board of specified dimensions
 export function createEmptyBoard(rows, cols = BOARD_WIDTH) {
@@ -7,24 +7,26 @@ export function createEmptyBoard(rows, cols = BOARD_WIDTH) {
 }
 
 // Check if a cell is occupied (works for both board and history grid)
-export function isCellOccupied(scene, x, y) {
+export function isCellOccupied(state, x, y) {
+  const { width, cutOffRow } = state.rules.board;
+
   // Check for out of bounds
-  if (x < 0 || x >= BOARD_WIDTH || y < 0) {
+  if (x < 0 || x >= width || y < 0) {
     return true;
   }
   
   // Check history grid if we're below the cut-off
-  if (y >= CUT_OFF_ROW) {
-    const historyY = y - (BUFFER_ROWS + VISIBLE_ROWS);
+  if (y >= cutOffRow) {
+    const historyY = y - cutOffRow;
     // Make sure we're not accessing beyond the history grid bounds
-    if (historyY >= 0 && historyY < scene.historyGrid.length && scene.historyGrid[historyY]) {
-      return Boolean(scene.historyGrid[historyY][x]);
+    if (historyY >= 0 && historyY < state.historyGrid.length && state.historyGrid[historyY]) {
+      return Boolean(state.historyGrid[historyY][x]);
     }
     return false;
   } 
   // Otherwise check the main board
-  else if (y < scene.board.length) {
-    return Boolean(scene.board[y][x]);
+  else if (y < state.board.length) {
+    return Boolean(state.board[y][x]);
   }
   
   return false;
@@ -33,7 +35,7 @@ export function isCellOccupied(scene, x, y) {
 // Find the topmost occupied row in a board
 export function findTopRow(board) {
   for (let y = 0; y < board.length; y++) {
-    if (board[y].some(cell => cell === 1)) {
+    if (board[y].some(cell => cell)) {
       return y;
     }
   }
@@ -63,12 +65,13 @@ export function isRowComplete(board, rowIndex, gutterWidth, towerWidth) {
 }
 
 // Find all complete rows in the tower
-export function findCompleteRows(scene) {
+export function findCompleteRows(state) {
+  const { gutterWidth, towerWidth } = state.rules.board;
   const completeRows = [];
   
   // Check entire board for complete rows
-  for (let y = 0; y < scene.board.length; y++) {
-    if (isRowComplete(scene.board, y, GUTTER_WIDTH, TOWER_WIDTH)) {
+  for (let y = 0; y < state.board.length; y++) {
+    if (isRowComplete(state.board, y, gutterWidth, towerWidth)) {
       completeRows.push(y);
     }
   }
@@ -1,11 +1,12 @@
 // utils/chargeHelpers.js
 import { updateText } from "./uiHelpers.js";
-import { updateSidebarText } from "./ui.js";
+import { getPieceCharge } from "./pieceSets.js";
 
 // Update the charge meter visuals
 export function updateChargeMeter(scene) {
-  const chargePercent = (scene.chargeLevel / scene.maxChargeLevel) * 100;
-  const meterWidth = (scene.chargeLevel / scene.maxChargeLevel) * 180;
+  const { chargeLevel, maxChargeLevel } = scene.state;
+  const chargePercent = (chargeLevel / maxChargeLevel) * 100;
+  const meterWidth = (chargeLevel / maxChargeLevel) * 180;
   
   // Update meter fill
   scene.chargeMeter.width = meterWidth;
@@ -21,45 +22,42 @@ export function updateChargeMeter(scene) {
   
   // Update text
   updateText(scene.chargeText, `${Math.floor(chargePercent)}%`);
-  
-  // Update lock ready state
-  const wasReady = scene.lockReady;
-  scene.lockReady = scene.chargeLevel >= scene.maxChargeLevel;
-  
-  // If lock ready state changed, update sidebar
-  if (wasReady !== scene.lockReady) {
-    updateSidebarText(scene);
-  }
 }
 
-// Add charge for various actions
-export function addCharge(scene, amount) {
-  scene.chargeLevel = Math.min(scene.maxChargeLevel, scene.chargeLevel + amount);
-  updateChargeMeter(scene);
+// Add charge for various actions, returns true if the lock ready state changed
+export function addCharge(state, amount) {
+  state.chargeLevel = Math.min(state.maxChargeLevel, state.chargeLevel + amount);
+  return updateLockReady(state);
 }
 
 // Reset charge after using lock
-export function resetCharge(scene) {
-    console.log("Resetting charge");
+export function resetCharge(state) {
+  state.chargeLevel = 0;
+  return updateLockReady(state);
+}
 
-  scene.chargeLevel = 0;
-  updateChargeMeter(scene);
+// Take charge spent on an ability
+export function spendCharge(state, amount) {
+  state.chargeLevel = Math.max(0, state.chargeLevel - amount);
+  return updateLockReady(state);
+}
+
+// Sync the lock ready flag with the charge level
+function updateLockReady(state) {
+  const wasReady = state.lockReady;
+  state.lockReady = state.chargeLevel >= state.maxChargeLevel;
+  return wasReady !== state.lockReady;
 }
 
 // Get charge based on piece placement quality
-export function getPlacementCharge(scene, pieceType, clearedRows = 0) {
-  // Base charge for placing any piece
-  let charge = 5;
+export function getPlacementCharge(state, pieceType, clearedRows = 0) {
+  // Base charge of the piece set, bigger and harder to place pieces charge more
+  let charge = getPieceCharge(state.pieceSet, pieceType);
   
   // Bonus charge for clearing rows
   if (clearedRows > 0) {
     charge += clearedRows * 15; // More charge for more rows cleared
   }
-  
-  // Bonus for placing difficult pieces
-  if (pieceType === 'Z' || pieceType === 'S') {
-    charge += 2; // These are typically harder to place
-  }
 
   return charge;
 }
\ No newline at end of file
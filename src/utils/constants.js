@@ -11,6 +11,15 @@ export const HISTORY_ROWS = 30;
 export const BOARD_HEIGHT = BUFFER_ROWS + VISIBLE_ROWS + HISTORY_ROWS;
 export const CUT_OFF_ROW = BOARD_HEIGHT - HISTORY_ROWS;
 
+// Held key handling (milliseconds): Delayed Auto Shift before a held direction
+// repeats, Auto Repeat Rate between repeats (0 = instantly to the wall) and
+// how many times faster than gravity a held soft drop falls
+export const DEFAULT_HANDLING = {
+  das: 167,
+  arr: 33,
+  softDropFactor: 20
+};
+
 export const JLSTZ_KICKS = {
   "0>1": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
   "1>0": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
@@ -31,3 +40,101 @@ export const TETROMINO_SHAPES = {
   J: [[1, 0, 0], [1, 1, 1]],
   L: [[0, 0, 1], [1, 1, 1]]
 };
+
+// Super Rotation System kick tables. Offsets are [dx, dy] in board
+// coordinates (y grows downward), so they are the guideline tables with y negated.
+export const SRS_JLSTZ_KICKS = {
+  "0>1": [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  "1>0": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+  "1>2": [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+  "2>1": [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  "2>3": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  "3>2": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  "3>0": [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  "0>3": [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]]
+};
+
+export const SRS_I_KICKS = {
+  "0>1": [[0, 0], [-2, 0], [1, 0], [-2, 1], [1, -2]],
+  "1>0": [[0, 0], [2, 0], [-1, 0], [2, -1], [-1, 2]],
+  "1>2": [[0, 0], [-1, 0], [2, 0], [-1, -2], [2, 1]],
+  "2>1": [[0, 0], [1, 0], [-2, 0], [1, 2], [-2, -1]],
+  "2>3": [[0, 0], [2, 0], [-1, 0], [2, -1], [-1, 2]],
+  "3>2": [[0, 0], [-2, 0], [1, 0], [-2, 1], [1, -2]],
+  "3>0": [[0, 0], [1, 0], [-2, 0], [1, 2], [-2, -1]],
+  "0>3": [[0, 0], [-1, 0], [2, 0], [-1, -2], [2, 1]]
+};
+
+// The O piece never moves when it rotates
+export const SRS_O_KICKS = {
+  "0>1": [[0, 0]], "1>0": [[0, 0]], "1>2": [[0, 0]], "2>1": [[0, 0]],
+  "2>3": [[0, 0]], "3>2": [[0, 0]], "3>0": [[0, 0]], "0>3": [[0, 0]],
+  "0>2": [[0, 0]], "2>0": [[0, 0]], "1>3": [[0, 0]], "3>1": [[0, 0]]
+};
+
+// 180 degree kicks (SRS+ style), shared by every piece except O
+export const SRS_180_KICKS = {
+  "0>2": [[0, 0], [0, -1], [1, -1], [-1, -1], [1, 0], [-1, 0]],
+  "2>0": [[0, 0], [0, 1], [-1, 1], [1, 1], [-1, 0], [1, 0]],
+  "1>3": [[0, 0], [1, 0], [1, -2], [1, -1], [0, -2], [0, -1]],
+  "3>1": [[0, 0], [-1, 0], [-1, -2], [-1, -1], [0, -2], [0, -1]]
+};
+
+// SRS pieces live in fixed bounding boxes (4x4 for I, 3x3 for JLSTZ) so that
+// rotating the matrix matches the guideline rotation states
+export const SRS_SHAPES = {
+  I: [[0, 0, 0, 0], [1, 1, 1, 1], [0, 0, 0, 0], [0, 0, 0, 0]],
+  O: [[1, 1], [1, 1]],
+  T: [[0, 1, 0], [1, 1, 1], [0, 0, 0]],
+  S: [[0, 1, 1], [1, 1, 0], [0, 0, 0]],
+  Z: [[1, 1, 0], [0, 1, 1], [0, 0, 0]],
+  J: [[1, 0, 0], [1, 1, 1], [0, 0, 0]],
+  L: [[0, 0, 1], [1, 1, 1], [0, 0, 0]]
+};
+
+// Pentominoes (piece set "pentominoes"), in square rotation boxes like the SRS
+// shapes. Names carry the block count so they never clash with tetrominoes.
+export const PENTOMINO_SHAPES = {
+  F5: [[0, 1, 1], [1, 1, 0], [0, 1, 0]],
+  I5: [[0, 0, 0, 0, 0], [0, 0, 0, 0, 0], [1, 1, 1, 1, 1], [0, 0, 0, 0, 0], [0, 0, 0, 0, 0]],
+  L5: [[0, 0, 0, 1], [1, 1, 1, 1], [0, 0, 0, 0], [0, 0, 0, 0]],
+  N5: [[0, 0, 1, 1], [1, 1, 1, 0], [0, 0, 0, 0], [0, 0, 0, 0]],
+  P5: [[1, 1, 0], [1, 1, 1], [0, 0, 0]],
+  T5: [[1, 1, 1], [0, 1, 0], [0, 1, 0]],
+  U5: [[1, 0, 1], [1, 1, 1], [0, 0, 0]],
+  V5: [[1, 0, 0], [1, 0, 0], [1, 1, 1]],
+  W5: [[1, 0, 0], [1, 1, 0], [0, 1, 1]],
+  X5: [[0, 1, 0], [1, 1, 1], [0, 1, 0]],
+  Y5: [[0, 0, 1, 0], [1, 1, 1, 1], [0, 0, 0, 0], [0, 0, 0, 0]],
+  Z5: [[1, 1, 0], [0, 1, 0], [0, 1, 1]]
+};
+
+// Trominoes (piece set "trominoes")
+export const TROMINO_SHAPES = {
+  I3: [[0, 0, 0], [1, 1, 1], [0, 0, 0]],
+  L3: [[1, 0], [1, 1]]
+};
+
+// Kicks for rotation boxes of 5 or more: the piece turns around the box
+// center, so the same symmetric offsets work for every rotation
+const WIDE_KICK_OFFSETS = [[0, 0], [-1, 0], [1, 0], [-2, 0], [2, 0], [0, -1], [0, 1], [0, -2]];
+export const WIDE_KICKS = Object.fromEntries(
+  ["0>1", "1>0", "1>2", "2>1", "2>3", "3>2", "3>0", "0>3", "0>2", "2>0", "1>3", "3>1"]
+    .map(transition => [transition, WIDE_KICK_OFFSETS])
+);
+
+// Rotation systems selectable per ruleset. `kicks` maps piece types to their
+// kick table (falling back to `default`), `kicks180` is merged in when set.
+export const ROTATION_SYSTEMS = {
+  srs: {
+    shapes: SRS_SHAPES,
+    kicks: { I: SRS_I_KICKS, O: SRS_O_KICKS, default: SRS_JLSTZ_KICKS },
+    kicks180: SRS_180_KICKS
+  },
+  // The original rotation: trimmed shapes and one kick table for every piece
+  classic: {
+    shapes: TETROMINO_SHAPES,
+    kicks: { default: JLSTZ_KICKS },
+    kicks180: null
+  }
+};
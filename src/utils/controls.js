@@ -0,0 +1,262 @@
+// utils/controls.js
+// Central action-to-key bindings. Every keyboard handler looks keys up here
+// so controls can be rebound in one place and saved between sessions. The
+// held key handling (DAS, ARR, soft drop factor) is saved next to them.
+import { DEFAULT_HANDLING } from "./constants.js";
+
+const STORAGE_KEY = "quickstack.bindings";
+const HANDLING_STORAGE_KEY = "quickstack.handling";
+
+// Actions grouped by what they control. Keys in different groups conflict
+// too, since every group listens to the same keyboard.
+export const ACTION_GROUPS = {
+  gameplay: [
+    "moveLeft",
+    "moveRight",
+    "softDrop",
+    "hardDrop",
+    "rotateCW",
+    "rotateCCW",
+    "rotate180",
+    "hold",
+    "lockSection",
+    "windGust",
+    "earthShake",
+    "gravityWell",
+    "wobbleCurse",
+    "shield",
+    "reinforce",
+    "counterAttack",
+    "cycleTarget",
+  ],
+  camera: ["cameraUp", "cameraDown", "cameraLeft", "cameraRight", "cameraZoom"],
+  interface: ["toggleDebug", "toggleLoadDebug", "openControls"],
+};
+
+export const ACTION_LABELS = {
+  moveLeft: "Move Left",
+  moveRight: "Move Right",
+  softDrop: "Soft Drop",
+  hardDrop: "Hard Drop",
+  rotateCW: "Rotate CW",
+  rotateCCW: "Rotate CCW",
+  rotate180: "Rotate 180",
+  hold: "Hold",
+  lockSection: "Lock Section",
+  windGust: "Wind Gust",
+  earthShake: "Earth Shake",
+  gravityWell: "Gravity Well",
+  wobbleCurse: "Wobble Curse",
+  shield: "Shield",
+  reinforce: "Reinforce",
+  counterAttack: "Counter-Attack",
+  cycleTarget: "Target Mode",
+  cameraUp: "Camera Up",
+  cameraDown: "Camera Down",
+  cameraLeft: "Camera Left",
+  cameraRight: "Camera Right",
+  cameraZoom: "Camera Zoom",
+  toggleDebug: "Debug Overlay",
+  toggleLoadDebug: "Load Debug",
+  openControls: "Controls Menu",
+};
+
+// Keys are KeyboardEvent.key values (letters lowercase)
+export const DEFAULT_BINDINGS = {
+  moveLeft: ["ArrowLeft", "a"],
+  moveRight: ["ArrowRight", "d"],
+  softDrop: ["ArrowDown", "s"],
+  hardDrop: [" "],
+  rotateCW: ["ArrowUp", "w", "x"],
+  rotateCCW: ["z", "Control"],
+  rotate180: ["q"],
+  hold: ["c", "Shift"],
+  lockSection: ["l"],
+  windGust: ["1"],
+  earthShake: ["2"],
+  gravityWell: ["3"],
+  wobbleCurse: ["4"],
+  shield: ["5"],
+  reinforce: ["6"],
+  counterAttack: ["7"],
+  cycleTarget: ["t"],
+  cameraUp: ["PageUp"],
+  cameraDown: ["PageDown"],
+  cameraLeft: ["Home"],
+  cameraRight: ["End"],
+  cameraZoom: ["v"],
+  toggleDebug: ["g"],
+  toggleLoadDebug: ["h"],
+  openControls: ["Escape"],
+};
+
+// Get the group an action belongs to
+export function getActionGroup(action) {
+  return Object.keys(ACTION_GROUPS).find(group => ACTION_GROUPS[group].includes(action)) || null;
+}
+
+// Letters are matched case-insensitively so Shift/Caps Lock don't break bindings
+export function normalizeKey(key) {
+  return key.length === 1 ? key.toLowerCase() : key;
+}
+
+// Readable name for a key
+export function formatKey(key) {
+  if (key === " ") return "Space";
+  if (key.startsWith("Arrow")) return key.slice(5);
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+// First key bound to an action, formatted for display
+export function getKeyLabel(bindings, action) {
+  const keys = bindings[action] || [];
+  return keys.length > 0 ? formatKey(keys[0]) : "-";
+}
+
+// Map every bound key to its action
+export function createKeyLookup(bindings) {
+  const lookup = {};
+  for (const [action, keys] of Object.entries(bindings)) {
+    keys.forEach(key => {
+      lookup[normalizeKey(key)] = action;
+    });
+  }
+  return lookup;
+}
+
+// Find keys bound to more than one action. Each conflict lists the actions
+// and whether it crosses groups (e.g. a gameplay key that also moves the camera).
+export function findConflicts(bindings) {
+  const actionsByKey = {};
+  for (const [action, keys] of Object.entries(bindings)) {
+    keys.forEach(key => {
+      const normalized = normalizeKey(key);
+      (actionsByKey[normalized] = actionsByKey[normalized] || []).push(action);
+    });
+  }
+
+  return Object.entries(actionsByKey)
+    .filter(([, actions]) => actions.length > 1)
+    .map(([key, actions]) => ({
+      key,
+      actions,
+      crossGroup: new Set(actions.map(getActionGroup)).size > 1,
+    }));
+}
+
+// Bind a key as the only key for an action. If another action already uses
+// the key it gets this action's previous key instead, so bindings never
+// conflict. Returns the new bindings and the actions that were swapped.
+export function rebindAction(bindings, action, key) {
+  if (!ACTION_LABELS[action]) {
+    throw new Error(`Unknown action: ${action}`);
+  }
+
+  const normalized = normalizeKey(key);
+  const previous = bindings[action] || [];
+  const next = {};
+  const swapped = [];
+
+  for (const [other, keys] of Object.entries(bindings)) {
+    if (other === action) continue;
+    if (keys.some(k => normalizeKey(k) === normalized)) {
+      const remaining = keys.filter(k => normalizeKey(k) !== normalized);
+      const replacement = previous.find(k => normalizeKey(k) !== normalized);
+      next[other] = remaining.length > 0 || !replacement ? remaining : [replacement];
+      swapped.push(other);
+    } else {
+      next[other] = [...keys];
+    }
+  }
+  next[action] = [normalized];
+
+  return { bindings: next, swapped };
+}
+
+// Load saved bindings on top of the defaults. Saved bindings that conflict
+// (e.g. edited by hand) are ignored.
+export function loadBindings(storage = globalThis.localStorage) {
+  const defaults = structuredClone(DEFAULT_BINDINGS);
+  if (!storage) return defaults;
+
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY) || "{}");
+    const bindings = { ...defaults };
+    for (const action of Object.keys(defaults)) {
+      if (Array.isArray(saved[action]) && saved[action].every(k => typeof k === "string")) {
+        bindings[action] = saved[action];
+      }
+    }
+
+    const conflicts = findConflicts(bindings);
+    if (conflicts.length > 0) {
+      console.warn("Ignoring saved key bindings with conflicts:", conflicts);
+      return defaults;
+    }
+    return bindings;
+  } catch (error) {
+    console.warn("Could not load key bindings:", error);
+    return defaults;
+  }
+}
+
+export function saveBindings(bindings, storage = globalThis.localStorage) {
+  if (!storage) return;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+  } catch (error) {
+    console.warn("Could not save key bindings:", error);
+  }
+}
+
+export function clearSavedBindings(storage = globalThis.localStorage) {
+  if (storage) storage.removeItem(STORAGE_KEY);
+}
+
+// Range and controls menu step of each handling setting (see DEFAULT_HANDLING)
+export const HANDLING_LIMITS = {
+  das: { min: 0, max: 500, step: 10 },
+  arr: { min: 0, max: 200, step: 5 },
+  softDropFactor: { min: 1, max: 100, step: 5 },
+};
+
+export const HANDLING_LABELS = {
+  das: "DAS (ms)",
+  arr: "ARR (ms)",
+  softDropFactor: "Soft Drop (x)",
+};
+
+// Keep a handling setting inside its range
+export function clampHandling(setting, value) {
+  const { min, max } = HANDLING_LIMITS[setting];
+  return Math.min(max, Math.max(min, value));
+}
+
+// Load saved handling on top of the defaults. Values that aren't numbers
+// are ignored, out of range ones are clamped.
+export function loadHandling(storage = globalThis.localStorage) {
+  const handling = { ...DEFAULT_HANDLING };
+  if (!storage) return handling;
+
+  try {
+    const saved = JSON.parse(storage.getItem(HANDLING_STORAGE_KEY) || "{}");
+    for (const setting of Object.keys(HANDLING_LIMITS)) {
+      if (typeof saved[setting] === "number" && Number.isFinite(saved[setting])) {
+        handling[setting] = clampHandling(setting, saved[setting]);
+      }
+    }
+    return handling;
+  } catch (error) {
+    console.warn("Could not load handling settings:", error);
+    return handling;
+  }
+}
+
+export function saveHandling(handling, storage = globalThis.localStorage) {
+  if (!storage) return;
+  try {
+    storage.setItem(HANDLING_STORAGE_KEY, JSON.stringify(handling));
+  } catch (error) {
+    console.warn("Could not save handling settings:", error);
+  }
+}
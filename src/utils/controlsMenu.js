@@ -0,0 +1,181 @@
+// utils/controlsMenu.js
+// Overlay for viewing and rebinding controls. Click an action, then press
+// the new key (Escape cancels). Changes are saved through scene.setBindings.
+// The handling rows below the actions step DAS, ARR and the soft drop factor
+// with [-]/[+] and save through scene.setHandling.
+import { GRID_SIZE, DEFAULT_HANDLING } from "./constants.js";
+import {
+  ACTION_GROUPS,
+  ACTION_LABELS,
+  DEFAULT_BINDINGS,
+  HANDLING_LIMITS,
+  HANDLING_LABELS,
+  clampHandling,
+  formatKey,
+  normalizeKey,
+  findConflicts,
+  rebindAction,
+} from "./controls.js";
+
+const GROUP_TITLES = {
+  gameplay: "Gameplay",
+  camera: "Camera",
+  interface: "Interface",
+};
+
+export function createControlsMenu(scene) {
+  scene.controlsMenu = {
+    isOpen: false,
+    listening: null, // Action waiting for a new key
+    message: "",
+    objects: scene.add.group(),
+  };
+}
+
+export function openControlsMenu(scene) {
+  const menu = scene.controlsMenu;
+  menu.isOpen = true;
+  menu.listening = null;
+  menu.message = "Click an action, then press its new key";
+  // The game pauses while the menu is open, held movement starts over after it
+  if (scene.repeater) scene.repeater.reset();
+  renderControlsMenu(scene);
+}
+
+export function closeControlsMenu(scene) {
+  const menu = scene.controlsMenu;
+  menu.isOpen = false;
+  menu.listening = null;
+  menu.objects.clear(true, true);
+}
+
+// Handle a key press while the menu is open. Returns true when the key was
+// consumed (every key is, so gameplay doesn't react behind the menu).
+export function handleControlsMenuKey(scene, event) {
+  const menu = scene.controlsMenu;
+  if (!menu.isOpen) return false;
+
+  if (!menu.listening) {
+    if (scene.keyLookup[normalizeKey(event.key)] === "openControls") {
+      closeControlsMenu(scene);
+    }
+    return true;
+  }
+
+  const action = menu.listening;
+  menu.listening = null;
+
+  if (event.key === "Escape") {
+    menu.message = "Rebind cancelled";
+  } else {
+    const { bindings, swapped } = rebindAction(scene.bindings, action, event.key);
+    scene.setBindings(bindings);
+    menu.message = `${ACTION_LABELS[action]}: ${formatKey(event.key)}`;
+    if (swapped.length > 0) {
+      menu.message += ` (${swapped.map(a => ACTION_LABELS[a]).join(", ")} moved to the old key)`;
+    }
+  }
+
+  renderControlsMenu(scene);
+  return true;
+}
+
+function renderControlsMenu(scene) {
+  const menu = scene.controlsMenu;
+  menu.objects.clear(true, true);
+
+  const conflicts = findConflicts(scene.bindings);
+  const conflicted = new Set(conflicts.flatMap(conflict => conflict.actions));
+
+  const x = 10;
+  const width = GRID_SIZE * scene.state.rules.board.width - 20;
+  const rowHeight = 20;
+  const rows = Object.values(ACTION_GROUPS).reduce((total, actions) => total + actions.length + 1, 0) +
+    Object.keys(HANDLING_LIMITS).length + 1;
+  const height = rows * rowHeight + 120;
+  const top = scene.cameras.main.scrollY + 40;
+
+  const add = object => {
+    menu.objects.add(object);
+    return object.setDepth(200);
+  };
+
+  add(scene.add.rectangle(x, top, width, height, 0x111111).setOrigin(0, 0).setAlpha(0.95));
+  add(scene.add.text(x + 10, top + 10, "Controls", { fontSize: "20px", fill: "#fff", fontStyle: "bold" }));
+
+  let y = top + 40;
+  for (const [group, actions] of Object.entries(ACTION_GROUPS)) {
+    add(scene.add.text(x + 10, y, GROUP_TITLES[group], { fontSize: "14px", fill: "#aaaaaa", fontStyle: "bold" }));
+    y += rowHeight;
+
+    for (const action of actions) {
+      const keys = menu.listening === action
+        ? "press a key..."
+        : (scene.bindings[action] || []).map(formatKey).join(", ") || "-";
+      const color = conflicted.has(action) ? "#ff4444" : menu.listening === action ? "#ffff00" : "#ffffff";
+
+      const row = add(scene.add.text(
+        x + 20,
+        y,
+        `${ACTION_LABELS[action].padEnd(16)}${keys}`,
+        { fontSize: "14px", fill: color, fontFamily: "monospace" }
+      ).setInteractive({ useHandCursor: true }));
+
+      row.on("pointerdown", () => {
+        menu.listening = action;
+        menu.message = `Press a key for ${ACTION_LABELS[action]} (Esc to cancel)`;
+        renderControlsMenu(scene);
+      });
+      y += rowHeight;
+    }
+  }
+
+  add(scene.add.text(x + 10, y, "Handling", { fontSize: "14px", fill: "#aaaaaa", fontStyle: "bold" }));
+  y += rowHeight;
+
+  for (const [setting, { step }] of Object.entries(HANDLING_LIMITS)) {
+    add(scene.add.text(
+      x + 20,
+      y,
+      `${HANDLING_LABELS[setting].padEnd(16)}${scene.handling[setting]}`,
+      { fontSize: "14px", fill: "#ffffff", fontFamily: "monospace" }
+    ));
+
+    [[-1, "[-]"], [1, "[+]"]].forEach(([direction, label], index) => {
+      const button = add(scene.add.text(x + 230 + index * 30, y, label, { fontSize: "14px", fill: "#88ccff" })
+        .setInteractive({ useHandCursor: true }));
+      button.on("pointerdown", () => {
+        const value = clampHandling(setting, scene.handling[setting] + direction * step);
+        scene.setHandling({ ...scene.handling, [setting]: value });
+        menu.message = `${HANDLING_LABELS[setting]}: ${value}`;
+        renderControlsMenu(scene);
+      });
+    });
+    y += rowHeight;
+  }
+
+  // Rebinding swaps keys, so conflicts only come from edited defaults
+  const conflictText = conflicts
+    .map(c => `${formatKey(c.key)} used by ${c.actions.map(a => ACTION_LABELS[a]).join(" and ")}`)
+    .join("\n");
+  add(scene.add.text(x + 10, y + 5, conflictText || menu.message, {
+    fontSize: "13px",
+    fill: conflictText ? "#ff4444" : "#cccccc",
+    wordWrap: { width: width - 20 },
+  }));
+
+  const reset = add(scene.add.text(x + 10, y + 50, "[Reset to defaults]", { fontSize: "14px", fill: "#88ccff" })
+    .setInteractive({ useHandCursor: true }));
+  reset.on("pointerdown", () => {
+    scene.setBindings(structuredClone(DEFAULT_BINDINGS));
+    scene.setHandling({ ...DEFAULT_HANDLING });
+    menu.listening = null;
+    menu.message = "Controls reset to defaults";
+    renderControlsMenu(scene);
+  });
+
+  const close = add(scene.add.text(x + width - 10, y + 50, "[Close]", { fontSize: "14px", fill: "#88ccff" })
+    .setOrigin(1, 0)
+    .setInteractive({ useHandCursor: true }));
+  close.on("pointerdown", () => closeControlsMenu(scene));
+}
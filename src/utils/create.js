@@ -1,74 +1,65 @@
 // utils/create.js
-import { GRID_SIZE, BOARD_WIDTH, BOARD_HEIGHT, GUTTER_WIDTH, TOWER_WIDTH, BUFFER_ROWS, HISTORY_ROWS, VISIBLE_ROWS } from "./constants.js";
-import { createEmptyBoard } from "./boardHelpers.js";
+import { GRID_SIZE } from "./constants.js";
 import { createTextStyle, createShadedRect } from "./uiHelpers.js";
-import { cancelAutoLockCountdown } from "./towerHelpers.js";
-import { renderDebugOverlay } from "./instabilityHelpers.js";
+import { renderDebugOverlay, renderLoadOverlay } from "./instabilityHelpers.js";
+import { renderBoard } from "./gameView.js";
+import { GameInputs } from "./engine/events.js";
+import { getKeyLabel } from "./controls.js";
+import { openControlsMenu } from "./controlsMenu.js";
+import { createAbilityBar, updateTargetText } from "./ui.js";
+import { createTargeting } from "./targeting.js";
 
+// Create the Phaser objects that render scene.state (the game state itself
+// lives in GameState and is only changed by the engine)
 export function setupBoard(scene) {
-  scene.abilities = [];
-  scene.activePiece = null;
+  const { width, height, gutterWidth, towerWidth, bufferRows, cutOffRow } = scene.state.rules.board;
+
+  scene.activeBlocks = [];
   scene.ghostBlocks = [];
+  scene.stabilityPreviewObjects = []; // Ghost stability delta, void and overhang marks
   scene.lockedBlocks = scene.add.group();
-  scene.board = createEmptyBoard(BOARD_HEIGHT);
-  scene.historyGrid = createEmptyBoard(HISTORY_ROWS);
   scene.historyBlocks = scene.add.group();
   scene.adjacentTowers = {};
+  scene.opponents = {}; // Latest adjacentTowerUpdate per opponent
+  scene.targeting = createTargeting(); // Who our abilities hit (utils/targeting.js)
+  scene.targetMarker = null;
   
-  // Update charge-related variables
-  scene.chargeLevel = 0;
-  scene.maxChargeLevel = 100;
+  // Charge meter objects
   scene.chargeMeter = null;
   scene.chargeText = null;
-  scene.lockReady = false; // Start with lock not ready
   
-  // Add stability-related variables
-  scene.instability = 0;
-  scene.externalInstability = 0;
+  // Stability effect flags
   scene.isShaking = false;
-  scene.isCollapsing = false;
-  scene.cellStability = null; // Will be initialized on first piece placement
-  scene.rowStability = null; // Will be initialized on first piece placement
-  scene.historicalStability = 100; // Start with perfect historical stability
-  scene.lockedSectionCount = 0; // Initialize locked section counter
-  scene.rawSectionStability = 100; // Raw stability of current section
   
   // Add debug mode variables
   scene.debugMode = false; // Start with debug off
   scene.debugGraphics = null; // Will hold debug visualization
   scene.debugText = []; // Will hold debug text objects
+  scene.loadGraphics = null; // Load analysis layer (toggled separately)
+  scene.loadText = [];
   
-  // Add auto-lock variables
-  scene.autoLockEnabled = true;
-  scene.autoLockThreshold = 10; // Number of blocks from the top to trigger auto-lock
-  scene.autoLockCountdown = 5; // Seconds before auto-locking
-  scene.autoLockTimer = null;
+  // Auto-lock warning text
   scene.autoLockWarning = null;
   
-  // Add piece preview queue
-  scene.previewQueue = [];
-  scene.previewBlocks = scene.add.group();
-  scene.previewSize = 3; // Number of pieces to show in preview
+  // Board tints while a lasting ability is in effect
+  scene.abilityOverlays = {};
+  
+  // Pending attack strength beside the tower (ui.js updateAttackMeter)
+  scene.attackMeter = null;
   
-  // Add level and scoring related variables
-  scene.level = 0;
-  scene.linesCleared = 0;
-  scene.score = 0;
-  scene.towerHeight = 0;
+  // Piece preview and hold sprites
+  scene.previewBlocks = scene.add.group();
+  scene.holdBlocks = scene.add.group();
 
-  // Build foundation
-  for (let i = GUTTER_WIDTH; i < GUTTER_WIDTH + TOWER_WIDTH; i++) {
-    scene.board[BOARD_HEIGHT - HISTORY_ROWS - 1][i] = 1;
-    const block = scene.add.image(i * GRID_SIZE, (BOARD_HEIGHT - HISTORY_ROWS - 1) * GRID_SIZE, "block").setOrigin(0);
-    scene.lockedBlocks.add(block);
-  }
+  // Draw the foundation
+  renderBoard(scene);
 
   // Sidebar background panel
   scene.sidebar = scene.add.rectangle(
-    GRID_SIZE * BOARD_WIDTH,
+    GRID_SIZE * width,
     0,
     200,
-    GRID_SIZE * BOARD_HEIGHT,
+    GRID_SIZE * height,
     0x222222
   ).setOrigin(0, 0).setAlpha(0.85);
 
@@ -76,39 +67,41 @@ export function setupBoard(scene) {
   const textStyle = createTextStyle();
 
   // Create UI text elements
-  scene.scoreText = scene.add.text(GRID_SIZE * BOARD_WIDTH + 10, 10, "Score: 0", textStyle);
-  scene.abilityText = scene.add.text(GRID_SIZE * BOARD_WIDTH + 10, 40, "Abilities: none", textStyle);
-  scene.lockStatusText = scene.add.text(GRID_SIZE * BOARD_WIDTH + 10, 70, "Lock: Charging...", textStyle);
+  scene.scoreText = scene.add.text(GRID_SIZE * width + 10, 10, "Score: 0", textStyle);
+  createAbilityBar(scene);
+  scene.lockStatusText = scene.add.text(GRID_SIZE * width + 10, 70, "Lock: Charging...", textStyle);
   
   // Add stability text display
   scene.instabilityText = scene.add.text(
-    GRID_SIZE * BOARD_WIDTH + 10, 
+    GRID_SIZE * width + 10, 
     440, 
     "Stability: 100%", 
     textStyle
   );
   
+  // Stability change if the piece dropped at the ghost position
+  scene.stabilityPreviewText = scene.add.text(
+    GRID_SIZE * width + 190, 
+    442, 
+    "", 
+    { fontSize: "14px", fill: "#66ff66" }
+  ).setOrigin(1, 0);
+  
   // Add auto-lock toggle
-  const autoLockToggle = scene.add.text(
-    GRID_SIZE * BOARD_WIDTH + 10, 
+  scene.autoLockToggle = scene.add.text(
+    GRID_SIZE * width + 10, 
     100, 
-    "Auto-Lock: ON", 
+    `Auto-Lock: ${scene.state.autoLockEnabled ? 'ON' : 'OFF'}`, 
     textStyle
   ).setInteractive();
 
-  autoLockToggle.on('pointerdown', () => {
-    scene.autoLockEnabled = !scene.autoLockEnabled;
-    autoLockToggle.setText(`Auto-Lock: ${scene.autoLockEnabled ? 'ON' : 'OFF'}`);
-    
-    // Cancel any existing countdown if turned off
-    if (!scene.autoLockEnabled && scene.autoLockTimer) {
-      cancelAutoLockCountdown(scene);
-    }
+  scene.autoLockToggle.on('pointerdown', () => {
+    scene.dispatch({ type: GameInputs.TOGGLE_AUTO_LOCK });
   });
   
   // Add level text display to sidebar
   scene.levelText = scene.add.text(
-    GRID_SIZE * BOARD_WIDTH + 10, 
+    GRID_SIZE * width + 10, 
     380, 
     "Level: 0", 
     textStyle
@@ -116,7 +109,7 @@ export function setupBoard(scene) {
   
   // Add lines cleared counter
   scene.linesText = scene.add.text(
-    GRID_SIZE * BOARD_WIDTH + 10, 
+    GRID_SIZE * width + 10, 
     410, 
     "Lines: 0", 
     textStyle
@@ -124,15 +117,40 @@ export function setupBoard(scene) {
   
   // Add preview queue label to sidebar
   const previewLabel = scene.add.text(
-    GRID_SIZE * BOARD_WIDTH + 10, 
+    GRID_SIZE * width + 10, 
     130, 
     "Next Pieces:", 
     textStyle
   );
   
+  // Add hold slot label to sidebar
+  scene.holdLabel = scene.add.text(
+    GRID_SIZE * width + 10, 
+    470, 
+    `Hold (${getKeyLabel(scene.bindings, "hold")}):`, 
+    textStyle
+  );
+  
+  // Open the controls menu to rebind keys
+  scene.add.text(
+    GRID_SIZE * width + 10, 
+    560, 
+    "Controls...", 
+    textStyle
+  ).setInteractive().on('pointerdown', () => openControlsMenu(scene));
+  
+  // Ability target mode, click to cycle (or click an opponent's tower)
+  scene.targetText = scene.add.text(
+    GRID_SIZE * width + 10, 
+    850, 
+    "", 
+    textStyle
+  ).setInteractive().on('pointerdown', () => scene.pressAction("cycleTarget"));
+  updateTargetText(scene);
+  
   // Add charge meter to sidebar
   const chargeLabel = scene.add.text(
-    GRID_SIZE * BOARD_WIDTH + 10, 
+    GRID_SIZE * width + 10, 
     350, 
     "Lock Charge:", 
     textStyle
@@ -140,7 +158,7 @@ export function setupBoard(scene) {
   
   // Create the empty charge meter background
   scene.add.rectangle(
-    GRID_SIZE * BOARD_WIDTH + 10,
+    GRID_SIZE * width + 10,
     380,
     180,
     20,
@@ -149,7 +167,7 @@ export function setupBoard(scene) {
   
   // Create the charge meter fill (starts empty)
   scene.chargeMeter = scene.add.rectangle(
-    GRID_SIZE * BOARD_WIDTH + 10,
+    GRID_SIZE * width + 10,
     380,
     0, // Width will be updated based on charge level
     20,
@@ -158,50 +176,56 @@ export function setupBoard(scene) {
   
   // Charge level text
   scene.chargeText = scene.add.text(
-    GRID_SIZE * BOARD_WIDTH + 100,
+    GRID_SIZE * width + 100,
     380,
     "0%",
     { fontSize: "14px", fill: "#fff" }
   ).setOrigin(0.5, 0);
 
   // Shade gutters
-  createShadedRect(scene, 0, 0, GRID_SIZE * GUTTER_WIDTH, GRID_SIZE * BOARD_HEIGHT);
-  createShadedRect(scene, GRID_SIZE * (GUTTER_WIDTH + TOWER_WIDTH), 0, GRID_SIZE * GUTTER_WIDTH, GRID_SIZE * BOARD_HEIGHT);
+  createShadedRect(scene, 0, 0, GRID_SIZE * gutterWidth, GRID_SIZE * height);
+  createShadedRect(scene, GRID_SIZE * (gutterWidth + towerWidth), 0, GRID_SIZE * gutterWidth, GRID_SIZE * height);
 
   // Shade buffer zone
-  createShadedRect(scene, 0, 0, GRID_SIZE * BOARD_WIDTH, GRID_SIZE * BUFFER_ROWS, 0xffffff, 0.07);
+  createShadedRect(scene, 0, 0, GRID_SIZE * width, GRID_SIZE * bufferRows, 0xffffff, 0.07);
 
   // Line to show foundation separation
-  scene.add.rectangle(0, (BUFFER_ROWS + VISIBLE_ROWS) * GRID_SIZE, GRID_SIZE * BOARD_WIDTH, 2, 0xffffff)
+  scene.add.rectangle(0, cutOffRow * GRID_SIZE, GRID_SIZE * width, 2, 0xffffff)
     .setOrigin(0, 0).setAlpha(0.2);
 
-  scene.abilityKeys = {
-    1: "windGust",
-    2: "earthShake",
-    3: "gravityWell",
-    4: "wobbleCurse",
-    l: "lockNow"
-  };
-
-  scene.cameras.main.setBounds(0, 0, scene.game.config.width, GRID_SIZE * BOARD_HEIGHT);
+  scene.cameras.main.setBounds(0, 0, scene.game.config.width, GRID_SIZE * height);
   scene.cameras.main.scrollY = 0;
+}
+
+// Toggle the stability debug overlay (bound to G by default)
+export function toggleDebugMode(scene) {
+  scene.debugMode = !scene.debugMode;
+  
+  // Remove previous debug graphics if any
+  if (scene.debugGraphics) {
+    scene.debugGraphics.clear();
+    scene.debugText.forEach(text => text.destroy());
+    scene.debugText = [];
+  }
   
-  // Add debug mode toggle (G key)
-  scene.input.keyboard.on('keydown-G', () => {
-    scene.debugMode = !scene.debugMode;
-    
-    // Remove previous debug graphics if any
-    if (scene.debugGraphics) {
-      scene.debugGraphics.clear();
-      scene.debugText.forEach(text => text.destroy());
-      scene.debugText = [];
-    }
-    
-    // Create new debug graphics if enabling
-    if (scene.debugMode) {
-      scene.debugGraphics = scene.add.graphics();
-      // Initial render of debug overlay
-      renderDebugOverlay(scene);
-    }
-  });
+  // Create new debug graphics if enabling
+  if (scene.debugMode) {
+    scene.debugGraphics = scene.add.graphics();
+    // Initial render of debug overlay
+    renderDebugOverlay(scene);
+  }
+}
+
+// Toggle the load analysis layer (bound to H by default)
+export function toggleLoadDebugMode(scene) {
+  if (scene.loadGraphics) {
+    scene.loadGraphics.destroy();
+    scene.loadText.forEach(text => text.destroy());
+    scene.loadGraphics = null;
+    scene.loadText = [];
+    return;
+  }
+
+  scene.loadGraphics = scene.add.graphics().setDepth(10);
+  renderLoadOverlay(scene);
 }
\ No newline at end of file
@@ -0,0 +1,144 @@
+// utils/defenses.js
+// Counterplay against attacks. An incoming attack waits in state.pendingAttacks
+// for rules.defense.warningTime ms before it lands, and every line cleared in
+// the meantime cancels cancelPerLine of its strength, oldest attack first.
+// Instability attacks add their strength to the tower's instability, garbage
+// attacks insert rows into it (garbage.js).
+// The defensive abilities are used on ourselves instead of sent to an
+// opponent:
+//
+// shield: absorbs the next attack or ability that lands within shieldDuration ms
+// reinforce: takes reinforceAmount of the instability attacks left behind
+// counterAttack: for counterDuration ms, strength cancelled by line clears is
+//   sent back to the attacker instead of dropped
+import { GameEvents } from "./engine/events.js";
+import { refreshStability } from "./stability/stabilityUpdates.js";
+import { isAbilityActive } from "./abilities.js";
+import { insertGarbage } from "./garbage.js";
+
+export const DEFENSIVE_ABILITY_TYPES = ["shield", "reinforce", "counterAttack"];
+
+export function isDefense(type) {
+  return DEFENSIVE_ABILITY_TYPES.includes(type);
+}
+
+// Put an incoming attack in the queue (it lands at once without a warning
+// time). Garbage attacks carry the seed of their hole pattern.
+export function queueAttack(state, { strength = 10, from = null, kind = "instability", seed = null }) {
+  const { warningTime } = state.rules.defense;
+  const attack = { strength, from, kind, seed };
+  if (warningTime === 0) return landAttack(state, attack);
+
+  state.pendingAttacks.push({ ...attack, remaining: warningTime });
+  return [{ type: GameEvents.ATTACK_QUEUED, strength, from, kind, delay: warningTime, pending: getPendingStrength(state) }];
+}
+
+// Count the warning times down and land the attacks that ran out. Ticks
+// every step while attacks are waiting so the view can show the countdown.
+// Garbage waits for a running collapse to finish before it lands.
+export function tickAttackQueue(state, delta) {
+  if (state.pendingAttacks.length === 0) return [];
+
+  const landing = [];
+  state.pendingAttacks = state.pendingAttacks.filter(attack => {
+    attack.remaining -= delta;
+    if (attack.remaining > 0 || (attack.kind === "garbage" && state.isCollapsing)) return true;
+    landing.push(attack);
+    return false;
+  });
+
+  const events = [{ type: GameEvents.ATTACK_QUEUE_TICK, attacks: state.pendingAttacks.map(attack => ({ ...attack })) }];
+  landing.forEach(attack => events.push(...landAttack(state, attack)));
+  return events;
+}
+
+// Cancel pending attacks with cleared lines. Under a counter-attack the
+// cancelled strength goes back to whoever sent it.
+export function cancelAttacks(state, lines) {
+  if (lines === 0 || state.pendingAttacks.length === 0) return [];
+
+  let power = lines * state.rules.defense.cancelPerLine;
+  const reflected = new Map(); // Attacker -> strength sent back
+  let cancelled = 0;
+
+  for (const attack of state.pendingAttacks) {
+    if (power <= 0) break;
+    const amount = Math.min(power, attack.strength);
+    attack.strength -= amount;
+    power -= amount;
+    cancelled += amount;
+    reflected.set(attack.from, (reflected.get(attack.from) || 0) + amount);
+  }
+  state.pendingAttacks = state.pendingAttacks.filter(attack => attack.strength > 0);
+
+  const events = [{ type: GameEvents.ATTACK_CANCELLED, strength: cancelled, pending: getPendingStrength(state) }];
+  if (isAbilityActive(state, "counterAttack")) {
+    reflected.forEach((strength, to) => events.push({ type: GameEvents.ATTACK_REFLECTED, strength, to }));
+  }
+  return events;
+}
+
+// Apply a defensive ability the player just spent
+export function applyDefense(state, ability) {
+  const { shieldDuration, counterDuration, reinforceAmount } = state.rules.defense;
+
+  if (ability === "shield" || ability === "counterAttack") {
+    const remaining = ability === "shield" ? shieldDuration : counterDuration;
+    state.abilityEffects.push({ ability, remaining });
+    return [];
+  }
+
+  if (ability === "reinforce") {
+    const amount = Math.min(reinforceAmount, state.externalInstability);
+    state.externalInstability -= amount;
+    state.instability = Math.max(0, state.instability - amount);
+
+    const events = [{ type: GameEvents.TOWER_REINFORCED, amount }];
+    if (amount > 0 && state.cellStability) {
+      events.push(...refreshStability(state));
+    }
+    return events;
+  }
+
+  return [];
+}
+
+// Use up a running shield. Returns the events for the blocked hit (empty
+// when there is no shield).
+export function absorbWithShield(state, blocked) {
+  const index = state.abilityEffects.findIndex(effect => effect.ability === "shield");
+  if (index === -1) return [];
+
+  state.abilityEffects.splice(index, 1);
+  return [
+    { type: GameEvents.HIT_BLOCKED, ...blocked },
+    { type: GameEvents.ABILITY_EXPIRED, ability: "shield" },
+  ];
+}
+
+// Total strength of the attacks waiting to land
+export function getPendingStrength(state) {
+  return state.pendingAttacks.reduce((total, attack) => total + attack.strength, 0);
+}
+
+// Apply an attack as external instability or garbage rows, unless a shield
+// takes it
+function landAttack(state, { strength, from, kind, seed }) {
+  const blocked = absorbWithShield(state, { strength, from, kind });
+  if (blocked.length > 0) return blocked;
+
+  if (kind === "garbage") return insertGarbage(state, { strength, seed, from });
+
+  state.externalInstability += strength;
+
+  // Recalculate instability after attack
+  state.instability += strength;
+
+  const events = [{ type: GameEvents.ATTACK_RECEIVED, strength, from }];
+
+  if (state.cellStability) {
+    events.push(...refreshStability(state));
+  }
+
+  return events;
+}
@@ -1,41 +1,124 @@
 // utils/draw.js
 import { GRID_SIZE } from "./constants.js";
 import { calculateGhostPosition, renderBlocks } from "./tetrominoHelpers.js";
+import { previewPlacementStability } from "./stability/stabilityPreview.js";
+import { getPieceMaterial } from "./materials.js";
+import { POWER_UPS, isPowerUp } from "./powerUps.js";
 
 export function clearActiveBlocks(scene) {
   scene.ghostBlocks.forEach(b => b.destroy());
-  if (scene.activePiece?.blocks?.length) {
-    scene.activePiece.blocks.forEach(b => b.destroy());
-    scene.activePiece.blocks = [];
-  }
+  scene.ghostBlocks = [];
+  clearStabilityPreview(scene);
+  scene.activeBlocks.forEach(b => b.destroy());
+  scene.activeBlocks = [];
 }
 
 export function drawGhostPiece(scene) {
   scene.ghostBlocks.forEach(b => b.destroy());
   scene.ghostBlocks = [];
+  clearStabilityPreview(scene);
   
-  if (!scene.activePiece) return;
+  const { activePiece } = scene.state;
+  if (!activePiece) return;
   
-  const ghostPosition = calculateGhostPosition(scene, scene.activePiece);
+  const ghostPosition = calculateGhostPosition(scene.state, activePiece);
   if (ghostPosition) {
     scene.ghostBlocks = renderBlocks(
       scene, 
       ghostPosition.x, 
       ghostPosition.y, 
       ghostPosition.shape, 
-      "block", 
+      getPieceMaterial(scene.state.rules, activePiece.type).texture, 
       0.3
     );
+    drawStabilityPreview(scene, ghostPosition);
   }
 }
 
+// Show how locking at the ghost position would change stability: a tinted
+// ghost with the delta next to it, new voids and overhangs outlined, and the
+// delta in the sidebar
+function drawStabilityPreview(scene, ghostPosition) {
+  const state = scene.state;
+
+  // Gravity moves the piece but not the ghost, so reuse the last result
+  // until the ghost or the tower changes
+  const key = [
+    ghostPosition.type,
+    ghostPosition.x,
+    ghostPosition.y,
+    JSON.stringify(ghostPosition.shape),
+    state.towerHeight,
+    state.lockedSectionCount,
+    state.externalInstability,
+  ].join("|");
+  if (scene.stabilityPreviewKey !== key) {
+    scene.stabilityPreviewKey = key;
+    scene.stabilityPreview = previewPlacementStability(state, ghostPosition);
+  }
+
+  const preview = scene.stabilityPreview;
+  if (!preview) return;
+
+  const rounded = Math.round(preview.delta);
+  const color = rounded < 0 ? 0xff6666 : 0x66ff66;
+  const label = `${rounded > 0 ? "+" : ""}${rounded}%`;
+  scene.ghostBlocks.forEach(block => block.setTint(color));
+
+  const graphics = scene.add.graphics();
+  scene.stabilityPreviewObjects.push(graphics);
+
+  // Empty cells the placement would seal off
+  graphics.lineStyle(2, 0x9933cc, 0.9);
+  preview.newVoids.forEach(({ x, y }) => {
+    graphics.strokeRect(x * GRID_SIZE + 2, y * GRID_SIZE + 2, GRID_SIZE - 4, GRID_SIZE - 4);
+  });
+
+  // Blocks that would hang over empty cells
+  graphics.lineStyle(2, 0xff0000, 0.9);
+  preview.overhangs.forEach(({ x, y }) => {
+    graphics.lineBetween(x * GRID_SIZE + 4, (y + 1) * GRID_SIZE - 2, (x + 1) * GRID_SIZE - 4, (y + 1) * GRID_SIZE - 2);
+  });
+
+  const width = Math.max(...ghostPosition.shape.map(row => row.length));
+  const text = scene.add.text(
+    (ghostPosition.x + width) * GRID_SIZE + 4,
+    ghostPosition.y * GRID_SIZE,
+    label,
+    { fontSize: "12px", fill: rounded < 0 ? "#ff6666" : "#66ff66", stroke: "#000000", strokeThickness: 2 }
+  );
+  scene.stabilityPreviewObjects.push(text);
+
+  if (scene.stabilityPreviewText) {
+    scene.stabilityPreviewText
+      .setText(`(${label})`)
+      .setColor(rounded < 0 ? "#ff6666" : "#66ff66");
+  }
+}
+
+function clearStabilityPreview(scene) {
+  scene.stabilityPreviewObjects.forEach(object => object.destroy());
+  scene.stabilityPreviewObjects = [];
+  if (scene.stabilityPreviewText) scene.stabilityPreviewText.setText("");
+}
+
+// Fade the active and ghost piece while the lock delay runs out
+export function fadeActivePiece(scene, remaining, delay) {
+  const ratio = delay > 0 ? remaining / delay : 0;
+  scene.activeBlocks.forEach(b => b.setAlpha(0.35 + 0.65 * ratio));
+  scene.ghostBlocks.forEach(b => b.setAlpha(0.3 * ratio));
+}
+
 export function drawPiece(scene) {
   clearActiveBlocks(scene);
   
-  if (!scene.activePiece) return;
+  const { activePiece } = scene.state;
+  if (!activePiece) return;
   
-  const { shape, x, y } = scene.activePiece;
-  scene.activePiece.blocks = renderBlocks(scene, x, y, shape);
+  const { shape, x, y, type } = activePiece;
+  const { texture } = getPieceMaterial(scene.state.rules, type);
+  scene.activeBlocks = renderBlocks(scene, x, y, shape, texture);
+  if (isPowerUp(type)) scene.activeBlocks.forEach(b => b.setTint(POWER_UPS[type].tint));
   
   drawGhostPiece(scene);
-}
\ No newline at end of file
+}
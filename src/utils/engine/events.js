@@ -0,0 +1,63 @@
+// engine/events.js
+// Event and input names shared by the engine and any view that renders it
+
+// Events returned by the engine. Every event is a plain object with a `type`
+// field set to one of these values plus an event-specific payload.
+export const GameEvents = {
+  PIECE_SPAWNED: "pieceSpawned",
+  PIECE_MOVED: "pieceMoved",
+  PIECE_LOCKED: "pieceLocked",
+  LOCK_DELAY_TICK: "lockDelayTick",
+  LOCK_DELAY_CANCELLED: "lockDelayCancelled",
+  PIECE_DISCARDED: "pieceDiscarded",
+  OVERHANG_PENALTY: "overhangPenalty",
+  POWER_UP_TRIGGERED: "powerUpTriggered",
+  QUEUE_CHANGED: "queueChanged",
+  HOLD_CHANGED: "holdChanged",
+  SCORE_CHANGED: "scoreChanged",
+  LINES_CHANGED: "linesChanged",
+  LEVEL_CHANGED: "levelChanged",
+  CHARGE_CHANGED: "chargeChanged",
+  STABILITY_CHANGED: "stabilityChanged",
+  STABILITY_REQUESTED: "stabilityRequested", // Deferred stability: the view calculates it and sends APPLY_STABILITY
+  SECTION_LOCKED: "sectionLocked",
+  AUTO_LOCK_STARTED: "autoLockStarted",
+  AUTO_LOCK_TICK: "autoLockTick",
+  AUTO_LOCK_CANCELLED: "autoLockCancelled",
+  AUTO_LOCK_TOGGLED: "autoLockToggled",
+  TOWER_COLLAPSED: "towerCollapsed",
+  ATTACK_QUEUED: "attackQueued", // An attack waits out its warning time (see utils/defenses.js)
+  ATTACK_QUEUE_TICK: "attackQueueTick",
+  ATTACK_CANCELLED: "attackCancelled", // Line clears cancelled pending attack strength
+  ATTACK_REFLECTED: "attackReflected", // Cancelled strength goes back to the attacker (counter-attack)
+  ATTACK_RECEIVED: "attackReceived",
+  GARBAGE_INSERTED: "garbageInserted", // Garbage rows pushed the stack up (see utils/garbage.js)
+  HIT_BLOCKED: "hitBlocked", // A shield took an attack or ability
+  TOWER_REINFORCED: "towerReinforced",
+  ABILITY_USED: "abilityUsed",
+  ABILITY_REJECTED: "abilityRejected", // Not owned, cooling down or not enough charge
+  ABILITY_EARNED: "abilityEarned",
+  ABILITY_COOLDOWN_TICK: "abilityCooldownTick",
+  ABILITY_READY: "abilityReady", // A cooldown ran out
+  ABILITY_HIT: "abilityHit", // An opponent's ability took effect (see utils/abilities.js)
+  ABILITY_EXPIRED: "abilityExpired",
+  ROTATION_WOBBLED: "rotationWobbled", // A rotation under the wobble curse turned the other way
+};
+
+// Inputs accepted by applyInput
+export const GameInputs = {
+  MOVE_LEFT: "moveLeft",
+  MOVE_RIGHT: "moveRight",
+  SOFT_DROP: "softDrop",
+  HARD_DROP: "hardDrop",
+  HOLD: "hold",
+  ROTATE: "rotate",
+  ROTATE_CCW: "rotateCcw",
+  ROTATE_180: "rotate180",
+  LOCK_SECTION: "lockSection",
+  TOGGLE_AUTO_LOCK: "toggleAutoLock",
+  USE_ABILITY: "useAbility",
+  RECEIVE_ATTACK: "receiveAttack",
+  RECEIVE_ABILITY: "receiveAbility",
+  APPLY_STABILITY: "applyStability",
+};
@@ -0,0 +1,145 @@
+// engine/gameEngine.js
+// Renderer-agnostic game loop. Every function mutates a GameState and returns
+// the list of events that happened, so the same rules can run in the browser,
+// in Node for bots and tests, or on the server for validation.
+import { GameState } from "../state.js";
+import { initializePreviewQueue, resetRandomizer } from "../pieceHelpers.js";
+import { spawnTetromino, holdPiece } from "../spawn.js";
+import { movePiece, rotatePiece, dropPiece, hardDrop, tickLockDelay } from "../move.js";
+import { lockTowerSection } from "../lock.js";
+import { receiveAbility, tickAbilityEffects, getDropInterval } from "../abilities.js";
+import { useAbility, tickAbilityCooldowns } from "../abilityEconomy.js";
+import { queueAttack, tickAttackQueue, absorbWithShield } from "../defenses.js";
+import { isAbility } from "../abilityMessages.js";
+import { checkTowerHeight, tickAutoLockCountdown, cancelAutoLockCountdown } from "../towerHelpers.js";
+import { applyStabilityResult } from "../stability/stabilityUpdates.js";
+import { GameEvents, GameInputs } from "./events.js";
+
+// Create a new game with a filled preview queue
+export function createGame(options = {}) {
+  const state = new GameState(options);
+  initializePreviewQueue(state, state.shapes, state.previewSize);
+  return state;
+}
+
+// Start the game by spawning the first piece. Passing the room's seed (and
+// optionally a randomizer type) makes the piece sequence identical for everyone.
+export function startGame(state, options = {}) {
+  if (state.started) return [];
+  state.started = true;
+
+  if (options.seed !== undefined) {
+    resetRandomizer(state, options.seed, options.randomizer);
+  }
+
+  return spawnTetromino(state);
+}
+
+// Apply a single player (or network) input to the game
+export function applyInput(state, input) {
+  switch (input.type) {
+    case GameInputs.LOCK_SECTION:
+      // lockReady will be set to false by resetCharge
+      return lockTowerSection(state);
+    case GameInputs.TOGGLE_AUTO_LOCK:
+      return toggleAutoLock(state);
+    case GameInputs.USE_ABILITY:
+      return useAbility(state, input.ability);
+    case GameInputs.RECEIVE_ATTACK:
+      return queueAttack(state, input);
+    case GameInputs.RECEIVE_ABILITY:
+      return receiveAbilityHit(state, input);
+    case GameInputs.APPLY_STABILITY:
+      return applyStabilityResult(state, input.requestId, input.result);
+  }
+
+  // Remaining inputs all act on the active piece
+  if (!state.activePiece) return [];
+
+  switch (input.type) {
+    case GameInputs.MOVE_LEFT:
+      return movePiece(state, -1);
+    case GameInputs.MOVE_RIGHT:
+      return movePiece(state, 1);
+    case GameInputs.SOFT_DROP:
+      return dropPiece(state);
+    case GameInputs.ROTATE:
+      return rotatePiece(state, 1);
+    case GameInputs.ROTATE_CCW:
+      return rotatePiece(state, -1);
+    case GameInputs.ROTATE_180:
+      return rotatePiece(state, 2);
+    case GameInputs.HARD_DROP:
+      return hardDrop(state);
+    case GameInputs.HOLD:
+      return holdPiece(state);
+    default:
+      return [];
+  }
+}
+
+// Advance the game by delta milliseconds (abilities, gravity, lock delay, collapse and auto-lock timers)
+export function step(state, delta) {
+  if (!state.started) return [];
+
+  const events = [];
+
+  // Wait for a collapse to finish before spawning the next piece
+  if (state.spawnDelay !== null) {
+    state.spawnDelay -= delta;
+    if (state.spawnDelay <= 0) {
+      state.spawnDelay = null;
+      state.isCollapsing = false;
+      if (!state.activePiece) events.push(...spawnTetromino(state));
+    }
+  }
+
+  // Abilities in effect (wind pushes, gravity well, wobble curse, shield and
+  // counter-attack timers), the cooldowns of our own and waiting attacks
+  events.push(...tickAbilityEffects(state, delta));
+  events.push(...tickAbilityCooldowns(state, delta));
+  events.push(...tickAttackQueue(state, delta));
+
+  // Apply gravity at the current level's drop speed
+  if (state.activePiece) {
+    state.dropTimer += delta;
+    const dropSpeed = getDropInterval(state);
+    while (state.activePiece && state.dropTimer >= dropSpeed) {
+      state.dropTimer -= dropSpeed;
+      events.push(...dropPiece(state));
+    }
+  }
+
+  // Lock a grounded piece once its lock delay runs out
+  events.push(...tickLockDelay(state, delta));
+
+  // Check tower height continuously while a piece is falling
+  if (state.activePiece) {
+    events.push(...checkTowerHeight(state));
+  }
+
+  events.push(...tickAutoLockCountdown(state, delta));
+
+  return events;
+}
+
+// Turn automatic tower locking on or off
+function toggleAutoLock(state) {
+  state.autoLockEnabled = !state.autoLockEnabled;
+  const events = [{ type: GameEvents.AUTO_LOCK_TOGGLED, enabled: state.autoLockEnabled }];
+
+  // Cancel any existing countdown if turned off
+  if (!state.autoLockEnabled) {
+    events.push(...cancelAutoLockCountdown(state));
+  }
+
+  return events;
+}
+
+// A shield takes an opponent's ability before it does anything
+function receiveAbilityHit(state, input) {
+  if (!isAbility(input.ability)) return [];
+
+  const blocked = absorbWithShield(state, { ability: input.ability, from: input.from || null });
+  return blocked.length > 0 ? blocked : receiveAbility(state, input);
+}
@@ -0,0 +1,5 @@
+// engine/index.js
+// Main index file for the headless game engine
+
+export * from './events.js';
+export * from './gameEngine.js';
@@ -0,0 +1,370 @@
+// utils/gameView.js
+// Phaser view for the headless engine: renders the events returned by
+// applyInput/step. Game rules never run here, only sprites, text and sounds.
+import { GRID_SIZE } from "./constants.js";
+import { GameEvents, GameInputs } from "./engine/events.js";
+import { drawPiece, clearActiveBlocks, fadeActivePiece } from "./draw.js";
+import { renderPreviewQueue, renderHoldPiece } from "./pieceHelpers.js";
+import { updateChargeMeter } from "./chargeHelpers.js";
+import { updateText } from "./uiHelpers.js";
+import {
+  updateAbilityBar,
+  updateSidebarText,
+  updateAbilityOverlays,
+  updateAttackMeter,
+  showAutoLockWarning,
+  hideAutoLockWarning,
+} from "./ui.js";
+import {
+  animateBlockPlacement,
+  animateScoreChange,
+  animateGutterOverhang,
+  highlightCompleteRows,
+  flashCells,
+  animateWindGust,
+  floatMessage,
+  shakeScreen,
+  flashScreen,
+} from "./animHelpers.js";
+import { sendRoomMessage, useAbility, reflectAttack } from "./networkHelpers.js";
+import { getMaterial, MATERIALS } from "./materials.js";
+import { POWER_UPS } from "./powerUps.js";
+import { ABILITIES } from "./abilities.js";
+import { isAbility } from "./abilityMessages.js";
+import {
+  updateStabilityEffects,
+  getStabilityTextColor,
+  animateTowerCollapse,
+} from "./stability/stabilityEffects.js";
+
+// Map of event type to the handler that renders it
+export function createGameView(scene) {
+  return {
+    [GameEvents.PIECE_SPAWNED]: () => {
+      drawPiece(scene);
+      renderHoldPiece(scene, scene.state.shapes);
+    },
+    [GameEvents.PIECE_MOVED]: () => drawPiece(scene),
+    [GameEvents.LOCK_DELAY_TICK]: ({ remaining, delay }) => fadeActivePiece(scene, remaining, delay),
+    [GameEvents.LOCK_DELAY_CANCELLED]: () => drawPiece(scene),
+    [GameEvents.PIECE_DISCARDED]: () => clearActiveBlocks(scene),
+    [GameEvents.PIECE_LOCKED]: event => renderPieceLocked(scene, event),
+    [GameEvents.OVERHANG_PENALTY]: event => renderOverhangPenalty(scene, event),
+    [GameEvents.POWER_UP_TRIGGERED]: event => renderPowerUp(scene, event),
+    [GameEvents.QUEUE_CHANGED]: () => renderPreviewQueue(scene, scene.state.shapes),
+    [GameEvents.HOLD_CHANGED]: ({ heldPiece }) => {
+      renderHoldPiece(scene, scene.state.shapes);
+      sendRoomMessage(scene.room, "holdPiece", { heldPiece });
+    },
+    [GameEvents.SCORE_CHANGED]: ({ score }) => updateText(scene.scoreText, score, "Score: "),
+    [GameEvents.LINES_CHANGED]: ({ linesCleared }) => updateText(scene.linesText, linesCleared, "Lines: "),
+    [GameEvents.LEVEL_CHANGED]: ({ level }) => updateText(scene.levelText, level, "Level: "),
+    [GameEvents.CHARGE_CHANGED]: () => {
+      updateChargeMeter(scene);
+      updateSidebarText(scene);
+    },
+    [GameEvents.STABILITY_CHANGED]: () => updateStabilityEffects(scene),
+    [GameEvents.STABILITY_REQUESTED]: ({ requestId }) => requestStability(scene, requestId),
+    [GameEvents.SECTION_LOCKED]: event => renderSectionLocked(scene, event),
+    [GameEvents.AUTO_LOCK_STARTED]: ({ remaining }) => {
+      showAutoLockWarning(scene, remaining);
+      // Flash the screen to alert the player
+      flashScreen(scene, 200, 0xffff00);
+    },
+    [GameEvents.AUTO_LOCK_TICK]: ({ remaining, elapsed }) => {
+      showAutoLockWarning(scene, remaining);
+      // Flash more intensely as time runs out
+      flashScreen(scene, Math.min(500, 200 + elapsed * 100), 0xffff00);
+    },
+    [GameEvents.AUTO_LOCK_CANCELLED]: () => hideAutoLockWarning(scene),
+    [GameEvents.AUTO_LOCK_TOGGLED]: ({ enabled }) => {
+      scene.autoLockToggle.setText(`Auto-Lock: ${enabled ? 'ON' : 'OFF'}`);
+    },
+    [GameEvents.TOWER_COLLAPSED]: event => renderTowerCollapse(scene, event),
+    [GameEvents.ATTACK_QUEUED]: event => renderAttackQueued(scene, event),
+    [GameEvents.ATTACK_QUEUE_TICK]: () => updateAttackMeter(scene),
+    [GameEvents.ATTACK_CANCELLED]: event => renderAttackCancelled(scene, event),
+    [GameEvents.ATTACK_REFLECTED]: ({ strength, to }) => reflectAttack(scene, strength, to),
+    [GameEvents.ATTACK_RECEIVED]: event => renderAttack(scene, event),
+    [GameEvents.GARBAGE_INSERTED]: event => renderGarbage(scene, event),
+    [GameEvents.HIT_BLOCKED]: event => renderHitBlocked(scene, event),
+    [GameEvents.TOWER_REINFORCED]: event => renderTowerReinforced(scene, event),
+    [GameEvents.ABILITY_USED]: ({ ability }) => {
+      // Defensive abilities already took effect in the engine
+      if (isAbility(ability)) useAbility(scene, ability);
+      updateAbilityBar(scene);
+      updateAbilityOverlays(scene);
+    },
+    [GameEvents.ABILITY_REJECTED]: event => renderAbilityRejected(scene, event),
+    [GameEvents.ABILITY_EARNED]: event => renderAbilityEarned(scene, event),
+    [GameEvents.ABILITY_COOLDOWN_TICK]: () => updateAbilityBar(scene),
+    [GameEvents.ABILITY_HIT]: event => renderAbilityHit(scene, event),
+    [GameEvents.ABILITY_EXPIRED]: () => updateAbilityOverlays(scene),
+    [GameEvents.ROTATION_WOBBLED]: () => shakeScreen(scene, 120, 0.003),
+  };
+}
+
+// Render a list of engine events in order
+export function renderEvents(scene, events) {
+  for (const event of events) {
+    const handler = scene.view[event.type];
+    if (handler) handler(event);
+  }
+}
+
+// Redraw all locked blocks of the active section from the board
+export function renderBoard(scene) {
+  const { board } = scene.state;
+  scene.lockedBlocks.clear(true, true);
+
+  for (let y = 0; y < board.length; y++) {
+    for (let x = 0; x < board[y].length; x++) {
+      if (board[y][x]) {
+        const block = scene.add.image(x * GRID_SIZE, y * GRID_SIZE, getMaterial(board[y][x]).texture).setOrigin(0);
+        scene.lockedBlocks.add(block);
+      }
+    }
+  }
+}
+
+// Redraw the history section below the fold
+export function renderHistory(scene) {
+  scene.historyBlocks.clear(true, true);
+  const baseY = scene.state.rules.board.cutOffRow;
+  const visibleRows = scene.state.historyGrid.filter(row => row.some(cell => cell !== 0));
+
+  for (let y = 0; y < visibleRows.length; y++) {
+    for (let x = 0; x < visibleRows[y].length; x++) {
+      if (visibleRows[y][x]) {
+        const block = scene.add.image(
+          x * GRID_SIZE,
+          (baseY + y) * GRID_SIZE,
+          getMaterial(visibleRows[y][x]).texture
+        ).setOrigin(0).setAlpha(0.5);
+        scene.historyBlocks.add(block);
+      }
+    }
+  }
+}
+
+function renderPieceLocked(scene, { piece, placedCells, completeRows, scoreIncrease, callouts }) {
+  const { shape, x, y } = piece;
+  const texture = MATERIALS[piece.material].texture;
+  clearActiveBlocks(scene);
+
+  placedCells.forEach(cell => {
+    const block = scene.add
+      .image(cell.x * GRID_SIZE, cell.y * GRID_SIZE, texture)
+      .setOrigin(0);
+    scene.lockedBlocks.add(block);
+    animateBlockPlacement(scene, block);
+  });
+
+  // Show temporary highlight effect
+  highlightCompleteRows(scene, completeRows);
+
+  // Add score animation - only show the score from this drop
+  const centerX = (x + shape[0].length / 2) * GRID_SIZE;
+  const centerY = (y + shape.length / 2) * GRID_SIZE;
+  animateScoreChange(scene, scoreIncrease, centerX, centerY, callouts);
+
+  // If stability is low (instability is high), add slight shake effect
+  const { instability } = scene.state;
+  if (instability > 70) {
+    shakeScreen(scene, 300, Math.min(0.005, instability * 0.0001));
+  }
+
+  sendRoomMessage(scene.room, "blockPlaced", { x, y, shape });
+}
+
+function renderOverhangPenalty(scene, { blocks, penalty }) {
+  animateGutterOverhang(scene, blocks);
+  floatMessage(
+    scene,
+    `-${penalty} POINTS (OVERHANG PENALTY)`,
+    { fontSize: '18px', fill: '#ff4444', fontStyle: 'bold' }
+  );
+}
+
+function renderPowerUp(scene, { powerUp, origin, cells }) {
+  const { tint, label } = POWER_UPS[powerUp];
+  renderBoard(scene);
+  updateStabilityEffects(scene);
+  flashCells(scene, [origin, ...cells], tint);
+  if (powerUp === "bomb") shakeScreen(scene, 250, 0.006);
+
+  floatMessage(
+    scene,
+    cells.length > 0 ? `${label}! ${cells.length} BLOCKS` : `${label}!`,
+    { fontSize: '18px', fill: `#${tint.toString(16).padStart(6, "0")}`, fontStyle: 'bold' }
+  );
+}
+
+function renderAbilityHit(scene, { ability, from, direction, duration, moved }) {
+  const { tint, label } = ABILITIES[ability];
+  flashScreen(scene, 250, tint);
+
+  if (ability === "windGust") {
+    animateWindGust(scene, direction, duration, tint);
+  } else if (ability === "earthShake") {
+    renderBoard(scene);
+    updateStabilityEffects(scene);
+    flashCells(scene, moved.map(move => move.to), tint);
+    shakeScreen(scene, 500, 0.012);
+  }
+  updateAbilityOverlays(scene);
+
+  floatMessage(
+    scene,
+    from ? `${label} FROM ${from}!` : `${label}!`,
+    { fontSize: '22px', fill: `#${tint.toString(16).padStart(6, "0")}`, fontStyle: 'bold' },
+    1500,
+    150,
+    100
+  );
+}
+
+function renderAbilityEarned(scene, { ability }) {
+  const { tint, label } = ABILITIES[ability];
+  updateAbilityBar(scene);
+  floatMessage(
+    scene,
+    `+${label}`,
+    { fontSize: '18px', fill: `#${tint.toString(16).padStart(6, "0")}`, fontStyle: 'bold' }
+  );
+}
+
+function renderAbilityRejected(scene, { ability, reason }) {
+  const { label } = ABILITIES[ability];
+  const messages = {
+    notOwned: `NO ${label} YET`,
+    cooldown: `${label} IS COOLING DOWN`,
+    charge: `${label} NEEDS ${scene.state.rules.abilityCosts[ability]}% CHARGE`,
+  };
+  floatMessage(scene, messages[reason], { fontSize: '16px', fill: '#aaaaaa' }, 1000);
+}
+
+function renderSectionLocked(scene, { historicalStability }) {
+  // Display stability inheritance message
+  floatMessage(
+    scene,
+    `Average Stability: ${Math.floor(historicalStability)}%`,
+    { fontSize: '18px', fill: getStabilityTextColor(historicalStability), fontStyle: 'bold' },
+    2000
+  );
+
+  renderBoard(scene);
+  renderHistory(scene);
+}
+
+function renderTowerCollapse(scene, event) {
+  clearActiveBlocks(scene);
+
+  animateTowerCollapse(scene, event, () => {
+    renderBoard(scene);
+    updateStabilityEffects(scene);
+
+    // Notify other players of the collapse
+    if (event.kind === "full") {
+      sendRoomMessage(scene.room, "towerCollapse", {
+        rows: event.rows,
+        newInstability: event.instability,
+        penalty: event.penalty,
+      });
+    }
+  });
+}
+
+// Calculate the requested stability off the main thread and hand the result
+// back to the engine when it's ready. The next piece only spawns once the
+// result is applied, so a failed request is calculated here instead.
+function requestStability(scene, requestId) {
+  const { state, stabilityAnalyzer } = scene;
+  // Nothing to apply to once the scene shut down or started a new game
+  const isCurrent = () => !stabilityAnalyzer.isDisposed() && scene.state === state;
+
+  stabilityAnalyzer.analyze(state).then(result => {
+    if (isCurrent()) scene.dispatch({ type: GameInputs.APPLY_STABILITY, requestId, result });
+  }, error => {
+    if (!isCurrent()) return;
+    console.warn(`Stability request failed, calculating on the main thread: ${error.message || error}`);
+    const result = stabilityAnalyzer.analyzeSync(state);
+    scene.dispatch({ type: GameInputs.APPLY_STABILITY, requestId, result });
+  });
+}
+
+function renderAttackQueued(scene, { strength, from, kind, delay }) {
+  updateAttackMeter(scene);
+  flashScreen(scene, 150, 0xffaa00);
+  floatMessage(
+    scene,
+    `INCOMING ${kind === "garbage" ? "GARBAGE" : "ATTACK"}${from ? ` FROM ${from}` : ""}: ${strength} IN ${Math.ceil(delay / 1000)}s`,
+    { fontSize: '18px', fill: '#ffaa00', fontStyle: 'bold' }
+  );
+}
+
+function renderAttackCancelled(scene, { strength, pending }) {
+  updateAttackMeter(scene);
+  floatMessage(
+    scene,
+    pending > 0 ? `CANCELLED ${strength} (${pending} LEFT)` : `CANCELLED ${strength}!`,
+    { fontSize: '18px', fill: '#66ff66', fontStyle: 'bold' }
+  );
+}
+
+function renderHitBlocked(scene, { ability, strength }) {
+  updateAbilityOverlays(scene);
+  flashScreen(scene, 250, ABILITIES.shield.tint);
+  floatMessage(
+    scene,
+    ability ? `SHIELD BLOCKED ${ABILITIES[ability].label}!` : `SHIELD BLOCKED ${strength}!`,
+    { fontSize: '20px', fill: '#eeeeee', fontStyle: 'bold' }
+  );
+}
+
+function renderTowerReinforced(scene, { amount }) {
+  floatMessage(
+    scene,
+    amount > 0 ? `REINFORCED -${amount} INSTABILITY` : "REINFORCED",
+    { fontSize: '18px', fill: '#6688ff', fontStyle: 'bold' }
+  );
+}
+
+function renderAttack(scene, { strength }) {
+  updateAttackMeter(scene);
+  shakeScreen(scene);
+  flashScreen(scene, 300, 0xff0000);
+  floatMessage(
+    scene,
+    `ATTACK! +${strength} INSTABILITY`,
+    { fontSize: '24px', fill: '#ff0000', fontStyle: 'bold' },
+    1500,
+    150,
+    100
+  );
+}
+
+function renderGarbage(scene, { rows, holes }) {
+  const { gutterWidth, towerWidth, cutOffRow } = scene.state.rules.board;
+  const cells = [];
+  holes.forEach((hole, i) => {
+    for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
+      if (x !== hole) cells.push({ x, y: cutOffRow - 2 - i });
+    }
+  });
+
+  updateAttackMeter(scene);
+  renderBoard(scene);
+  drawPiece(scene);
+  updateStabilityEffects(scene);
+  flashCells(scene, cells, 0x888888);
+  shakeScreen(scene, 300, 0.006);
+  floatMessage(
+    scene,
+    `GARBAGE! +${rows} ${rows === 1 ? "ROW" : "ROWS"}`,
+    { fontSize: '24px', fill: '#aaaaaa', fontStyle: 'bold' },
+    1500,
+    150,
+    100
+  );
+}
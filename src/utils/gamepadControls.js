@@ -0,0 +1,199 @@
+// utils/gamepadControls.js
+// Controller input through the Phaser gamepad plugin. Buttons and sticks map
+// to the same actions as the keyboard bindings in utils/controls.js, and each
+// controller can use its own profile.
+
+const STORAGE_KEY = "quickstack.gamepadProfiles";
+
+// Button indices follow the browser's standard gamepad mapping:
+// 0-3 face buttons (bottom, right, left, top), 4/5 bumpers, 6/7 triggers,
+// 8 back/select, 9 start, 10/11 stick clicks, 12-15 D-pad up/down/left/right
+const STANDARD_BUTTONS = {
+  0: "rotateCW",
+  1: "rotateCCW",
+  2: "hold",
+  3: "lockSection",
+  4: "windGust",
+  5: "earthShake",
+  6: "gravityWell",
+  7: "wobbleCurse",
+  8: "cycleProfile",
+  9: "openControls",
+  11: "rotate180",
+  12: "hardDrop",
+  13: "softDrop",
+  14: "moveLeft",
+  15: "moveRight",
+};
+
+// Every button is taken, so the defensive abilities go on right stick flicks
+const STANDARD_RIGHT_STICK = {
+  left: "shield",
+  up: "reinforce",
+  right: "counterAttack",
+};
+
+// Profiles are picked by matching the controller id, unless the player chose
+// one for that controller (cycled with the back/select button)
+export const GAMEPAD_PROFILES = {
+  standard: {
+    label: "Standard",
+    match: null,
+    buttons: STANDARD_BUTTONS,
+    rightStick: STANDARD_RIGHT_STICK,
+    deadzone: 0.5,
+  },
+  playstation: {
+    label: "PlayStation",
+    match: /playstation|dualshock|dualsense|054c/i,
+    buttons: { ...STANDARD_BUTTONS, 17: "toggleDebug" }, // Touchpad click
+    rightStick: STANDARD_RIGHT_STICK,
+    deadzone: 0.4,
+  },
+  // Nintendo controllers put "A" on the right face button, so rotate
+  // clockwise with it like on the Switch
+  nintendo: {
+    label: "Nintendo",
+    match: /nintendo|057e|pro controller|joy-con/i,
+    buttons: { ...STANDARD_BUTTONS, 0: "rotateCCW", 1: "rotateCW" },
+    rightStick: STANDARD_RIGHT_STICK,
+    deadzone: 0.5,
+  },
+  // Sticks without analog input: tap up to rotate instead of hard dropping
+  classic: {
+    label: "Classic",
+    match: null,
+    buttons: { ...STANDARD_BUTTONS, 0: "hardDrop", 12: "rotateCW" },
+    rightStick: STANDARD_RIGHT_STICK,
+    deadzone: 0.5,
+  },
+};
+
+function loadChoices(storage) {
+  if (!storage) return {};
+  try {
+    return JSON.parse(storage.getItem(STORAGE_KEY) || "{}");
+  } catch (error) {
+    console.warn("Could not load gamepad profiles:", error);
+    return {};
+  }
+}
+
+// Name of the profile used by a controller id
+export function getGamepadProfileName(padId, storage = globalThis.localStorage) {
+  const chosen = loadChoices(storage)[padId];
+  if (GAMEPAD_PROFILES[chosen]) return chosen;
+
+  const matched = Object.keys(GAMEPAD_PROFILES).find(name => {
+    const { match } = GAMEPAD_PROFILES[name];
+    return match && match.test(padId);
+  });
+  return matched || "standard";
+}
+
+// Remember a profile for a controller id
+export function setGamepadProfile(padId, name, storage = globalThis.localStorage) {
+  if (!GAMEPAD_PROFILES[name]) {
+    throw new Error(`Unknown gamepad profile: ${name}`);
+  }
+  if (!storage) return;
+
+  const choices = loadChoices(storage);
+  choices[padId] = name;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(choices));
+  } catch (error) {
+    console.warn("Could not save gamepad profile:", error);
+  }
+}
+
+// Switch a controller to the next profile and return its name
+export function cycleGamepadProfile(padId, storage = globalThis.localStorage) {
+  const names = Object.keys(GAMEPAD_PROFILES);
+  const current = names.indexOf(getGamepadProfileName(padId, storage));
+  const next = names[(current + 1) % names.length];
+  setGamepadProfile(padId, next, storage);
+  return next;
+}
+
+// Actions held on a controller this frame
+function getActiveActions(pad, profile) {
+  const active = new Set();
+
+  for (const [index, action] of Object.entries(profile.buttons)) {
+    const button = pad.buttons[index];
+    if (button && button.pressed) active.add(action);
+  }
+
+  // Left stick moves and soft drops like the D-pad (hard drop stays on a button
+  // so a sloppy stick can't drop by accident)
+  const stick = pad.leftStick;
+  if (stick) {
+    if (stick.x <= -profile.deadzone) active.add("moveLeft");
+    else if (stick.x >= profile.deadzone) active.add("moveRight");
+    if (stick.y >= profile.deadzone) active.add("softDrop");
+  }
+
+  // Right stick flicks use the defensive abilities
+  const flick = pad.rightStick;
+  if (flick && profile.rightStick) {
+    const { left, up, right } = profile.rightStick;
+    if (flick.x <= -profile.deadzone) active.add(left);
+    else if (flick.x >= profile.deadzone) active.add(right);
+    else if (flick.y <= -profile.deadzone) active.add(up);
+  }
+
+  return active;
+}
+
+// Create a poller that turns controller state into press/release edges.
+// poll(pads) returns [{ action, pressed, pad }] for actions that changed.
+export function createGamepadPoller(storage = globalThis.localStorage) {
+  const held = new Map(); // Controller index -> { pad, actions }
+  const profiles = new Map(); // Controller id -> profile name
+
+  function getProfile(pad) {
+    if (!profiles.has(pad.id)) {
+      profiles.set(pad.id, getGamepadProfileName(pad.id, storage));
+    }
+    return GAMEPAD_PROFILES[profiles.get(pad.id)];
+  }
+
+  function poll(pads) {
+    const edges = [];
+    const seen = new Set();
+
+    pads.forEach(pad => {
+      if (!pad || !pad.connected) return;
+      seen.add(pad.index);
+
+      const actions = getActiveActions(pad, getProfile(pad));
+      const previous = held.has(pad.index) ? held.get(pad.index).actions : new Set();
+      actions.forEach(action => {
+        if (!previous.has(action)) edges.push({ action, pressed: true, pad });
+      });
+      previous.forEach(action => {
+        if (!actions.has(action)) edges.push({ action, pressed: false, pad });
+      });
+      held.set(pad.index, { pad, actions });
+    });
+
+    // Release everything a disconnected controller was holding
+    held.forEach(({ pad, actions }, index) => {
+      if (seen.has(index)) return;
+      actions.forEach(action => edges.push({ action, pressed: false, pad }));
+      held.delete(index);
+    });
+
+    return edges;
+  }
+
+  // Move a controller to its next profile
+  function cycleProfile(pad) {
+    const name = cycleGamepadProfile(pad.id, storage);
+    profiles.set(pad.id, name);
+    return GAMEPAD_PROFILES[name];
+  }
+
+  return { poll, cycleProfile };
+}
@@ -0,0 +1,91 @@
+// utils/garbage.js
+// Garbage attacks. Instead of adding instability, a garbage attack inserts
+// rows just above the foundation, each full except for a hole, and pushes the
+// stack up. One row lands for every rules.garbage.strengthPerRow of strength
+// (rounded up), so cancelling strength with line clears also cancels rows.
+// The holes come from the attack's seed: the first is random, and each row
+// after it moves its hole to a new column with rules.garbage.messiness. An
+// attack without a seed gets one from the game seed and the number of garbage
+// attacks landed so far, so its pattern still replays the same.
+import { GameEvents } from "./engine/events.js";
+import { createRng } from "./randomizer.js";
+import { checkCollision } from "./collision.js";
+import { createEmptyBoard } from "./boardHelpers.js";
+import { getPieceMaterial } from "./materials.js";
+import { refreshStability } from "./stability/stabilityUpdates.js";
+import { checkTowerHeight, performAutoLock } from "./towerHelpers.js";
+
+// Rows a garbage attack of this strength inserts
+export function getGarbageRows(state, strength) {
+  return Math.ceil(strength / state.rules.garbage.strengthPerRow);
+}
+
+// Hole column of each row, bottom row first
+export function createHolePattern(seed, rows, rules) {
+  const { gutterWidth, towerWidth } = rules.board;
+  const rng = createRng(`${seed}:garbage`);
+  const holes = [];
+
+  let hole = gutterWidth + Math.floor(rng() * towerWidth);
+  for (let i = 0; i < rows; i++) {
+    // Both rolls happen for every row, so the pattern of a smaller attack is
+    // the bottom of a bigger one with the same seed
+    const moves = rng() < rules.garbage.messiness;
+    const next = gutterWidth + Math.floor(rng() * towerWidth);
+    if (i > 0 && moves) hole = next;
+    holes.push(hole);
+  }
+  return holes;
+}
+
+// Insert the rows of a garbage attack. Blocks pushed past the top of the
+// board are lost (the emergency auto-lock normally locks the section first),
+// and the falling piece moves up until it clears the stack. If not even the
+// top of the board is clear, the section locks at once to make room.
+export function insertGarbage(state, { strength, seed = null, from = null }) {
+  const { width, gutterWidth, towerWidth, cutOffRow } = state.rules.board;
+  const rows = Math.min(getGarbageRows(state, strength), cutOffRow - 1);
+  const patternSeed = seed ?? `${state.seed}:${state.garbageAttacks}`;
+  state.garbageAttacks++;
+  const holes = createHolePattern(patternSeed, rows, state.rules);
+  const { id } = getPieceMaterial(state.rules, "garbage");
+
+  // Shift everything above the foundation up, then fill the freed rows
+  const foundationY = cutOffRow - 1;
+  const board = createEmptyBoard(state.board.length, width);
+  for (let y = rows; y < foundationY; y++) {
+    board[y - rows] = state.board[y];
+  }
+  board[foundationY] = state.board[foundationY];
+  holes.forEach((hole, i) => {
+    const y = foundationY - 1 - i;
+    for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
+      if (x !== hole) board[y][x] = id;
+    }
+  });
+  state.board = board;
+
+  const events = [{ type: GameEvents.GARBAGE_INSERTED, rows, holes, from }];
+
+  const piece = state.activePiece;
+  if (piece) {
+    const startY = piece.y;
+    // Highest position: the piece's top filled row in the board's top row
+    const topY = -piece.shape.findIndex(row => row.some(Boolean));
+    while (checkCollision(state) && piece.y > topY) piece.y--;
+    if (piece.y !== startY) {
+      piece.lastKick = null;
+      events.push({ type: GameEvents.PIECE_MOVED, piece: { ...piece } });
+    }
+    if (checkCollision(state)) {
+      events.push(...performAutoLock(state));
+    }
+  }
+
+  // The board changed even if no stability result exists yet
+  events.push(...refreshStability(state));
+  if (!state.isCollapsing && !state.stabilityPending) {
+    events.push(...checkTowerHeight(state));
+  }
+  return events;
+}
@@ -0,0 +1,108 @@
+// utils/inputRepeater.js
+// Frame-driven key repeat (DAS/ARR). Held movement is timed by the game loop
+// instead of the OS keyboard repeat, so it behaves the same on every machine.
+import { DEFAULT_HANDLING } from "./constants.js";
+import { STANDARD_RULESET } from "./ruleset.js";
+import { GameInputs } from "./engine/events.js";
+
+const REPEATED_INPUTS = {
+  left: GameInputs.MOVE_LEFT,
+  right: GameInputs.MOVE_RIGHT,
+  softDrop: GameInputs.SOFT_DROP,
+};
+
+// Create a repeater. press/release return the inputs to apply right away,
+// update(delta, dropSpeed) returns the repeated inputs for this frame.
+// The board (from the ruleset) caps how many repeats one frame can fire.
+export function createInputRepeater(settings = {}, board = STANDARD_RULESET.board) {
+  const handling = { ...DEFAULT_HANDLING, ...settings };
+  const held = new Set();
+  let direction = null; // Most recently pressed horizontal direction
+  let shiftTimer = 0;
+  let repeatTimer = 0;
+  let softDropTimer = 0;
+
+  function startShift(action) {
+    direction = action;
+    shiftTimer = 0;
+    repeatTimer = 0;
+  }
+
+  function press(action) {
+    if (!REPEATED_INPUTS[action] || held.has(action)) return [];
+    held.add(action);
+
+    if (action === "softDrop") {
+      softDropTimer = 0;
+    } else {
+      startShift(action);
+    }
+    return [{ type: REPEATED_INPUTS[action] }];
+  }
+
+  function release(action) {
+    held.delete(action);
+    if (action !== direction) return [];
+
+    // Fall back to the other direction if it is still held (it charges DAS again)
+    const other = action === "left" ? "right" : "left";
+    if (held.has(other)) {
+      startShift(other);
+    } else {
+      direction = null;
+    }
+    return [];
+  }
+
+  function update(delta, dropSpeed) {
+    const inputs = [];
+
+    if (direction) {
+      const before = shiftTimer;
+      shiftTimer += delta;
+
+      if (shiftTimer >= handling.das) {
+        const move = { type: REPEATED_INPUTS[direction] };
+
+        // First repeat fires as soon as DAS is charged
+        if (before < handling.das) {
+          inputs.push(move);
+          repeatTimer = shiftTimer - handling.das;
+        } else {
+          repeatTimer += delta;
+        }
+
+        if (handling.arr <= 0) {
+          // Blocked moves are ignored by the engine, so this slides to the wall
+          for (let i = 0; i < board.width; i++) inputs.push(move);
+          repeatTimer = 0;
+        } else {
+          while (repeatTimer >= handling.arr) {
+            inputs.push(move);
+            repeatTimer -= handling.arr;
+          }
+        }
+      }
+    }
+
+    if (held.has("softDrop")) {
+      softDropTimer += delta;
+      const interval = Math.max(1, dropSpeed / handling.softDropFactor);
+      for (let i = 0; softDropTimer >= interval && i < board.height; i++) {
+        inputs.push({ type: GameInputs.SOFT_DROP });
+        softDropTimer -= interval;
+      }
+      softDropTimer = Math.min(softDropTimer, interval);
+    }
+
+    return inputs;
+  }
+
+  // Drop every held key, e.g. when the window loses focus
+  function reset() {
+    held.clear();
+    direction = null;
+  }
+
+  return { handling, press, release, update, reset };
+}
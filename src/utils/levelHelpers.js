@@ -1,34 +1,18 @@
 // utils/levelHelpers.js
-import { updateText } from "./uiHelpers.js";
-import { dropPiece } from "./move.js";
+import { STANDARD_RULESET } from "./ruleset.js";
 
-// Define standard drop speeds based on level
-export function getDropSpeed(level) {
-  // Base speed of 500ms (medium)
-  const baseSpeed = 500;
-  // Each level reduces the delay by 50ms, with a minimum of 50ms
-  const speedReduction = Math.min(level * 50, 450);
+// Drop interval in ms for a level, from the ruleset's gravity rules
+export function getDropSpeed(level, gravity = STANDARD_RULESET.gravity) {
+  // Each level reduces the delay by speedPerLevel, down to minSpeed
+  const { baseSpeed, speedPerLevel, minSpeed } = gravity;
   
-  return Math.max(baseSpeed - speedReduction, 50);
+  return Math.max(baseSpeed - level * speedPerLevel, minSpeed);
 }
 
-// Increase level and update UI
-export function increaseLevel(scene) {
-  scene.level++;
-  updateText(scene.levelText, scene.level, "Level: ");
-  
-  // Update fall speed if there's an active piece
-  if (scene.activePiece && scene.fallTimer) {
-    scene.fallTimer.remove();
-    const newSpeed = getDropSpeed(scene.level);
-    scene.fallTimer = scene.time.addEvent({
-      delay: newSpeed,
-      callback: () => dropPiece(scene),
-      loop: true
-    });
-  }
-  
-  return scene.level;
+// Increase level (drop speed is read from getDropSpeed on every step)
+export function increaseLevel(state) {
+  state.level++;
+  return state.level;
 }
 
 // Calculate score based on level and complete lines
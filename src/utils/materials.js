@@ -0,0 +1,40 @@
+// utils/materials.js
+// Block materials. A board cell holds the id of its block's material (0 is
+// empty), so any truthy cell is still a block and a plain 1 is stone. The
+// ruleset decides which material each piece type is made of.
+//
+// weight: load on the blocks below (loadAnalysis.js, balance penalties)
+// support: how much weight it carries from above and steadies its neighbours
+// brittleness: how much void damage spreads into it (stone is the baseline)
+export const MATERIALS = {
+  stone: { id: 1, name: "stone", texture: "stone", weight: 1.0, support: 1.0, brittleness: 0.2 },
+  wood: { id: 2, name: "wood", texture: "wood", weight: 0.6, support: 0.8, brittleness: 0.1 },
+  steel: { id: 3, name: "steel", texture: "steel", weight: 1.5, support: 1.4, brittleness: 0 },
+  glass: { id: 4, name: "glass", texture: "glass", weight: 0.8, support: 0.6, brittleness: 0.7 },
+  glue: { id: 5, name: "glue", texture: "glue", weight: 0.4, support: 2.5, brittleness: 0 }, // Glue power-up
+};
+
+export const DEFAULT_MATERIAL = MATERIALS.stone;
+
+// Image for each material texture
+export const MATERIAL_TEXTURES = {
+  stone: "./assets/brick-v1.png",
+  wood: "./assets/block-v2.png",
+  steel: "./assets/block.png",
+  glass: "./assets/brick-v2.png",
+  glue: "./assets/block-v1.png",
+};
+
+const MATERIALS_BY_ID = Object.fromEntries(
+  Object.values(MATERIALS).map(material => [material.id, material])
+);
+
+// Material of a filled board cell (unknown ids count as stone)
+export function getMaterial(cell) {
+  return MATERIALS_BY_ID[cell] || DEFAULT_MATERIAL;
+}
+
+// Material a piece type is made of under the given ruleset
+export function getPieceMaterial(rules, type) {
+  return MATERIALS[rules.materials[type]] || DEFAULT_MATERIAL;
+}
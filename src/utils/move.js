@@ -1,33 +1,124 @@
 // utils/move.js
-import { drawPiece } from "./draw.js";
-import { clearActiveBlocks } from "./draw.js";
-import { tryRotation } from "./tetrominoHelpers.js";
+import { tryRotation, getKickTable } from "./tetrominoHelpers.js";
+import { checkCollision, checkCollisionAt } from "./collision.js";
+import { lockPiece } from "./place.js";
+import { spawnTetromino } from "./spawn.js";
+import { GameEvents } from "./engine/events.js";
+import { getWobbleTurns } from "./abilities.js";
 
-export function movePiece(scene, dx) {
-  scene.activePiece.x += dx;
-  if (scene.checkCollision()) {
-    scene.activePiece.x -= dx;
-  } else {
-    drawPiece(scene);
+export function movePiece(state, dx) {
+  state.activePiece.x += dx;
+  if (checkCollision(state)) {
+    state.activePiece.x -= dx;
+    return [];
   }
+  // Only a rotation as the last move can score a T-spin
+  state.activePiece.lastKick = null;
+  return [pieceMoved(state), ...resetLockDelay(state)];
 }
 
-export function rotatePiece(scene) {
+// Rotate the active piece by `turns` clockwise quarter turns (-1 for
+// counter-clockwise, 2 for 180 degrees)
+export function rotatePiece(state, turns = 1) {
+  const piece = state.activePiece;
+  const kicks = getKickTable(state.rotationSystem, piece.type);
+  const wobbledTurns = getWobbleTurns(state, turns);
+  const events = wobbledTurns !== turns ? [{ type: GameEvents.ROTATION_WOBBLED, turns: wobbledTurns }] : [];
+
   // If rotation is successful, the piece position will already be updated
-  if (tryRotation(scene, scene.activePiece, scene.kicks)) {
-    drawPiece(scene);
+  if (tryRotation(state, piece, kicks, wobbledTurns)) {
+    events.push(pieceMoved(state), ...resetLockDelay(state));
+  }
+  return events;
+}
+
+// Move the piece down one row. A grounded piece starts its lock delay
+// instead of locking straight away.
+export function dropPiece(state) {
+  state.activePiece.y++;
+  if (checkCollision(state)) {
+    state.activePiece.y--;
+    return groundPiece(state);
+  }
+  state.activePiece.lastKick = null;
+
+  // Reaching a new lowest row gives the piece a fresh set of resets
+  if (state.activePiece.y > state.lockLowestY) {
+    state.lockLowestY = state.activePiece.y;
+    state.lockResets = 0;
+  }
+  return [pieceMoved(state)];
+}
+
+export function hardDrop(state) {
+  const piece = state.activePiece;
+  let dropY = piece.y;
+  while (!checkCollisionAt(state, piece.x, dropY + 1, piece.shape)) dropY++;
+  if (dropY !== piece.y) piece.lastKick = null;
+  piece.y = dropY;
+  return [pieceMoved(state), ...lockAndSpawn(state)];
+}
+
+// Count down the lock delay of a grounded piece and lock it once it runs out
+export function tickLockDelay(state, delta) {
+  if (!state.activePiece || state.lockTimer === null) return [];
+
+  // The piece was moved off the ledge, gravity takes over again
+  if (!isGrounded(state)) {
+    state.lockTimer = null;
+    return [{ type: GameEvents.LOCK_DELAY_CANCELLED }];
+  }
+
+  state.lockTimer = Math.max(0, state.lockTimer - delta);
+  if (state.lockTimer === 0) {
+    return lockAndSpawn(state);
   }
+  return [lockDelayTick(state)];
 }
 
-export function dropPiece(scene) {
-  scene.activePiece.y++;
-  clearActiveBlocks(scene);
-  if (scene.checkCollision()) {
-    scene.activePiece.y--;
-    drawPiece(scene); // Ensure it's rendered even if locking immediately
-    const locked = scene.lockPiece();
-    if (locked) scene.spawnTetromino();
-  } else {
-    drawPiece(scene);
+// Start the lock delay when the piece touches down. Pieces lock at once when
+// there is no delay or the reset limit has been used up.
+function groundPiece(state) {
+  if (state.lockDelay <= 0 || state.lockResets >= state.lockResetLimit) {
+    return lockAndSpawn(state);
   }
-}
\ No newline at end of file
+  if (state.lockTimer === null) {
+    state.lockTimer = state.lockDelay;
+    return [lockDelayTick(state)];
+  }
+  return [];
+}
+
+// Moving or rotating a grounded piece restarts its lock delay
+function resetLockDelay(state) {
+  if (state.lockTimer === null || state.lockResets >= state.lockResetLimit) return [];
+
+  state.lockResets++;
+  state.lockTimer = state.lockDelay;
+  return [lockDelayTick(state)];
+}
+
+function isGrounded(state) {
+  const { x, y, shape } = state.activePiece;
+  return checkCollisionAt(state, x, y + 1, shape);
+}
+
+function lockDelayTick(state) {
+  return { type: GameEvents.LOCK_DELAY_TICK, remaining: state.lockTimer, delay: state.lockDelay };
+}
+
+// Lock the active piece and bring in the next one unless the lock
+// triggered a collapse (the engine spawns once the collapse has finished)
+// or is waiting for a deferred stability result (spawned when it arrives)
+function lockAndSpawn(state) {
+  state.lockTimer = null;
+  const events = lockPiece(state);
+  if (!state.activePiece && !state.isCollapsing && !state.stabilityPending) {
+    events.push(...spawnTetromino(state));
+  }
+  return events;
+}
+
+function pieceMoved(state) {
+  return { type: GameEvents.PIECE_MOVED, piece: { ...state.activePiece } };
+}
@@ -1,7 +1,16 @@
 // utils/networkHelpers.js
 import * as Colyseus from "colyseus.js";
-import { shakeScreen, flashScreen } from "./animHelpers.js";
-import { updateStabilityAfterPlacement  } from "./instabilityHelpers.js";
+import { GameInputs } from "./engine/events.js";
+import {
+  AbilityMessages,
+  createUseAbilityMessage,
+  createReflectMessage,
+  parseAbilityHit,
+  parseIncomingAttack,
+} from "./abilityMessages.js";
+import { generateSeed, RANDOMIZER_TYPES } from "./randomizer.js";
+import { resolveTarget, selectTarget } from "./targeting.js";
+import { updateTargetText } from "./ui.js";
 
 // Create a Colyseus client connection
 export function createClient(endpoint = "ws://localhost:2567") {
@@ -38,53 +47,42 @@ export function sendRoomMessage(room, messageType, data, onError) {
 export function setupMessageHandlers(room, scene, TETROMINO_SHAPES) {
   if (!room) return;
   
-  // Game start handler
-  room.onMessage("gameStart", () => {
-    scene.spawnTetromino(TETROMINO_SHAPES);
+  // Game start handler, the server shares one piece seed with the whole room.
+  // A randomizer this client doesn't know falls back to the ruleset's.
+  room.onMessage("gameStart", (data) => {
+    const { seed, randomizer } = data ?? {};
+    const known = randomizer === undefined || Object.hasOwn(RANDOMIZER_TYPES, randomizer);
+    if (!known) {
+      console.warn(`Unknown randomizer "${randomizer}", using the ruleset's "${scene.state.rules.pieces.randomizer}"`);
+    }
+    scene.startGame({ seed, randomizer: known ? randomizer : undefined });
   });
   
-  // Attack handler
-  room.onMessage("incomingAttack", (data) => {
-    const attackStrength = data.strength || 10;
-    scene.externalInstability += attackStrength;
-    
-    // Recalculate instability after attack
-    scene.instability += attackStrength;
-    
-    // Update visuals after attack
-    if (scene.cellStability) {
-      updateStabilityAfterPlacement (scene, {
-        shape: [[1]], // Dummy shape for recalculation
-        x: GUTTER_WIDTH,
-        y: findTopRow(scene.board) || 0
-      });
+  // Attack handler, the attack waits in the engine's queue before it lands
+  room.onMessage(AbilityMessages.ATTACK, (data) => {
+    const attack = parseIncomingAttack(data);
+    if (!attack) {
+      console.warn("Ignoring malformed attack message:", data);
+      return;
     }
-    
-    // Visual feedback
-    shakeScreen(scene);
-    flashScreen(scene, 300, 0xff0000);
-    
-    // Display attack message
-    const attackText = scene.add.text(
-      scene.game.config.width / 2,
-      150,
-      `ATTACK! +${attackStrength} INSTABILITY`,
-      { fontSize: '24px', fill: '#ff0000', fontStyle: 'bold' }
-    ).setOrigin(0.5);
-    
-    // Fade out attack message
-    scene.tweens.add({
-      targets: attackText,
-      alpha: 0,
-      y: 100,
-      duration: 1500,
-      onComplete: () => attackText.destroy()
-    });
+    scene.dispatch({ type: GameInputs.RECEIVE_ATTACK, ...attack });
+  });
+  
+  // Ability handler, the effect plays out from the seed in the message
+  room.onMessage(AbilityMessages.HIT, (data) => {
+    const hit = parseAbilityHit(data);
+    if (!hit) {
+      console.warn("Ignoring malformed ability message:", data);
+      return;
+    }
+    scene.dispatch({ type: GameInputs.RECEIVE_ABILITY, ability: hit.type, seed: hit.seed, from: hit.from });
   });
   
   // Tower update handler
-  room.onMessage("adjacentTowerUpdate", ({ from, towerHeight, instability }) => {
-    updateAdjacentTower(scene, from, towerHeight, instability);
+  room.onMessage("adjacentTowerUpdate", ({ from, towerHeight, instability, heldPiece }) => {
+    scene.opponents[from] = { towerHeight, instability, heldPiece };
+    updateAdjacentTower(scene, from, towerHeight, instability, heldPiece);
+    updateTargetMarker(scene);
   });
   
   // Tower collapse handler
@@ -111,7 +109,7 @@ export function setupMessageHandlers(room, scene, TETROMINO_SHAPES) {
 }
 
 // Update adjacent tower visualization
-export function updateAdjacentTower(scene, from, towerHeight, instability) {
+export function updateAdjacentTower(scene, from, towerHeight, instability, heldPiece) {
   if (!scene.adjacentTowers[from]) {
     scene.adjacentTowers[from] = scene.add.group();
   }
@@ -136,24 +134,58 @@ export function updateAdjacentTower(scene, from, towerHeight, instability) {
       block.setTint(0xffffaa); // Yellow for low instability
     }
   }
+  
+  // Show the opponent's held piece under their tower
+  if (heldPiece) {
+    const holdLabel = scene.add.text(baseX, baseY + 20, heldPiece, {
+      fontSize: '12px',
+      fill: '#ffffff'
+    }).setOrigin(0.5, 0);
+    tower.add(holdLabel);
+  }
+  
+  // Clicking the tower targets this opponent with our abilities
+  const top = baseY - Math.max(towerHeight, 1) * 20;
+  const hitArea = scene.add.rectangle(baseX, top, 40, baseY - top + 40, 0xffffff, 0)
+    .setOrigin(0.5, 0)
+    .setInteractive();
+  hitArea.on('pointerdown', () => {
+    selectTarget(scene.targeting, from);
+    updateTargetText(scene);
+    updateTargetMarker(scene);
+  });
+  tower.add(hitArea);
 }
 
-// Use an ability
-export function useAbility(scene, abilityType) {
-  if (scene.abilities.includes(abilityType)) {
-    sendRoomMessage(scene.room, "useAbility", { type: abilityType });
-    scene.abilities = scene.abilities.filter(a => a !== abilityType);
-    return true;
+// Outline the opponent our abilities would hit right now (none in random mode)
+export function updateTargetMarker(scene) {
+  const target = scene.targeting.mode === "random" ? null : resolveTarget(scene.targeting, scene.opponents);
+
+  if (!scene.targetMarker) {
+    scene.targetMarker = scene.add.rectangle(0, 0, 40, 0)
+      .setOrigin(0.5, 0)
+      .setStrokeStyle(2, 0xffff00);
   }
-  return false;
+  scene.targetMarker.setVisible(target !== null);
+  if (target === null) return;
+
+  const index = Object.keys(scene.adjacentTowers).indexOf(target);
+  const baseX = 250 + index * 60;
+  const baseY = 580;
+  const top = baseY - Math.max(scene.opponents[target].towerHeight, 1) * 20;
+  scene.targetMarker.setPosition(baseX, top - 10);
+  scene.targetMarker.setSize(40, baseY - top + 50);
 }
 
-// Find topmost row (helper function)
-function findTopRow(board) {
-  for (let y = 0; y < board.length; y++) {
-    if (board[y].some(cell => cell === 1)) {
-      return y;
-    }
-  }
-  return -1;
-}
\ No newline at end of file
+// Send attack strength cancelled under a counter-attack back to the attacker
+export function reflectAttack(scene, strength, to) {
+  return sendRoomMessage(scene.room, AbilityMessages.REFLECT, createReflectMessage(strength, to));
+}
+
+// Tell the server an ability was used and who it should hit (relayed to the
+// victim as AbilityMessages.HIT)
+export function useAbility(scene, abilityType) {
+  const seed = generateSeed();
+  const target = { mode: scene.targeting.mode, playerId: resolveTarget(scene.targeting, scene.opponents, seed) };
+  return sendRoomMessage(scene.room, AbilityMessages.USE, createUseAbilityMessage(abilityType, { seed, target }));
+}
@@ -1,55 +1,112 @@
 // utils/pieceHelpers.js
-import { GRID_SIZE, BOARD_WIDTH } from "./constants.js";
-import { renderBlocks } from "./tetrominoHelpers.js";
+import { GRID_SIZE } from "./constants.js";
+import { createRandomizer, createRng } from "./randomizer.js";
+import { trimShape } from "./tetrominoHelpers.js";
+import { getPieceMaterial } from "./materials.js";
+import { POWER_UPS, createPowerUpDealer, getPieceShape, isPowerUp } from "./powerUps.js";
 
-// Generate a random piece type
-export function getRandomPieceType(TETROMINO_SHAPES) {
+// Generate a random piece type (uniform, use the state's randomizer for play)
+export function getRandomPieceType(TETROMINO_SHAPES, rng = Math.random) {
   const keys = Object.keys(TETROMINO_SHAPES);
-  return keys[Math.floor(Math.random() * keys.length)];
+  return keys[Math.floor(rng() * keys.length)];
 }
 
-// Initialize the preview queue with random pieces
-export function initializePreviewQueue(scene, TETROMINO_SHAPES, count) {
-  scene.previewQueue = [];
+// Replace the randomizer (e.g. with the room's seed) and refill the queue
+export function resetRandomizer(state, seed, type = state.randomizer.type) {
+  state.seed = seed;
+  state.randomizer = createRandomizer(type, Object.keys(state.shapes), seed);
+  state.powerUpDealer = createPowerUpDealer(state.rules, seed);
+  state.abilityRng = createRng(`${seed}:abilities`);
+  return initializePreviewQueue(state, state.shapes, state.previewSize);
+}
+
+// Initialize the preview queue from the randomizer
+export function initializePreviewQueue(state, TETROMINO_SHAPES, count) {
+  state.previewQueue = [];
   for (let i = 0; i < count; i++) {
-    scene.previewQueue.push(getRandomPieceType(TETROMINO_SHAPES));
+    state.previewQueue.push(dealPiece(state));
   }
-  renderPreviewQueue(scene, TETROMINO_SHAPES);
+  return state.previewQueue;
 }
 
 // Add a new piece to the preview queue
-export function addToPreviewQueue(scene, TETROMINO_SHAPES) {
-  scene.previewQueue.push(getRandomPieceType(TETROMINO_SHAPES));
-  renderPreviewQueue(scene, TETROMINO_SHAPES);
+export function addToPreviewQueue(state, TETROMINO_SHAPES) {
+  state.previewQueue.push(dealPiece(state));
+  return state.previewQueue;
+}
+
+// The next piece type: a power-up when one is due, otherwise the randomizer's
+function dealPiece(state) {
+  return state.powerUpDealer.next() || state.randomizer.next();
 }
 
 // Get the next piece from the queue and add a new one
-export function getNextPiece(scene, TETROMINO_SHAPES) {
-  if (scene.previewQueue.length === 0) {
-    initializePreviewQueue(scene, TETROMINO_SHAPES, scene.previewSize);
+export function getNextPiece(state, TETROMINO_SHAPES) {
+  if (state.previewQueue.length === 0) {
+    initializePreviewQueue(state, TETROMINO_SHAPES, state.previewSize);
   }
   
-  const nextPieceType = scene.previewQueue.shift();
-  addToPreviewQueue(scene, TETROMINO_SHAPES);
+  const nextPieceType = state.previewQueue.shift();
+  addToPreviewQueue(state, TETROMINO_SHAPES);
   
   return {
     type: nextPieceType,
-    shape: TETROMINO_SHAPES[nextPieceType]
+    shape: getPieceShape(TETROMINO_SHAPES, nextPieceType)
   };
 }
 
+// Sidebar pieces are drawn at 80%, pieces wider or taller than four blocks
+// (pentominoes, custom sets) shrink to the size of a four-block piece
+function getPreviewScale(shape) {
+  return Math.min(0.8, 3.2 / Math.max(shape.length, shape[0].length));
+}
+
+// Render the held piece in the sidebar
+export function renderHoldPiece(scene, TETROMINO_SHAPES) {
+  scene.holdBlocks.clear(true, true);
+  
+  const { heldPiece, canHold } = scene.state;
+  if (!heldPiece) return;
+  
+  const shape = trimShape(getPieceShape(TETROMINO_SHAPES, heldPiece));
+  const { texture } = getPieceMaterial(scene.state.rules, heldPiece);
+  const scale = getPreviewScale(shape);
+  const pieceWidth = shape[0].length * GRID_SIZE * scale;
+  const centerX = scene.state.rules.board.width * GRID_SIZE + 100 - pieceWidth / 2;
+  const startY = 500;
+  
+  for (let row = 0; row < shape.length; row++) {
+    for (let col = 0; col < shape[0].length; col++) {
+      if (shape[row][col]) {
+        const block = scene.add.image(
+          centerX + col * GRID_SIZE * scale,
+          startY + row * GRID_SIZE * scale,
+          texture
+        ).setOrigin(0, 0).setScale(scale);
+        
+        // Dim the held piece while it can't be swapped back
+        if (!canHold) block.setAlpha(0.4);
+        if (isPowerUp(heldPiece)) block.setTint(POWER_UPS[heldPiece].tint);
+        
+        scene.holdBlocks.add(block);
+      }
+    }
+  }
+}
+
 // Render the preview queue in the sidebar
 export function renderPreviewQueue(scene, TETROMINO_SHAPES) {
   // Clear existing preview blocks
   scene.previewBlocks.clear(true, true);
   
   // Render each piece in the queue
-  const startX = BOARD_WIDTH * GRID_SIZE + 30;
+  const startX = scene.state.rules.board.width * GRID_SIZE + 30;
   let startY = 160;
   
-  scene.previewQueue.forEach((pieceType, index) => {
-    const shape = TETROMINO_SHAPES[pieceType];
-    const scale = 0.8; // Slightly smaller than regular pieces
+  scene.state.previewQueue.forEach((pieceType, index) => {
+    const shape = trimShape(getPieceShape(TETROMINO_SHAPES, pieceType));
+    const { texture } = getPieceMaterial(scene.state.rules, pieceType);
+    const scale = getPreviewScale(shape); // Slightly smaller than regular pieces
     
     // Calculate center position for the piece
     const pieceWidth = shape[0].length * GRID_SIZE * scale;
@@ -63,8 +120,9 @@ export function renderPreviewQueue(scene, TETROMINO_SHAPES) {
           const block = scene.add.image(
             centerX + col * GRID_SIZE * scale,
             startY + row * GRID_SIZE * scale,
-            "block"
+            texture
           ).setOrigin(0, 0).setScale(scale);
+          if (isPowerUp(pieceType)) block.setTint(POWER_UPS[pieceType].tint);
           
           scene.previewBlocks.add(block);
         }
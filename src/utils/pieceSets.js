@@ -0,0 +1,161 @@
+// utils/pieceSets.js
+// Piece sets decide which shapes the randomizer deals (rules.pieces.set).
+// "tetrominoes" keeps the rotation system's own shapes and kicks. The other
+// sets bring their shapes in square rotation boxes and get a kick table that
+// fits the box size, so a five-long piece can still kick off the walls. A
+// ruleset can also bring its own polyominoes: set "custom" with
+// pieces.customSet = { shapes: { name: [[0, 1], ...] }, charge: { name: 6 } }.
+import {
+  PENTOMINO_SHAPES,
+  TROMINO_SHAPES,
+  SRS_JLSTZ_KICKS,
+  SRS_I_KICKS,
+  WIDE_KICKS,
+} from "./constants.js";
+import { isPowerUp } from "./powerUps.js";
+
+// `hardPieces` earn a charge bonus, they are the awkward ones to place
+export const PIECE_SETS = {
+  tetrominoes: { shapes: null, hardPieces: ["S", "Z"] },
+  pentominoes: { shapes: PENTOMINO_SHAPES, hardPieces: ["F5", "N5", "W5", "Z5"] },
+  trominoes: { shapes: TROMINO_SHAPES, hardPieces: [] },
+  custom: { shapes: null, hardPieces: [] },
+};
+
+// Largest custom piece in rows or columns (the widest kick table's reach)
+export const MAX_CUSTOM_PIECE_SIZE = 5;
+
+const BASE_CHARGE = 5; // Charge for placing a four-block piece
+const HARD_PIECE_BONUS = 2;
+
+/**
+ * Resolve the ruleset's piece set
+ * @param {object} rules - The ruleset
+ * @param {object} rotationSystem - Entry of ROTATION_SYSTEMS
+ * @returns {Object} { name, shapes, rotationSystem, charge } where charge maps piece types to placement charge
+ */
+export function createPieceSet(rules, rotationSystem) {
+  const { set, customSet } = rules.pieces;
+  const { hardPieces } = PIECE_SETS[set];
+
+  if (set === "tetrominoes") {
+    return {
+      name: set,
+      shapes: rotationSystem.shapes,
+      rotationSystem,
+      charge: getCharges(rotationSystem.shapes, hardPieces),
+    };
+  }
+
+  const shapes = set === "custom"
+    ? Object.fromEntries(Object.entries(customSet.shapes).map(([type, shape]) => [type, toRotationBox(shape)]))
+    : PIECE_SETS[set].shapes;
+  const kicks = Object.fromEntries(
+    Object.entries(shapes).map(([type, shape]) => [type, getKicksForBox(shape.length)])
+  );
+
+  return {
+    name: set,
+    shapes,
+    // Keeps the rotation system's 180 degree kicks
+    rotationSystem: { shapes, kicks: { ...kicks, default: SRS_JLSTZ_KICKS }, kicks180: rotationSystem.kicks180 },
+    charge: { ...getCharges(shapes, hardPieces), ...(set === "custom" ? customSet.charge : {}) },
+  };
+}
+
+// Charge for placing a piece of the given type (power-ups get the base charge)
+export function getPieceCharge(pieceSet, type) {
+  return pieceSet.charge[type] ?? BASE_CHARGE;
+}
+
+/**
+ * Check a custom piece set from a ruleset
+ * @param {object} customSet - { shapes, charge }
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateCustomSet(customSet) {
+  if (!customSet || typeof customSet.shapes !== "object" || Object.keys(customSet.shapes).length === 0) {
+    return ["pieces.customSet.shapes must name at least one shape"];
+  }
+
+  const errors = [];
+  for (const [type, shape] of Object.entries(customSet.shapes)) {
+    if (isPowerUp(type)) {
+      errors.push(`pieces.customSet.shapes.${type} is a power-up name`);
+    } else if (!isShapeMatrix(shape)) {
+      errors.push(`pieces.customSet.shapes.${type} must be rows of 0 and 1, at most ${MAX_CUSTOM_PIECE_SIZE} by ${MAX_CUSTOM_PIECE_SIZE}`);
+    } else if (!isConnected(shape)) {
+      errors.push(`pieces.customSet.shapes.${type} must be one connected piece`);
+    }
+  }
+
+  for (const [type, charge] of Object.entries(customSet.charge || {})) {
+    if (!(type in customSet.shapes)) {
+      errors.push(`pieces.customSet.charge.${type} has no shape`);
+    } else if (typeof charge !== "number" || charge < 0 || charge > 100) {
+      errors.push(`pieces.customSet.charge.${type} must be between 0 and 100`);
+    }
+  }
+
+  return errors;
+}
+
+// Charge scales with the block count, awkward pieces get a bonus
+function getCharges(shapes, hardPieces) {
+  return Object.fromEntries(
+    Object.entries(shapes).map(([type, shape]) => {
+      const blocks = shape.flat().filter(cell => cell).length;
+      const bonus = hardPieces.includes(type) ? HARD_PIECE_BONUS : 0;
+      return [type, Math.round((BASE_CHARGE * blocks) / 4) + bonus];
+    })
+  );
+}
+
+// Kick table for a square rotation box
+function getKicksForBox(size) {
+  if (size <= 3) return SRS_JLSTZ_KICKS;
+  if (size === 4) return SRS_I_KICKS;
+  return WIDE_KICKS;
+}
+
+// Center a shape in a square box so it rotates around its middle
+function toRotationBox(shape) {
+  const size = Math.max(shape.length, shape[0].length);
+  const top = Math.floor((size - shape.length) / 2);
+  const left = Math.floor((size - shape[0].length) / 2);
+
+  return Array.from({ length: size }, (_, y) =>
+    Array.from({ length: size }, (_, x) => (shape[y - top] && shape[y - top][x - left] ? 1 : 0))
+  );
+}
+
+function isShapeMatrix(shape) {
+  if (!Array.isArray(shape) || shape.length === 0 || shape.length > MAX_CUSTOM_PIECE_SIZE) return false;
+  const width = Array.isArray(shape[0]) ? shape[0].length : 0;
+  if (width === 0 || width > MAX_CUSTOM_PIECE_SIZE) return false;
+
+  return shape.every(row =>
+    Array.isArray(row) && row.length === width && row.every(cell => cell === 0 || cell === 1)
+  ) && shape.some(row => row.includes(1));
+}
+
+// Every block reaches every other one through edge neighbours
+function isConnected(shape) {
+  const cells = [];
+  shape.forEach((row, y) => row.forEach((cell, x) => { if (cell) cells.push(`${x},${y}`); }));
+
+  const seen = new Set([cells[0]]);
+  const queue = [cells[0]];
+  while (queue.length > 0) {
+    const [x, y] = queue.shift().split(",").map(Number);
+    [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]].forEach(([nx, ny]) => {
+      const key = `${nx},${ny}`;
+      if (shape[ny] && shape[ny][nx] && !seen.has(key)) {
+        seen.add(key);
+        queue.push(key);
+      }
+    });
+  }
+
+  return seen.size === cells.length;
+}
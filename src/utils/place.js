@@ -1,26 +1,21 @@
 // utils/place.js
-import {
-  BOARD_WIDTH,
-  BOARD_HEIGHT,
-  GUTTER_WIDTH,
-  TOWER_WIDTH,
-  GRID_SIZE,
-  CUT_OFF_ROW,
-  BUFFER_ROWS,
-  VISIBLE_ROWS,
-} from "./constants.js";
-import { isCellOccupied, findCompleteRows } from "./boardHelpers.js";
-import { updateText } from "./uiHelpers.js";
-import { animateBlockPlacement, animateScoreChange, shakeScreen } from "./animHelpers.js";
-import { sendRoomMessage } from "./networkHelpers.js";
-import { checkTowerHeight } from "./towerHelpers.js";
 import { getPlacementCharge, addCharge } from "./chargeHelpers.js";
-import { calculateScore } from "./levelHelpers.js";
+import { detectTSpin, isPerfectClear, scoreLock } from "./scoring.js";
 import { isRowComplete } from "./boardHelpers.js";
-import { updateStabilityAfterPlacement } from "./instabilityHelpers.js";
+import { refreshStability } from "./stability/stabilityUpdates.js";
+import { checkTowerHeight } from "./towerHelpers.js";
+import { GameEvents } from "./engine/events.js";
+import { getPieceMaterial } from "./materials.js";
+import { triggerPowerUp } from "./powerUps.js";
+import { earnFromLines } from "./abilityEconomy.js";
+import { cancelAttacks } from "./defenses.js";
 
-export function lockPiece(scene) {
-  const { shape, x, y } = scene.activePiece;
+export function lockPiece(state) {
+  const piece = state.activePiece;
+  const { shape, x, y } = piece;
+  const { gutterWidth, towerWidth, height, cutOffRow } = state.rules.board;
+  const material = getPieceMaterial(state.rules, piece.type);
+  const events = [];
   let towerContact = 0;
   let gutterFloorContact = 0;
   let gutterOverhangBlocks = []; // Track blocks hanging in gutters
@@ -38,9 +33,9 @@ export function lockPiece(scene) {
       // Add to affected rows
       affectedRows.add(newY);
       
-      const inTower = newX >= GUTTER_WIDTH && newX < GUTTER_WIDTH + TOWER_WIDTH;
-      const atFloor = newY === BOARD_HEIGHT - 1;
-      const inGutter = newX < GUTTER_WIDTH || newX >= GUTTER_WIDTH + TOWER_WIDTH;
+      const inTower = newX >= gutterWidth && newX < gutterWidth + towerWidth;
+      const atFloor = newY === height - 1;
+      const inGutter = newX < gutterWidth || newX >= gutterWidth + towerWidth;
 
       if (inTower) {
         towerContact++;
@@ -55,14 +50,12 @@ export function lockPiece(scene) {
 
   // Special case: If the entire piece is in the gutter floor
   if (towerContact === 0 && gutterFloorContact > 0) {
-    scene.clearActiveBlocks();
-    scene.activePiece = null;
-    if (scene.fallTimer) scene.fallTimer.remove();
-    scene.spawnTetromino();
-    return false;
+    state.activePiece = null;
+    return [{ type: GameEvents.PIECE_DISCARDED, piece }];
   }
   
   // Second pass: place blocks that aren't in gutters
+  let placedCells = [];
   for (let row = 0; row < shape.length; row++) {
     for (let col = 0; col < shape[row].length; col++) {
       if (shape[row][col]) {
@@ -70,189 +63,103 @@ export function lockPiece(scene) {
         const newY = y + row;
         
         // Skip blocks hanging in gutters
-        const inGutter = newX < GUTTER_WIDTH || newX >= GUTTER_WIDTH + TOWER_WIDTH;
-        if (inGutter && newY !== BOARD_HEIGHT - 1) continue;
+        const inGutter = newX < gutterWidth || newX >= gutterWidth + towerWidth;
+        if (inGutter && newY !== height - 1) continue;
         
-        if (newY >= 0 && newY < BOARD_HEIGHT) {
-          if (newY >= CUT_OFF_ROW) {
-            const historyY = newY - (BUFFER_ROWS + VISIBLE_ROWS);
-            scene.historyGrid[historyY][newX] = 1;
+        if (newY >= 0 && newY < height) {
+          if (newY >= cutOffRow) {
+            const historyY = newY - cutOffRow;
+            state.historyGrid[historyY][newX] = material.id;
           } else {
-            scene.board[newY][newX] = 1;
+            state.board[newY][newX] = material.id;
           }
-          const block = scene.add
-            .image(newX * GRID_SIZE, newY * GRID_SIZE, "block")
-            .setOrigin(0);
-          scene.lockedBlocks.add(block);
-          
-          // Use animation helper
-          animateBlockPlacement(scene, block);
+          placedCells.push({ x: newX, y: newY });
         }
       }
     }
   }
   
+  // Power-ups change the board before lines and stability are checked
+  const powerUpEvents = triggerPowerUp(state, piece.type, placedCells.filter(cell => cell.y < cutOffRow));
+  powerUpEvents.forEach(({ cells }) => cells.forEach(cell => affectedRows.add(cell.y)));
+  placedCells = placedCells.filter(({ x, y }) => y >= cutOffRow || state.board[y][x]);
+  
   // Handle gutter overhanging blocks if any
   if (gutterOverhangBlocks.length > 0) {
-    animateGutterOverhang(scene, gutterOverhangBlocks);
-    
     // Apply penalty for each overhanging block
     const overhangPenalty = gutterOverhangBlocks.length * 5; // 5 points per block
-    scene.score = Math.max(0, scene.score - overhangPenalty);
-    updateText(scene.scoreText, scene.score, "Score: ");
-    
-    // Show penalty message
-    const penaltyText = scene.add.text(
-      scene.game.config.width / 2, 
-      150,
-      `-${overhangPenalty} POINTS (OVERHANG PENALTY)`,
-      { fontSize: '18px', fill: '#ff4444', fontStyle: 'bold' }
-    ).setOrigin(0.5);
-    
-    // Fade out message
-    scene.tweens.add({
-      targets: penaltyText,
-      alpha: 0,
-      y: 120,
-      duration: 1500,
-      onComplete: () => penaltyText.destroy()
+    state.score = Math.max(0, state.score - overhangPenalty);
+    events.push({
+      type: GameEvents.OVERHANG_PENALTY,
+      blocks: gutterOverhangBlocks,
+      penalty: overhangPenalty
     });
   }
 
   // Check only the affected rows for completed lines
   const completeRows = [];
   affectedRows.forEach(rowIndex => {
-    if (rowIndex < scene.board.length && isRowComplete(scene.board, rowIndex, GUTTER_WIDTH, TOWER_WIDTH)) {
+    if (rowIndex < state.board.length && isRowComplete(state.board, rowIndex, gutterWidth, towerWidth)) {
       completeRows.push(rowIndex);
     }
   });
   
   // Track total lines cleared (for stats only)
   if (completeRows.length > 0) {
-    scene.linesCleared = (scene.linesCleared || 0) + completeRows.length;
-    
-    // Show temporary highlight effect
-    highlightCompleteRows(scene, completeRows);
+    state.linesCleared = (state.linesCleared || 0) + completeRows.length;
   }
 
-  scene.towerHeight++;
-  
-  // Update score based on current level and complete lines from this drop only
-  const scoreIncrease = calculateScore(scene.level, completeRows.length);
-  scene.score += scoreIncrease;
-  updateText(scene.scoreText, scene.score, "Score: ");
-  
-  // Also update a lines cleared counter in the UI
-  if (scene.linesText) {
-    updateText(scene.linesText, scene.linesCleared, "Lines: ");
-  }
-  
-  // Add charge based on placement
-  const chargeAmount = getPlacementCharge(scene, scene.activePiece.type);
-  addCharge(scene, chargeAmount);
-  
-  // Add score animation - only show the score from this drop
-  const centerX = (x + shape[0].length / 2) * GRID_SIZE;
-  const centerY = (y + shape.length / 2) * GRID_SIZE;
-  animateScoreChange(scene, scoreIncrease, centerX, centerY);
-  
-  // Update stability after placing a piece
-  updateStabilityAfterPlacement(scene, {
-    shape: shape,
-    x: x,
-    y: y
+  state.towerHeight++;
+  
+  // Update score from this drop only (lines, T-spins, combo, back-to-back,
+  // perfect clear)
+  const tSpin = detectTSpin(state, piece);
+  const perfectClear = completeRows.length > 0 && isPerfectClear(state.board, state.rules.board);
+  const { points: scoreIncrease, callouts, combo, backToBack } = scoreLock(state, {
+    lines: completeRows.length,
+    tSpin,
+    perfectClear
   });
+  state.score += scoreIncrease;
   
-  // If stability is low (instability is high), add slight shake effect
-  if (scene.instability > 70) {
-    const intensity = Math.min(0.005, scene.instability * 0.0001);
-    shakeScreen(scene, 300, intensity);
+  // Add charge based on placement
+  const chargeAmount = getPlacementCharge(state, piece.type);
+  addCharge(state, chargeAmount);
+  
+  state.activePiece = null;
+  
+  events.push(
+    {
+      type: GameEvents.PIECE_LOCKED,
+      piece: { type: piece.type, shape, x, y, material: material.name },
+      placedCells,
+      completeRows,
+      scoreIncrease,
+      tSpin,
+      combo,
+      backToBack,
+      perfectClear,
+      callouts
+    },
+    { type: GameEvents.SCORE_CHANGED, score: state.score },
+    { type: GameEvents.LINES_CHANGED, linesCleared: state.linesCleared },
+    { type: GameEvents.CHARGE_CHANGED, chargeLevel: state.chargeLevel, lockReady: state.lockReady },
+    ...powerUpEvents,
+    ...earnFromLines(state, completeRows.length),
+    ...cancelAttacks(state, completeRows.length)
+  );
+  
+  // The stability update below decides whether the stability streak goes on
+  state.streakCheckPending = true;
+  
+  // Update stability after placing a piece (or request it, see stabilityUpdates.js)
+  events.push(...refreshStability(state));
+  
+  // Check tower height after locking a piece (a deferred stability update
+  // does this once the result arrives)
+  if (!state.isCollapsing && !state.stabilityPending) {
+    events.push(...checkTowerHeight(state));
   }
   
-  // Use network helper
-  sendRoomMessage(scene.room, "blockPlaced", { x, y, shape });
-  
-  scene.clearActiveBlocks();
-  scene.activePiece = null;
-  if (scene.fallTimer) scene.fallTimer.remove();
-  
-  // Check tower height after locking a piece
-  checkTowerHeight(scene);
-  
-  return true;
+  return events;
 }
-
-/**
- * Animate gutter overhang blocks falling away
- * @param {object} scene - The game scene
- * @param {Array} overhangBlocks - Array of overhanging block data
- */
-function animateGutterOverhang(scene, overhangBlocks) {
-  // Create temporary blocks for animation
-  const fallingBlocks = [];
-  
-  overhangBlocks.forEach(block => {
-    const tempBlock = scene.add.image(
-      block.newX * GRID_SIZE, 
-      block.newY * GRID_SIZE, 
-      "block"
-    ).setOrigin(0);
-    
-    fallingBlocks.push(tempBlock);
-    
-    // Animate falling and fading
-    scene.tweens.add({
-      targets: tempBlock,
-      y: '+=' + (Math.random() * 100 + 200),
-      angle: Math.random() * 360,
-      alpha: 0,
-      duration: 1000,
-      ease: 'Power2',
-      onComplete: () => {
-        tempBlock.destroy();
-      }
-    });
-  });
-  
-  // Play falling sound effect if available
-  if (scene.sound && scene.sound.play && scene.sound.fallingSound) {
-    scene.sound.play('fallingSound', { volume: 0.5 });
-  }
-}
-
-// Function to temporarily highlight complete rows
-function highlightCompleteRows(scene, rowIndices) {
-  // If no rows, do nothing
-  if (!rowIndices.length) return;
-  
-  // Create temporary highlight effects
-  const highlights = [];
-  
-  for (const rowIndex of rowIndices) {
-    // Create a highlight rectangle for the row
-    const highlight = scene.add.rectangle(
-      GUTTER_WIDTH * GRID_SIZE,
-      rowIndex * GRID_SIZE,
-      TOWER_WIDTH * GRID_SIZE,
-      GRID_SIZE,
-      0xffff00, // Yellow highlight
-      0.5 // Alpha
-    ).setOrigin(0, 0);
-    
-    highlights.push(highlight);
-    
-    // Make it pulse
-    scene.tweens.add({
-      targets: highlight,
-      alpha: { from: 0.5, to: 0.2 },
-      duration: 500,
-      yoyo: true,
-      repeat: 3 // Just a few pulses
-    });
-  }
-  
-  // Remove highlights after a short time
-  scene.time.delayedCall(2000, () => {
-    highlights.forEach(h => h.destroy());
-  });
-}
\ No newline at end of file
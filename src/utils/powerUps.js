@@ -0,0 +1,121 @@
+// utils/powerUps.js
+// Power-ups are single special blocks dealt into the preview queue between
+// the tetrominoes (rules.powerUps). They move, hold and lock like any piece
+// and take effect in lockPiece:
+//
+// glue: stays on the board as glue (materials.js), whose support strength
+//   steadies the blocks next to it
+// bomb: clears every block within rules.powerUps.bombRadius, itself included
+// brace: stays as a block and fills the nearest void with up to
+//   rules.powerUps.braceCells more
+import { GameEvents } from "./engine/events.js";
+import { getPieceMaterial } from "./materials.js";
+import { createRng } from "./randomizer.js";
+
+export const POWER_UPS = {
+  glue: { shape: [[1]], tint: 0xffdd55, label: "GLUE" },
+  bomb: { shape: [[1]], tint: 0xff5533, label: "BOMB" },
+  brace: { shape: [[1]], tint: 0x55ccff, label: "BRACE" },
+};
+
+export function isPowerUp(type) {
+  return Object.hasOwn(POWER_UPS, type);
+}
+
+// Shape of a tetromino or power-up type
+export function getPieceShape(TETROMINO_SHAPES, type) {
+  return isPowerUp(type) ? POWER_UPS[type].shape : TETROMINO_SHAPES[type];
+}
+
+// Deals a power-up after every `interval` pieces (null otherwise). Picks use
+// their own seeded generator, so players sharing a seed get the same
+// power-ups without changing the randomizer's piece sequence.
+export function createPowerUpDealer(rules, seed) {
+  const { interval, types } = rules.powerUps;
+  const rng = createRng(`${seed}:powerUps`);
+  let dealt = 0;
+
+  return {
+    next() {
+      if (interval === 0 || types.length === 0) return null;
+      dealt++;
+      if (dealt % (interval + 1) !== 0) return null;
+      return types[Math.floor(rng() * types.length)];
+    },
+  };
+}
+
+// Apply a locked power-up's effect to the board. `cells` are the blocks it
+// left in the tower.
+export function triggerPowerUp(state, type, cells) {
+  if (!isPowerUp(type) || cells.length === 0) return [];
+
+  let affected = [];
+  if (type === "bomb") affected = detonate(state, cells);
+  else if (type === "brace") affected = fillNearestVoid(state, cells[0]);
+  else if (type === "glue") affected = getNeighborBlocks(state, cells);
+
+  return [{ type: GameEvents.POWER_UP_TRIGGERED, powerUp: type, origin: cells[0], cells: affected }];
+}
+
+// Clear the blocks within the blast radius. The foundation row survives so
+// the tower keeps its base.
+function detonate(state, cells) {
+  const { gutterWidth, towerWidth, cutOffRow } = state.rules.board;
+  const { bombRadius } = state.rules.powerUps;
+  const cleared = [];
+
+  for (let y = 0; y < cutOffRow - 1; y++) {
+    for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
+      if (!state.board[y][x]) continue;
+      const inRange = cells.some(cell => (cell.x - x) ** 2 + (cell.y - y) ** 2 <= bombRadius ** 2);
+      if (inRange) {
+        state.board[y][x] = 0;
+        cleared.push({ x, y });
+      }
+    }
+  }
+
+  return cleared;
+}
+
+// Fill the void cluster closest to the brace, lowest cells first so every
+// new block rests on the one below
+function fillNearestVoid(state, origin) {
+  const { braceCells } = state.rules.powerUps;
+  const distance = ([x, y]) => Math.abs(x - origin.x) + Math.abs(y - origin.y);
+
+  // Voids from the last stability update that are still empty
+  const voids = state.voidClusters
+    .map(cluster => cluster.cells.filter(([x, y]) => !state.board[y][x]))
+    .filter(cells => cells.length > 0);
+  if (voids.length === 0) return [];
+
+  const closest = cells => Math.min(...cells.map(distance));
+  const nearest = voids.reduce((best, cells) => (closest(cells) < closest(best) ? cells : best));
+
+  const { id } = getPieceMaterial(state.rules, "brace");
+  const filled = [...nearest]
+    .sort((a, b) => b[1] - a[1] || distance(a) - distance(b))
+    .slice(0, braceCells)
+    .map(([x, y]) => ({ x, y }));
+  filled.forEach(({ x, y }) => { state.board[y][x] = id; });
+
+  return filled;
+}
+
+// Blocks next to the glue (shown as reinforced)
+function getNeighborBlocks(state, cells) {
+  const { gutterWidth, towerWidth, cutOffRow } = state.rules.board;
+  const neighbors = new Map();
+
+  cells.forEach(({ x, y }) => {
+    [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]].forEach(([nx, ny]) => {
+      const inTower = nx >= gutterWidth && nx < gutterWidth + towerWidth && ny >= 0 && ny < cutOffRow;
+      if (inTower && state.board[ny][nx]) neighbors.set(`${nx},${ny}`, { x: nx, y: ny });
+    });
+  });
+  cells.forEach(({ x, y }) => neighbors.delete(`${x},${y}`));
+
+  return [...neighbors.values()];
+}
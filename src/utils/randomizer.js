@@ -0,0 +1,108 @@
+// utils/randomizer.js
+// Seeded piece randomizers. Every player in a room that uses the same seed
+// and generator type gets the exact same piece sequence.
+
+// Turn a number or string seed into an unsigned 32-bit integer
+export function hashSeed(seed) {
+  if (typeof seed === "number") return seed >>> 0;
+
+  // FNV-1a hash for string seeds
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Create a seeded random number generator (mulberry32) returning values in [0, 1)
+export function createRng(seed) {
+  let a = hashSeed(seed);
+  return function rng() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Pick a seed when none is provided
+export function generateSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// Shuffle an array in place with the given generator (Fisher-Yates)
+export function shuffle(items, rng) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+// Uniform random picks, droughts and floods are possible
+function createPureRandom(pieceTypes, rng) {
+  return () => pieceTypes[Math.floor(rng() * pieceTypes.length)];
+}
+
+// Deal every piece type `copies` times per shuffled bag
+function createBag(pieceTypes, rng, copies) {
+  let bag = [];
+  return () => {
+    if (bag.length === 0) {
+      for (let i = 0; i < copies; i++) bag.push(...pieceTypes);
+      shuffle(bag, rng);
+    }
+    return bag.shift();
+  };
+}
+
+// TGM-style history: reroll up to `rolls` times while the pick is in the last
+// four pieces. The first piece is never an S, Z or O.
+function createHistory(pieceTypes, rng, rolls = 6) {
+  const pick = () => pieceTypes[Math.floor(rng() * pieceTypes.length)];
+  const unfairStarts = ["S", "Z", "O"];
+  const fairStarts = pieceTypes.filter(type => !unfairStarts.includes(type));
+  const history = ["Z", "S", "S", "Z"];
+  let first = true;
+
+  return () => {
+    let piece;
+    if (first && fairStarts.length > 0) {
+      piece = fairStarts[Math.floor(rng() * fairStarts.length)];
+      first = false;
+    } else {
+      piece = pick();
+      for (let i = 1; i < rolls && history.includes(piece); i++) {
+        piece = pick();
+      }
+    }
+    history.shift();
+    history.push(piece);
+    return piece;
+  };
+}
+
+// Available generators by name
+export const RANDOMIZER_TYPES = {
+  random: (pieceTypes, rng) => createPureRandom(pieceTypes, rng),
+  bag7: (pieceTypes, rng) => createBag(pieceTypes, rng, 1),
+  bag14: (pieceTypes, rng) => createBag(pieceTypes, rng, 2),
+  tgm: (pieceTypes, rng) => createHistory(pieceTypes, rng),
+};
+
+// Create a randomizer with a next() method that returns piece types
+export function createRandomizer(type = "bag7", pieceTypes, seed = generateSeed()) {
+  const factory = RANDOMIZER_TYPES[type];
+  if (!factory) {
+    throw new Error(`Unknown randomizer type: ${type}`);
+  }
+
+  const rng = createRng(seed);
+  return {
+    type,
+    seed,
+    next: factory([...pieceTypes], rng),
+  };
+}
@@ -1,5 +1,7 @@
 // utils/responsiveGame.js
-import { GRID_SIZE, BOARD_WIDTH, BOARD_HEIGHT, BUFFER_ROWS } from "./constants.js";
+import { GRID_SIZE } from "./constants.js";
+import { getActionGroup, normalizeKey } from "./controls.js";
+import { isGameplayPointer } from "./touchControls.js";
 
 /**
  * Set up responsive game canvas and camera
@@ -7,8 +9,9 @@ import { GRID_SIZE, BOARD_WIDTH, BOARD_HEIGHT, BUFFER_ROWS } from "./constants.j
  */
 export function setupResponsiveGame(scene) {
   // Store original design dimensions
-  scene.originalWidth = GRID_SIZE * BOARD_WIDTH + 200;
-  scene.originalHeight = GRID_SIZE * BOARD_HEIGHT;
+  const { width, height } = scene.state.rules.board;
+  scene.originalWidth = GRID_SIZE * width + 200;
+  scene.originalHeight = GRID_SIZE * height;
   
   // Store current window dimensions to detect actual changes
   scene.currentWindowWidth = window.innerWidth;
@@ -66,7 +69,7 @@ function resizeGame(scene) {
   // If the game is too tall, adjust camera y position
   if (newHeight > windowHeight) {
     // Show the active gameplay area by default
-    const visibleTop = (BUFFER_ROWS + 5) * GRID_SIZE * scale;
+    const visibleTop = (scene.state.rules.board.bufferRows + 5) * GRID_SIZE * scale;
     scene.cameras.main.scrollY = visibleTop;
   } else {
     scene.cameras.main.scrollY = 0;
@@ -99,7 +102,7 @@ function setupTouchControls(scene) {
   // Add indicator for touch controls on mobile
   const touchControls = scene.add.text(
     10, 10, 
-    "Drag to move | Pinch to zoom", 
+    "Swipe board to play | Drag sidebar to pan | Pinch to zoom", 
     { fontSize: '14px', fill: '#ffffff', backgroundColor: '#00000080', padding: { x: 5, y: 3 } }
   );
   touchControls.setScrollFactor(0); // Fix to camera
@@ -119,9 +122,9 @@ function setupTouchControls(scene) {
     });
   }
   
-  // Touch start
+  // Touch start (touches on the board are piece gestures, see touchControls.js)
   scene.input.on('pointerdown', (pointer) => {
-    if (pointer.button === 0) { // Left button/touch
+    if (pointer.button === 0 && !isGameplayPointer(scene, pointer)) { // Left button/touch
       dragStartX = pointer.x;
       dragStartY = pointer.y;
       isDragging = true;
@@ -189,35 +192,50 @@ function setupTouchControls(scene) {
     isPinching = false;
   });
   
-  // Add keyboard camera controls for desktop
-  const cursors = scene.input.keyboard.createCursorKeys();
+  // Add keyboard camera controls for desktop. Keys come from the camera
+  // bindings (scene.keyLookup) so they never double up with gameplay keys.
+  const heldCameraActions = new Set();
+  
+  scene.input.keyboard.on('keydown', (event) => {
+    if (scene.controlsMenu && scene.controlsMenu.isOpen) return;
+    
+    const action = scene.keyLookup && scene.keyLookup[normalizeKey(event.key)];
+    if (getActionGroup(action) !== 'camera') return;
+    
+    // Zoom with keyboard
+    if (action === 'cameraZoom') {
+      if (event.repeat) return;
+      // Toggle between default and zoomed out
+      if (scene.cameras.main.zoom === 1) {
+        scene.cameras.main.zoom = 0.7;
+      } else {
+        scene.cameras.main.zoom = 1;
+      }
+      return;
+    }
+    heldCameraActions.add(action);
+  });
+  
+  scene.input.keyboard.on('keyup', (event) => {
+    const action = scene.keyLookup && scene.keyLookup[normalizeKey(event.key)];
+    heldCameraActions.delete(action);
+  });
   
   // Update function to check keyboard input
   scene.events.on('update', () => {
     const speed = 10 / scene.cameras.main.zoom;
     
-    if (cursors.up.isDown) {
+    if (heldCameraActions.has('cameraUp')) {
       scene.cameras.main.scrollY -= speed;
-    } else if (cursors.down.isDown) {
+    } else if (heldCameraActions.has('cameraDown')) {
       scene.cameras.main.scrollY += speed;
     }
     
-    if (cursors.left.isDown) {
+    if (heldCameraActions.has('cameraLeft')) {
       scene.cameras.main.scrollX -= speed;
-    } else if (cursors.right.isDown) {
+    } else if (heldCameraActions.has('cameraRight')) {
       scene.cameras.main.scrollX += speed;
     }
-    
-    // Zoom with keyboard
-    if (cursors.space.isDown && !cursors.space.wasDown) {
-      // Toggle between default and zoomed out
-      if (scene.cameras.main.zoom === 1) {
-        scene.cameras.main.zoom = 0.7;
-      } else {
-        scene.cameras.main.zoom = 1;
-      }
-    }
-    cursors.space.wasDown = cursors.space.isDown;
   });
 }
 
@@ -227,31 +245,43 @@ function setupTouchControls(scene) {
  * @param {number} scale - The current scale factor
  */
 function updateUI(scene, scale) {
+  const { width, height } = scene.state.rules.board;
+
   // Sidebar position
   if (scene.sidebar) {
-    scene.sidebar.x = (GRID_SIZE * BOARD_WIDTH) * scale;
+    scene.sidebar.x = (GRID_SIZE * width) * scale;
     scene.sidebar.displayWidth = 200 * scale;
-    scene.sidebar.displayHeight = GRID_SIZE * BOARD_HEIGHT * scale;
+    scene.sidebar.displayHeight = GRID_SIZE * height * scale;
   }
   
-  // UI text
+  // UI text and the sidebar row (30px apart) each one sits in
   const uiElements = [
-    scene.scoreText, scene.abilityText, scene.lockStatusText, 
-    scene.instabilityText, scene.levelText, scene.linesText
+    { element: scene.scoreText, row: 0 },
+    { element: scene.lockStatusText, row: 2 },
+    { element: scene.instabilityText, row: 3 },
+    { element: scene.levelText, row: 4 },
+    { element: scene.linesText, row: 5 },
   ];
   
   // Update all UI text elements
-  uiElements.forEach((element, index) => {
+  uiElements.forEach(({ element, row }) => {
     if (!element) return;
     
-    element.x = (GRID_SIZE * BOARD_WIDTH + 10) * scale;
-    element.y = (10 + index * 30) * scale;
+    element.x = (GRID_SIZE * width + 10) * scale;
+    element.y = (10 + row * 30) * scale;
     element.setFontSize(16 * scale);
   });
   
+  // Ability bar (sidebar row 1, between the score and the lock status)
+  if (scene.abilityBar) {
+    scene.abilityBar.x = (GRID_SIZE * width + 10) * scale;
+    scene.abilityBar.y = 38 * scale;
+    scene.abilityBar.setScale(scale);
+  }
+  
   // Update charge meter if it exists
   if (scene.chargeMeter) {
-    scene.chargeMeter.x = (GRID_SIZE * BOARD_WIDTH + 10) * scale;
+    scene.chargeMeter.x = (GRID_SIZE * width + 10) * scale;
     scene.chargeMeter.y = 380 * scale;
     scene.chargeMeter.displayWidth = scene.chargeMeter.width * scale;
     scene.chargeMeter.displayHeight = 20 * scale;
@@ -259,7 +289,7 @@ function updateUI(scene, scale) {
   
   // Update charge text
   if (scene.chargeText) {
-    scene.chargeText.x = (GRID_SIZE * BOARD_WIDTH + 100) * scale;
+    scene.chargeText.x = (GRID_SIZE * width + 100) * scale;
     scene.chargeText.y = 380 * scale;
     scene.chargeText.setFontSize(14 * scale);
   }
@@ -0,0 +1,401 @@
+// utils/ruleset.js
+// A ruleset holds every tunable rule of a game: board geometry, pieces,
+// block materials, power-ups, the ability economy and effects, defenses,
+// garbage attacks, gravity, lock delay, auto-lock and the stability model. Rulesets are plain JSON-compatible
+// objects, validated once and then passed to the GameState, the engine
+// helpers and the scene.
+import {
+  GUTTER_WIDTH,
+  TOWER_WIDTH,
+  BUFFER_ROWS,
+  VISIBLE_ROWS,
+  HISTORY_ROWS,
+  ROTATION_SYSTEMS,
+} from "./constants.js";
+import { RANDOMIZER_TYPES } from "./randomizer.js";
+import { MATERIALS } from "./materials.js";
+import { POWER_UPS, isPowerUp } from "./powerUps.js";
+import { PIECE_SETS, validateCustomSet } from "./pieceSets.js";
+
+export const DEFAULT_RULESET = {
+  name: "standard",
+  board: {
+    gutterWidth: GUTTER_WIDTH,
+    towerWidth: TOWER_WIDTH,
+    bufferRows: BUFFER_ROWS,
+    visibleRows: VISIBLE_ROWS,
+    historyRows: HISTORY_ROWS,
+  },
+  pieces: {
+    rotationSystem: "srs",
+    randomizer: "bag7",
+    previewSize: 3,
+    set: "tetrominoes", // tetrominoes, pentominoes, trominoes or custom (see utils/pieceSets.js)
+    customSet: null, // { shapes, charge } for the custom set
+  },
+  // Material each piece type is made of (see utils/materials.js)
+  materials: {
+    I: "steel",
+    J: "stone",
+    L: "stone",
+    O: "stone",
+    S: "wood",
+    T: "glass",
+    Z: "wood",
+    glue: "glue",
+    bomb: "stone",
+    brace: "steel",
+    garbage: "stone", // Rows inserted by garbage attacks (see utils/garbage.js)
+  },
+  // Special pieces dealt into the preview queue (see utils/powerUps.js)
+  powerUps: {
+    interval: 12, // A power-up follows every this many pieces (0 turns them off)
+    types: ["glue", "bomb", "brace"], // Power-ups to pick from
+    bombRadius: 2, // Blocks within this distance of a bomb are cleared
+    braceCells: 6, // Most void cells a brace fills
+  },
+  // Earning abilities (see utils/abilityEconomy.js)
+  abilityEconomy: {
+    linesPerAbility: 4, // Lines cleared per earned ability (0 turns it off)
+    abilitiesPerLock: 1, // Abilities earned by locking a tower section
+    streakLength: 8, // Stable placements in a row that earn an ability (0 turns it off)
+    streakStability: 70, // Tower stability a placement must keep to extend the streak
+    maxStock: 2, // Most uses of each ability held at once
+  },
+  // Lock charge spent to use each ability
+  abilityCosts: {
+    windGust: 15,
+    earthShake: 30,
+    gravityWell: 20,
+    wobbleCurse: 20,
+    shield: 25,
+    reinforce: 20,
+    counterAttack: 25,
+  },
+  // Milliseconds before each ability can be used again
+  abilityCooldowns: {
+    windGust: 6000,
+    earthShake: 15000,
+    gravityWell: 12000,
+    wobbleCurse: 12000,
+    shield: 20000,
+    reinforce: 15000,
+    counterAttack: 20000,
+  },
+  // Effects of opponents' abilities on this player (see utils/abilities.js)
+  abilities: {
+    windPushes: 3, // Columns a wind gust pushes the active piece
+    windInterval: 400, // Milliseconds between wind pushes
+    shakeRows: 3, // Top rows of the tower an earth shake loosens
+    shakeChance: 0.35, // Chance each block in those rows is knocked sideways
+    gravityMultiplier: 3, // Pieces fall this many times as fast in a gravity well
+    gravityDuration: 8000, // Milliseconds a gravity well lasts
+    wobbleChance: 0.5, // Chance a cursed rotation turns the wrong way
+    wobbleDuration: 8000, // Milliseconds a wobble curse lasts
+  },
+  // Incoming attacks and the defensive abilities (see utils/defenses.js)
+  defense: {
+    warningTime: 3000, // Milliseconds an attack waits before it lands (0 lands it at once)
+    cancelPerLine: 10, // Pending attack strength each cleared line cancels
+    shieldDuration: 10000, // Milliseconds a shield waits for a hit to absorb
+    reinforceAmount: 15, // Attack instability a reinforce takes away
+    counterDuration: 8000, // Milliseconds cancelled attacks are sent back
+  },
+  // Rows inserted by garbage attacks (see utils/garbage.js)
+  garbage: {
+    strengthPerRow: 10, // Attack strength per inserted row (rounded up)
+    messiness: 0.3, // Chance each row's hole moves to a new column
+  },
+  // Drop interval (ms) is baseSpeed - level * speedPerLevel, never below minSpeed
+  gravity: {
+    baseSpeed: 500,
+    speedPerLevel: 50,
+    minSpeed: 50,
+  },
+  lockDelay: {
+    delay: 500,
+    resetLimit: 15,
+  },
+  autoLock: {
+    enabled: true,
+    threshold: 10, // Rows from the top that trigger the countdown
+    countdown: 5, // Seconds before the section locks
+  },
+  stability: {
+    neighborWeight: 0.15, // Weight for lateral support
+    overhangPenalty: 0.35, // Penalty for blocks with no direct support
+    thinTowerPenalty: 0.25, // Penalty for rows narrower than minStableWidth
+    balancePenalty: 0.3, // Penalty factor for imbalanced rows
+    minStableWidth: 6, // Minimum row width considered stable
+    criticalStability: 0.4, // Rows below this are critically unstable
+    consecutiveCriticalLimit: 2, // This many consecutive critical rows is dangerous
+    historyStress: 0.5, // Stability lost by a foundation block above a fully hollow history column
+    historyDepth: 8, // Locked rows below the foundation that count towards its support
+    leanTolerance: 0.5, // Load lean (0 centered, 1 at the support edge) allowed before it costs stability
+    minSupportWidth: 4, // Narrowest support (cells) a load's lean is measured against
+    loadWeight: 0.4, // Share of stability lost when the load reaches the support edge
+    tippingPenalty: 0.05, // Extra share lost for each row whose load hangs past its support
+  },
+  collapse: {
+    fullThreshold: 80, // Instability that triggers a full collapse
+    partialThreshold: 60, // Instability that triggers a partial collapse
+    fullBreakStability: 0.5, // Blocks below this cell stability break in a full collapse
+    partialBreakStability: 0.3, // Blocks below this cell stability break in a partial collapse
+  },
+};
+
+// Board fields calculated from the others
+const DERIVED_BOARD_FIELDS = ["width", "height", "cutOffRow"];
+
+// Validation rules for every numeric field: [min, max, integer]
+const NUMBER_RULES = {
+  board: {
+    gutterWidth: [1, 20, true],
+    towerWidth: [4, 40, true],
+    bufferRows: [2, 10, true],
+    visibleRows: [10, 100, true],
+    historyRows: [1, 100, true],
+  },
+  pieces: {
+    previewSize: [1, 7, true],
+  },
+  gravity: {
+    baseSpeed: [1, 10000, false],
+    speedPerLevel: [0, 10000, false],
+    minSpeed: [1, 10000, false],
+  },
+  lockDelay: {
+    delay: [0, 10000, false],
+    resetLimit: [0, 1000, true],
+  },
+  powerUps: {
+    interval: [0, 100, true],
+    bombRadius: [1, 5, true],
+    braceCells: [1, 50, true],
+  },
+  abilityEconomy: {
+    linesPerAbility: [0, 100, true],
+    abilitiesPerLock: [0, 4, true],
+    streakLength: [0, 100, true],
+    streakStability: [0, 100, false],
+    maxStock: [1, 9, true],
+  },
+  abilityCosts: {
+    windGust: [0, 100, false],
+    earthShake: [0, 100, false],
+    gravityWell: [0, 100, false],
+    wobbleCurse: [0, 100, false],
+    shield: [0, 100, false],
+    reinforce: [0, 100, false],
+    counterAttack: [0, 100, false],
+  },
+  abilityCooldowns: {
+    windGust: [0, 120000, false],
+    earthShake: [0, 120000, false],
+    gravityWell: [0, 120000, false],
+    wobbleCurse: [0, 120000, false],
+    shield: [0, 120000, false],
+    reinforce: [0, 120000, false],
+    counterAttack: [0, 120000, false],
+  },
+  abilities: {
+    windPushes: [1, 20, true],
+    windInterval: [50, 5000, false],
+    shakeRows: [1, 20, true],
+    shakeChance: [0, 1, false],
+    gravityMultiplier: [1, 20, false],
+    gravityDuration: [0, 60000, false],
+    wobbleChance: [0, 1, false],
+    wobbleDuration: [0, 60000, false],
+  },
+  defense: {
+    warningTime: [0, 30000, false],
+    cancelPerLine: [0, 100, false],
+    shieldDuration: [0, 120000, false],
+    reinforceAmount: [0, 100, false],
+    counterDuration: [0, 120000, false],
+  },
+  garbage: {
+    strengthPerRow: [1, 100, false],
+    messiness: [0, 1, false],
+  },
+  autoLock: {
+    threshold: [1, 100, true],
+    countdown: [1, 60, true],
+  },
+  stability: {
+    neighborWeight: [0, 1, false],
+    overhangPenalty: [0, 2, false],
+    thinTowerPenalty: [0, 2, false],
+    balancePenalty: [0, 2, false],
+    minStableWidth: [1, 40, true],
+    criticalStability: [0, 1, false],
+    consecutiveCriticalLimit: [1, 100, true],
+    historyStress: [0, 2, false],
+    historyDepth: [0, 100, true],
+    leanTolerance: [0, 0.95, false],
+    minSupportWidth: [1, 40, true],
+    loadWeight: [0, 2, false],
+    tippingPenalty: [0, 1, false],
+  },
+  collapse: {
+    fullThreshold: [0, 1000, false],
+    partialThreshold: [0, 1000, false],
+    fullBreakStability: [-1, 1, false],
+    partialBreakStability: [-1, 1, false],
+  },
+};
+
+/**
+ * Check a ruleset and list everything that is wrong with it
+ * @param {object} rules - A complete (merged) ruleset
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+export function validateRuleset(rules) {
+  const errors = [];
+
+  if (typeof rules.name !== "string" || rules.name.length === 0) {
+    errors.push("name must be a non-empty string");
+  }
+
+  for (const [section, fields] of Object.entries(NUMBER_RULES)) {
+    for (const [field, [min, max, integer]] of Object.entries(fields)) {
+      const value = rules[section][field];
+      if (typeof value !== "number" || Number.isNaN(value)) {
+        errors.push(`${section}.${field} must be a number`);
+      } else if (value < min || value > max) {
+        errors.push(`${section}.${field} must be between ${min} and ${max}`);
+      } else if (integer && !Number.isInteger(value)) {
+        errors.push(`${section}.${field} must be a whole number`);
+      }
+    }
+  }
+
+  if (!ROTATION_SYSTEMS[rules.pieces.rotationSystem]) {
+    errors.push(`pieces.rotationSystem must be one of: ${Object.keys(ROTATION_SYSTEMS).join(", ")}`);
+  }
+  if (!RANDOMIZER_TYPES[rules.pieces.randomizer]) {
+    errors.push(`pieces.randomizer must be one of: ${Object.keys(RANDOMIZER_TYPES).join(", ")}`);
+  }
+  if (!Object.hasOwn(PIECE_SETS, rules.pieces.set)) {
+    errors.push(`pieces.set must be one of: ${Object.keys(PIECE_SETS).join(", ")}`);
+  } else if (rules.pieces.set === "custom") {
+    errors.push(...validateCustomSet(rules.pieces.customSet));
+  }
+  const pieceTypes = getPieceTypes(rules);
+  for (const [type, material] of Object.entries(rules.materials)) {
+    if (!Object.hasOwn(DEFAULT_RULESET.materials, type) && !pieceTypes.includes(type)) {
+      errors.push(`materials.${type} is not a piece type of the "${rules.pieces.set}" set`);
+    } else if (!Object.hasOwn(MATERIALS, material)) {
+      errors.push(`materials.${type} must be one of: ${Object.keys(MATERIALS).join(", ")}`);
+    }
+  }
+  const { types } = rules.powerUps;
+  if (!Array.isArray(types) || types.some(type => !isPowerUp(type))) {
+    errors.push(`powerUps.types must only list: ${Object.keys(POWER_UPS).join(", ")}`);
+  }
+  if (typeof rules.autoLock.enabled !== "boolean") {
+    errors.push("autoLock.enabled must be true or false");
+  }
+  if (rules.stability.minStableWidth > rules.board.towerWidth) {
+    errors.push("stability.minStableWidth can't be wider than board.towerWidth");
+  }
+  if (rules.stability.minSupportWidth > rules.board.towerWidth) {
+    errors.push("stability.minSupportWidth can't be wider than board.towerWidth");
+  }
+  if (rules.collapse.partialThreshold > rules.collapse.fullThreshold) {
+    errors.push("collapse.partialThreshold can't be above collapse.fullThreshold");
+  }
+  if (rules.autoLock.threshold >= rules.board.visibleRows) {
+    errors.push("autoLock.threshold must be smaller than board.visibleRows");
+  }
+
+  return errors;
+}
+
+// Piece types the ruleset's piece set deals (none when the set is invalid)
+function getPieceTypes(rules) {
+  const { set, rotationSystem, customSet } = rules.pieces;
+  if (!Object.hasOwn(PIECE_SETS, set)) return [];
+  if (set === "tetrominoes") return Object.keys(ROTATION_SYSTEMS[rotationSystem]?.shapes || {});
+  if (set === "custom") return Object.keys(customSet?.shapes || {});
+  return Object.keys(PIECE_SETS[set].shapes);
+}
+
+/**
+ * Create a validated ruleset from overrides on top of the defaults.
+ * Derived board geometry (width, height, cutOffRow) is added and the
+ * result is frozen so rules can't change mid-game.
+ * @param {object} overrides - Partial ruleset, e.g. { board: { towerWidth: 6 } }
+ * @returns {object} The complete ruleset
+ */
+export function createRuleset(overrides = {}) {
+  const rules = structuredClone(DEFAULT_RULESET);
+
+  for (const [section, value] of Object.entries(overrides)) {
+    if (!(section in DEFAULT_RULESET)) {
+      throw new Error(`Invalid ruleset: unknown section "${section}"`);
+    }
+    if (typeof DEFAULT_RULESET[section] !== "object") {
+      rules[section] = value;
+      continue;
+    }
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      throw new Error(`Invalid ruleset: section "${section}" must be an object`);
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      // Derived geometry is recalculated below
+      if (section === "board" && DERIVED_BOARD_FIELDS.includes(field)) continue;
+      // Materials may also name the pieces of other sets (checked in validateRuleset)
+      if (section !== "materials" && !(field in DEFAULT_RULESET[section])) {
+        throw new Error(`Invalid ruleset: unknown field "${section}.${field}"`);
+      }
+      rules[section][field] = fieldValue;
+    }
+  }
+
+  const errors = validateRuleset(rules);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ruleset "${rules.name}": ${errors.join("; ")}`);
+  }
+
+  const { gutterWidth, towerWidth, bufferRows, visibleRows, historyRows } = rules.board;
+  rules.board.width = towerWidth + 2 * gutterWidth;
+  rules.board.height = bufferRows + visibleRows + historyRows;
+  rules.board.cutOffRow = rules.board.height - historyRows;
+
+  return deepFreeze(rules);
+}
+
+/**
+ * Create a ruleset from JSON text or an already parsed object
+ * @param {string|object} json - Ruleset overrides
+ * @returns {object} The complete ruleset
+ */
+export function loadRuleset(json) {
+  const overrides = typeof json === "string" ? JSON.parse(json) : json;
+  return createRuleset(overrides);
+}
+
+/**
+ * Fetch and load a ruleset JSON file (e.g. "./rulesets/narrow.json")
+ * @param {string} url - Where the JSON file lives
+ * @returns {Promise<object>} The complete ruleset
+ */
+export async function fetchRuleset(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load ruleset ${url}: ${response.status}`);
+  }
+  return loadRuleset(await response.json());
+}
+
+// The default rules, complete and validated. Used wherever no ruleset is passed.
+export const STANDARD_RULESET = createRuleset();
+
+function deepFreeze(object) {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === "object") deepFreeze(value);
+  });
+  return Object.freeze(object);
+}
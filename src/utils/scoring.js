@@ -0,0 +1,135 @@
+// utils/scoring.js
+// Line clear scoring on top of calculateScore: T-spins, combos,
+// back-to-back difficult clears and perfect clears of the tower area
+import { calculateScore } from "./levelHelpers.js";
+
+// T-spin points by lines cleared (0-3), multiplied by level + 1
+const T_SPIN_POINTS = {
+  mini: [100, 200, 400, 400],
+  full: [400, 800, 1200, 1600],
+};
+
+// Perfect clear bonus by lines cleared (1-4+), multiplied by level + 1
+const PERFECT_CLEAR_POINTS = [0, 800, 1200, 1800, 2000];
+
+const COMBO_POINTS = 50;
+
+const CLEAR_NAMES = ["", "SINGLE", "DOUBLE", "TRIPLE", "QUAD"];
+
+// The last kick test of a rotation (the 1x2 "TST" kick) always counts as a full T-spin
+const FULL_SPIN_KICK_INDEX = 4;
+
+// Find the center of a T piece: the filled cell with three filled neighbours.
+// Returns the center and the direction the T points.
+function findTCenter(shape) {
+  const filled = (col, row) => Boolean(shape[row] && shape[row][col]);
+  const directions = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+
+  for (let row = 0; row < shape.length; row++) {
+    for (let col = 0; col < shape[row].length; col++) {
+      if (!filled(col, row)) continue;
+      const missing = directions.filter(([dx, dy]) => !filled(col + dx, row + dy));
+      if (missing.length === 1) {
+        // The T points away from its missing side
+        const [mx, my] = missing[0];
+        return { col, row, facing: [-mx, -my] };
+      }
+    }
+  }
+  return null;
+}
+
+// Walls, floor and placed blocks all count as filled corners
+function isCornerFilled(state, x, y) {
+  const { width, height } = state.rules.board;
+  if (x < 0 || x >= width || y >= height) return true;
+  if (y < 0) return false;
+  return state.isCellOccupied(x, y);
+}
+
+// Detect a T-spin with the three-corner rule. Returns "full", "mini" or null.
+// Only counts when the last successful move was a rotation (piece.lastKick).
+export function detectTSpin(state, piece) {
+  if (piece.type !== "T" || !piece.lastKick) return null;
+
+  const center = findTCenter(piece.shape);
+  if (!center) return null;
+
+  const cx = piece.x + center.col;
+  const cy = piece.y + center.row;
+  const [fx, fy] = center.facing;
+
+  // Corners on the side the T points at, then the two behind it
+  const front = fx === 0
+    ? [[cx - 1, cy + fy], [cx + 1, cy + fy]]
+    : [[cx + fx, cy - 1], [cx + fx, cy + 1]];
+  const back = fx === 0
+    ? [[cx - 1, cy - fy], [cx + 1, cy - fy]]
+    : [[cx - fx, cy - 1], [cx - fx, cy + 1]];
+
+  const frontFilled = front.filter(([x, y]) => isCornerFilled(state, x, y)).length;
+  const backFilled = back.filter(([x, y]) => isCornerFilled(state, x, y)).length;
+  if (frontFilled + backFilled < 3) return null;
+
+  const { index, turns } = piece.lastKick;
+  if (frontFilled === 2 || (index === FULL_SPIN_KICK_INDEX && Math.abs(turns) === 1)) return "full";
+  return "mini";
+}
+
+// A perfect clear leaves every row of the active tower area either empty or
+// complete (rows are never removed, so the stack has no gaps at all)
+export function isPerfectClear(board, { gutterWidth, towerWidth, cutOffRow }) {
+  for (let y = 0; y < cutOffRow - 1; y++) {
+    let filled = 0;
+    for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
+      if (board[y][x]) filled++;
+    }
+    if (filled > 0 && filled < towerWidth) return false;
+  }
+  return true;
+}
+
+// Score a piece lock and update the combo and back-to-back state.
+// Returns the points plus callouts for the view ("T-SPIN DOUBLE", "COMBO x2", ...).
+export function scoreLock(state, { lines, tSpin, perfectClear }) {
+  const multiplier = state.level + 1;
+  const callouts = [];
+
+  // Placement points plus the regular line clear points
+  const basePoints = calculateScore(state.level, 0);
+  let clearPoints = calculateScore(state.level, lines) - basePoints;
+
+  if (tSpin) {
+    clearPoints += T_SPIN_POINTS[tSpin][Math.min(lines, 3)] * multiplier;
+    callouts.push(`T-SPIN${tSpin === "mini" ? " MINI" : ""} ${CLEAR_NAMES[Math.min(lines, 3)]}`.trim());
+  } else if (lines >= 4) {
+    callouts.push(CLEAR_NAMES[4]);
+  }
+  let points = basePoints + clearPoints;
+
+  // Combos count consecutive locks that clear lines
+  state.combo = lines > 0 ? state.combo + 1 : -1;
+  if (state.combo > 0) {
+    points += COMBO_POINTS * state.combo * multiplier;
+    callouts.push(`COMBO x${state.combo}`);
+  }
+
+  // Quads and line-clearing T-spins chain back-to-back for a 50% bonus.
+  // Locks without lines keep the chain, easy clears break it.
+  const difficult = lines >= 4 || (Boolean(tSpin) && lines > 0);
+  const backToBack = difficult && state.backToBack;
+  if (backToBack) {
+    points += Math.floor(clearPoints / 2);
+    callouts.push("BACK-TO-BACK");
+  }
+  if (lines > 0) {
+    state.backToBack = difficult;
+  }
+
+  if (perfectClear && lines > 0) {
+    points += PERFECT_CLEAR_POINTS[Math.min(lines, 4)] * multiplier;
+    callouts.push("PERFECT CLEAR");
+  }
+
+  return { points, callouts, combo: state.combo, backToBack };
+}
@@ -1,35 +1,65 @@
 // utils/spawn.js
-import { GUTTER_WIDTH, TOWER_WIDTH, BUFFER_ROWS } from "./constants.js";
-import { drawPiece } from "./draw.js";
-import { dropPiece } from "./move.js";
 import { getSpawnPosition } from "./tetrominoHelpers.js";
 import { getNextPiece } from "./pieceHelpers.js";
-import { getDropSpeed } from "./levelHelpers.js";
+import { getPieceShape } from "./powerUps.js";
+import { GameEvents } from "./engine/events.js";
 
-export function spawnTetromino(scene, TETROMINO_SHAPES) {
+export function spawnTetromino(state, TETROMINO_SHAPES = state.shapes) {
   // Get the next piece from the queue
-  const { type, shape } = getNextPiece(scene, TETROMINO_SHAPES);
+  const { type } = getNextPiece(state, TETROMINO_SHAPES);
+  
+  // A fresh piece from the queue allows one hold again
+  state.canHold = true;
+  
+  return [
+    { type: GameEvents.QUEUE_CHANGED, queue: [...state.previewQueue] },
+    ...spawnPieceOfType(state, type, TETROMINO_SHAPES)
+  ];
+}
+
+// Place a piece of the given type at the spawn position
+export function spawnPieceOfType(state, type, TETROMINO_SHAPES = state.shapes) {
+  const shape = getPieceShape(TETROMINO_SHAPES, type);
   
   // Use spawn position helper
-  const spawnPos = getSpawnPosition(shape);
+  const { gutterWidth, towerWidth, bufferRows } = state.rules.board;
+  const spawnPos = getSpawnPosition(shape, gutterWidth, towerWidth, bufferRows);
   
-  scene.activePiece = {
+  state.activePiece = {
     shape,
-    blocks: [],
     x: spawnPos.x,
     y: spawnPos.y,
     type,
     rotationIndex: 0
   };
   
-  drawPiece(scene);
+  // Restart the gravity and lock delay timers for the new piece
+  state.dropTimer = 0;
+  state.lockTimer = null;
+  state.lockResets = 0;
+  state.lockLowestY = spawnPos.y;
+  
+  return [{ type: GameEvents.PIECE_SPAWNED, piece: { ...state.activePiece } }];
+}
+
+// Swap the active piece into the hold slot (once per spawn)
+export function holdPiece(state) {
+  if (!state.activePiece || !state.canHold) return [];
+  
+  const previousHeld = state.heldPiece;
+  state.heldPiece = state.activePiece.type;
+  state.activePiece = null;
+  
+  const events = [{ type: GameEvents.HOLD_CHANGED, heldPiece: state.heldPiece }];
+  
+  if (previousHeld) {
+    events.push(...spawnPieceOfType(state, previousHeld));
+  } else {
+    events.push(...spawnTetromino(state));
+  }
   
-  // Calculate drop speed based on current level
-  const dropSpeed = getDropSpeed(scene.level);
+  // Can't hold again until the next piece is locked
+  state.canHold = false;
   
-  scene.fallTimer = scene.time.addEvent({ 
-    delay: dropSpeed, 
-    callback: () => dropPiece(scene), 
-    loop: true 
-  });
-}
\ No newline at end of file
+  return events;
+}
@@ -1,7 +1,6 @@
 // stability/debugVisualization.js
-import { GRID_SIZE, GUTTER_WIDTH, TOWER_WIDTH, HISTORY_ROWS } from "../constants.js";
+import { GRID_SIZE } from "../constants.js";
 import { findTopRow } from "../boardHelpers.js";
-import { MIN_STABLE_WIDTH } from "./instabilityCore.js";
 import { getStabilityTextColor } from "./stabilityEffects.js";
 
 /**
@@ -18,20 +17,20 @@ export function renderDebugOverlay(scene) {
     return; // Not in debug mode
   }
   
+  const state = scene.state;
+  const { gutterWidth, towerWidth, visibleRows, cutOffRow } = state.rules.board;
+  
   // Only proceed if cell stability data exists
-  if (!scene.cellStability) return;
+  if (!state.cellStability) return;
   
-  const topRow = findTopRow(scene.board);
+  const topRow = findTopRow(state.board);
   if (topRow === -1) return; // No blocks to debug
   
   // Calculate text size based on grid
   const textSize = Math.max(8, Math.min(12, GRID_SIZE / 2));
   
   // Number of rows to display in debug mode
-  const debugVisibleRows = 30; // Default if VISIBLE_ROWS isn't available
-  
-  // Define cutoff row for active section vs history
-  const cutOffRow = scene.board.length - HISTORY_ROWS;
+  const debugVisibleRows = visibleRows;
   
   // Track cells for different stability issues (to avoid double-highlighting)
   const overhangCells = new Set();
@@ -41,20 +40,20 @@ export function renderDebugOverlay(scene) {
   const thinRows = [];
   for (let y = topRow; y < Math.min(cutOffRow, topRow + debugVisibleRows); y++) {
     let rowWidth = 0;
-    for (let x = GUTTER_WIDTH; x < GUTTER_WIDTH + TOWER_WIDTH; x++) {
-      if (scene.board[y][x]) rowWidth++;
+    for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
+      if (state.board[y][x]) rowWidth++;
     }
     
-    if (rowWidth > 0 && rowWidth < MIN_STABLE_WIDTH) {
+    if (rowWidth > 0 && rowWidth < state.rules.stability.minStableWidth) {
       thinRows.push(y);
     }
   }
   
   // Show stability values for visible cells
-  for (let y = topRow; y < Math.min(scene.board.length, topRow + debugVisibleRows); y++) {
-    for (let x = GUTTER_WIDTH; x < GUTTER_WIDTH + TOWER_WIDTH; x++) {
+  for (let y = topRow; y < Math.min(state.board.length, topRow + debugVisibleRows); y++) {
+    for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
       // Skip empty cells
-      if (!scene.board[y][x]) continue;
+      if (!state.board[y][x]) continue;
       
       // Handle history rows separately
       if (y >= cutOffRow) {
@@ -68,7 +67,7 @@ export function renderDebugOverlay(scene) {
         );
         
         // Add "HISTORY" text to first history row if it's visible
-        if (y === cutOffRow && x === GUTTER_WIDTH) {
+        if (y === cutOffRow && x === gutterWidth) {
           const historyLabel = scene.add.text(
             x * GRID_SIZE, 
             y * GRID_SIZE - 20, 
@@ -88,8 +87,8 @@ export function renderDebugOverlay(scene) {
       // Handle active section with stability values
       // Get stability value
       let value = null;
-      if (y < scene.cellStability.length && x < scene.cellStability[0].length) {
-        value = scene.cellStability[y][x];
+      if (y < state.cellStability.length && x < state.cellStability[0].length) {
+        value = state.cellStability[y][x];
       }
       
       // Skip cells with no stability value
@@ -104,20 +103,20 @@ export function renderDebugOverlay(scene) {
         cellType = 'void';
       } 
       // Check for overhangs (if it's a block)
-      else if (scene.board[y][x]) {
+      else if (state.board[y][x]) {
         // Check for direct support below
-        const hasDirectSupport = y + 1 < scene.board.length && scene.board[y+1] && scene.board[y+1][x] === 1;
+        const hasDirectSupport = y + 1 < state.board.length && state.board[y+1] && Boolean(state.board[y+1][x]);
         
-        if (!hasDirectSupport && y < scene.board.length - 1) {
+        if (!hasDirectSupport && y < state.board.length - 1) {
           // Check for diagonal support
           const hasLeftDiagonalSupport = 
-            y + 1 < scene.board.length && 
-            x > GUTTER_WIDTH && 
-            scene.board[y+1] && scene.board[y+1][x-1] === 1;
+            y + 1 < state.board.length && 
+            x > gutterWidth && 
+            state.board[y+1] && Boolean(state.board[y+1][x-1]);
           const hasRightDiagonalSupport = 
-            y + 1 < scene.board.length && 
-            x < GUTTER_WIDTH + TOWER_WIDTH - 1 && 
-            scene.board[y+1] && scene.board[y+1][x+1] === 1;
+            y + 1 < state.board.length && 
+            x < gutterWidth + towerWidth - 1 && 
+            state.board[y+1] && Boolean(state.board[y+1][x+1]);
           
           if (!hasLeftDiagonalSupport && !hasRightDiagonalSupport) {
             // Complete overhang
@@ -199,16 +198,16 @@ export function renderDebugOverlay(scene) {
   }
 
   // Show row stability
-  if (scene.rowStability) {
+  if (state.rowStability) {
     for (let y = topRow; y < Math.min(cutOffRow, topRow + debugVisibleRows); y++) {
-      if (y < scene.rowStability.length && scene.rowStability[y] !== null) {
-        const rowValue = scene.rowStability[y];
+      if (y < state.rowStability.length && state.rowStability[y] !== null) {
+        const rowValue = state.rowStability[y];
         const color = getDebugColor(rowValue);
         
         // Draw row indicator on the right
         scene.debugGraphics.fillStyle(color, 0.8);
         scene.debugGraphics.fillRect(
-          (GUTTER_WIDTH + TOWER_WIDTH) * GRID_SIZE,
+          (gutterWidth + towerWidth) * GRID_SIZE,
           y * GRID_SIZE,
           GRID_SIZE/2,
           GRID_SIZE
@@ -216,7 +215,7 @@ export function renderDebugOverlay(scene) {
         
         // Add text with row stability value
         const text = scene.add.text(
-          (GUTTER_WIDTH + TOWER_WIDTH) * GRID_SIZE + GRID_SIZE/4, 
+          (gutterWidth + towerWidth) * GRID_SIZE + GRID_SIZE/4, 
           y * GRID_SIZE + GRID_SIZE/2, 
           rowValue.toFixed(2), 
           { 
@@ -234,7 +233,7 @@ export function renderDebugOverlay(scene) {
         if (thinRows.includes(y)) {
           scene.debugGraphics.fillStyle(0xFF9900, 0.7); // Orange for thin rows
           scene.debugGraphics.fillRect(
-            (GUTTER_WIDTH + TOWER_WIDTH) * GRID_SIZE + GRID_SIZE/2,
+            (gutterWidth + towerWidth) * GRID_SIZE + GRID_SIZE/2,
             y * GRID_SIZE,
             GRID_SIZE/4,
             GRID_SIZE
@@ -246,13 +245,13 @@ export function renderDebugOverlay(scene) {
   
   // Draw center of mass indicator for non-empty rows
   for (let y = topRow; y < Math.min(cutOffRow, topRow + debugVisibleRows); y++) {
-    if (hasFilledCells(scene.board, y)) {
+    if (hasFilledCells(state.board, y, state.rules.board)) {
       // Calculate center of mass for visualization
       let totalMass = 0;
       let weightedSum = 0;
       
-      for (let x = GUTTER_WIDTH; x < GUTTER_WIDTH + TOWER_WIDTH; x++) {
-        if (scene.board[y][x]) {
+      for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
+        if (state.board[y][x]) {
           totalMass++;
           weightedSum += x;
         }
@@ -260,10 +259,10 @@ export function renderDebugOverlay(scene) {
       
       if (totalMass > 0) {
         const centerOfMass = weightedSum / totalMass;
-        const idealCenter = GUTTER_WIDTH + (TOWER_WIDTH / 2);
+        const idealCenter = gutterWidth + (towerWidth / 2);
         
         // Draw vertical line at center of mass
-        const imbalance = Math.abs(centerOfMass - idealCenter) / (TOWER_WIDTH / 2);
+        const imbalance = Math.abs(centerOfMass - idealCenter) / (towerWidth / 2);
         let lineColor = 0x00ff00; // Green for balanced
         
         if (imbalance > 0.3) {
@@ -293,7 +292,7 @@ export function renderDebugOverlay(scene) {
   }
   
   // Highlight void clusters with different colors if available
-  if (scene.voidClusters && scene.voidClusters.length > 0) {
+  if (state.voidClusters && state.voidClusters.length > 0) {
     const clusterColors = [
       0xCC33FF, // Purple
       0xFF33CC, // Pink
@@ -303,7 +302,7 @@ export function renderDebugOverlay(scene) {
     ];
     
     // Draw each void cluster with a unique color
-    scene.voidClusters.forEach((cluster, index) => {
+    state.voidClusters.forEach((cluster, index) => {
       const color = clusterColors[index % clusterColors.length];
       
       // Draw cluster outline
@@ -355,22 +354,35 @@ export function renderDebugOverlay(scene) {
     });
   }
   
+  // Weak history columns: a red strip just below the foundation, stronger
+  // for columns that stress the blocks above them more
+  if (state.historyStructure) {
+    for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
+      const weakness = 1 - state.historyStructure.columnSupport[x];
+      if (weakness <= 0) continue;
+      scene.debugGraphics.fillStyle(0xff0000, 0.2 + weakness * 0.6);
+      scene.debugGraphics.fillRect(x * GRID_SIZE, cutOffRow * GRID_SIZE, GRID_SIZE, 4);
+    }
+  }
+  
   // Add a debug legend at the top of the screen
   addDebugLegend(scene);
   
   // Show tower and historical stability values
-  if (scene.instability !== undefined) {
-    const currentStability = 100 - scene.instability;
-    const displayStability = scene.rawSectionStability !== undefined ? 
-      scene.rawSectionStability : 
+  if (state.instability !== undefined) {
+    const currentStability = 100 - state.instability;
+    const displayStability = state.rawSectionStability !== undefined ? 
+      state.rawSectionStability : 
       currentStability;
     
     const text = scene.add.text(
-      GRID_SIZE * GUTTER_WIDTH,
+      GRID_SIZE * gutterWidth,
       20,
       `Section: ${displayStability.toFixed(1)}%` + 
-      (scene.historicalStability !== undefined ? 
-        ` | Historical: ${scene.historicalStability.toFixed(1)}%` : ''),
+      (state.historicalStability !== undefined ? 
+        ` | Historical: ${state.historicalStability.toFixed(1)}%` : '') +
+      (state.historyStructure ?
+        ` | History stress: ${(state.historyStructure.stress * 100).toFixed(0)}%` : ''),
       {
         fontSize: '14px',
         fill: getStabilityTextColor(displayStability),
@@ -383,12 +395,74 @@ export function renderDebugOverlay(scene) {
   }
 }
 
+/**
+ * Render the load analysis layer: the contact span of each row (what carries
+ * the load above), the center of mass of that load and the tipping points
+ * @param {object} scene - The game scene
+ */
+export function renderLoadOverlay(scene) {
+  if (!scene.loadGraphics) return; // Layer is off
+
+  scene.loadGraphics.clear();
+  scene.loadText.forEach(text => text.destroy());
+  scene.loadText = [];
+
+  const analysis = scene.state.loadAnalysis;
+  if (!analysis || analysis.rows.length === 0) return;
+
+  const graphics = scene.loadGraphics;
+  let previous = null;
+
+  for (const row of analysis.rows) {
+    const color = row.tipping ? 0xff0000 : getDebugColor(1 - row.lean);
+    const top = row.y * GRID_SIZE;
+
+    // Contact span along the top edge of the row
+    graphics.lineStyle(2, color, 0.6);
+    graphics.lineBetween(row.contactLeft * GRID_SIZE, top, row.contactRight * GRID_SIZE, top);
+
+    // Load path: center of mass of everything above, row by row
+    const comX = row.centerOfMass * GRID_SIZE;
+    if (previous) {
+      graphics.lineStyle(2, 0x00ffff, 0.8);
+      graphics.lineBetween(previous.x, previous.y, comX, top);
+    }
+    graphics.fillStyle(color, 1);
+    graphics.fillCircle(comX, top, row.tipping ? 5 : 3);
+    previous = { x: comX, y: top };
+
+    if (row.tipping) {
+      const label = scene.add.text(GRID_SIZE / 2, top - GRID_SIZE / 2, "TIP", {
+        fontSize: '12px',
+        fill: '#ff4444',
+        stroke: '#000000',
+        strokeThickness: 2
+      });
+      scene.loadText.push(label);
+    }
+  }
+
+  const summary = scene.add.text(
+    GRID_SIZE / 2,
+    40,
+    `Load: ${(analysis.loadStability * 100).toFixed(0)}% | Lean: ${analysis.worstLean.toFixed(2)} | Tipping: ${analysis.tippingPoints.length}`,
+    {
+      fontSize: '14px',
+      fill: analysis.tippingPoints.length > 0 ? '#ff4444' : '#00ffff',
+      stroke: '#000000',
+      strokeThickness: 3
+    }
+  );
+  scene.loadText.push(summary);
+}
+
 /**
  * Add a debug legend to explain the different visual indicators
  * @param {object} scene - The game scene
  */
 function addDebugLegend(scene) {
-  const legendX = GRID_SIZE * (GUTTER_WIDTH + TOWER_WIDTH + 1);
+  const { gutterWidth, towerWidth } = scene.state.rules.board;
+  const legendX = GRID_SIZE * (gutterWidth + towerWidth + 1);
   let legendY = 200;
   const spacing = 25;
   
@@ -546,12 +620,13 @@ function getDebugColor(value) {
  * Helper to check if a row has any filled cells
  * @param {Array} board - The game board
  * @param {number} y - Row index
+ * @param {object} bounds - The ruleset's board geometry
  * @returns {boolean} True if row has filled cells
  */
-function hasFilledCells(board, y) {
+function hasFilledCells(board, y, { gutterWidth, towerWidth }) {
   if (!board[y]) return false;
   
-  for (let x = GUTTER_WIDTH; x < GUTTER_WIDTH + TOWER_WIDTH; x++) {
+  for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
     if (board[y][x]) return true;
   }
   return false;
@@ -0,0 +1,120 @@
+// stability/historyStructure.js
+// The locked history as structure. lockTowerSection analyzes the history
+// grid once per lock and keeps the result in state.historyStructure: how well
+// each column of the history still carries weight, plus its voids and thin
+// rows. The stability calculation turns weak columns into stress on the
+// blocks of the active section standing above them, so a badly built section
+// keeps costing stability after it is locked.
+import { STANDARD_RULESET } from "../ruleset.js";
+
+// Each history row further down counts this much less towards a column's support
+const ROW_DECAY = 0.7;
+
+// Each active row further above the foundation feels this much less stress
+const STRESS_DECAY = 0.7;
+
+// Stress this small is no longer applied (ends the upward pass)
+const MIN_STRESS_REACH = 0.05;
+
+// Share of a block's support left when its history row is thinner than minStableWidth
+const THIN_ROW_SUPPORT = 0.5;
+
+/**
+ * Analyze the locked rows of the history grid
+ * @param {Array} historyGrid - History rows, the one just below the foundation first
+ * @param {number} lockedRows - How many of those rows hold locked sections (the rest is solid ground)
+ * @param {object} rules - The game's ruleset (tower bounds, minStableWidth and historyDepth)
+ * @returns {Object} { lockedRows, columnSupport, voidCells, thinRows, stress }: columnSupport is 0-1 per board column (1 is solid), stress the average weakness of the tower columns (0-1)
+ */
+export function analyzeHistory(historyGrid, lockedRows, rules = STANDARD_RULESET) {
+  const { width, gutterWidth, towerWidth } = rules.board;
+  const { minStableWidth, historyDepth } = rules.stability;
+  const depth = Math.min(lockedRows, historyDepth, historyGrid.length);
+
+  // Blocks in thin rows carry less
+  let thinRows = 0;
+  const rowSupport = [];
+  for (let y = 0; y < depth; y++) {
+    let filled = 0;
+    for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
+      if (historyGrid[y][x]) filled++;
+    }
+    const thin = filled > 0 && filled < minStableWidth;
+    if (thin) thinRows++;
+    rowSupport[y] = thin ? THIN_ROW_SUPPORT : 1;
+  }
+
+  // Weighted share of solid cells below each column, nearest rows count most
+  const columnSupport = Array(width).fill(1);
+  let voidCells = 0;
+  let totalWeakness = 0;
+  for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
+    let support = 0;
+    let total = 0;
+    let covered = false;
+
+    for (let y = 0; y < depth; y++) {
+      const weight = ROW_DECAY ** y;
+      if (historyGrid[y][x]) {
+        support += weight * rowSupport[y];
+        covered = true;
+      } else if (covered) {
+        voidCells++; // Empty cell sealed under locked blocks
+      }
+      total += weight;
+    }
+
+    if (total > 0) columnSupport[x] = support / total;
+    totalWeakness += 1 - columnSupport[x];
+  }
+
+  return {
+    lockedRows,
+    columnSupport,
+    voidCells,
+    thinRows,
+    stress: totalWeakness / towerWidth,
+  };
+}
+
+/**
+ * Weaken the active section's blocks above weak history columns. The stress
+ * is strongest in the foundation row and fades with every row above it.
+ * @param {Array} board - The game board
+ * @param {Array} cellStability - Cell stability values to update
+ * @param {number} cutOffRow - The row where history begins
+ * @param {Object|null} historyStructure - Result of analyzeHistory (null before the first lock)
+ * @param {object} rules - The game's ruleset (tower bounds and historyStress)
+ * @param {Set<number>|null} rows - Only update these rows (null for all)
+ */
+export function applyHistoryStress(board, cellStability, cutOffRow, historyStructure, rules = STANDARD_RULESET, rows = null) {
+  if (!historyStructure) return;
+
+  const { gutterWidth, towerWidth } = rules.board;
+  const { historyStress } = rules.stability;
+  const { columnSupport } = historyStructure;
+
+  for (let y = cutOffRow - 1; y >= 0; y--) {
+    const reach = STRESS_DECAY ** (cutOffRow - 1 - y);
+    if (reach < MIN_STRESS_REACH) break;
+    if (rows && !rows.has(y)) continue;
+
+    for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
+      const weakness = 1 - columnSupport[x];
+      if (!board[y][x] || weakness <= 0) continue;
+      cellStability[y][x] = Math.max(-1.0, cellStability[y][x] - historyStress * weakness * reach);
+    }
+  }
+}
+
+/**
+ * Check whether two history analyses stress the active section the same way
+ * @param {Object|null} a - A history structure
+ * @param {Object|null} b - Another history structure
+ * @returns {boolean} True if both give the same stress
+ */
+export function isSameHistoryStructure(a, b) {
+  if (!a || !b) return a === b;
+  return a.columnSupport.length === b.columnSupport.length &&
+    a.columnSupport.every((support, x) => support === b.columnSupport[x]);
+}
@@ -0,0 +1,306 @@
+// stability/incrementalStability.js
+// Incremental version of calculateStability. A placement, collapse or attack
+// only changes a few cells, so instead of rebuilding the cell grid and flood
+// filling the whole tower on every update, the last result is kept in
+// state.stabilityCache and only the rows and void clusters the change can
+// reach are recalculated. The results are identical to a full calculation
+// (checked by scripts/benchmarkStability.js).
+import { findTopRow } from "../boardHelpers.js";
+import {
+  calculateStability,
+  calculateRowStability,
+  finishStabilityCalculation,
+} from "./instabilityCore.js";
+import {
+  identifyVoidCluster,
+  analyzeVoidCluster,
+  applyVoidPenalty,
+  propagateVoidEffects,
+  isOpenToGutter,
+} from "./voidDetection.js";
+import {
+  applyOverhangPenalties,
+  applyThinWidthPenalties,
+  applyBalancePenalties,
+} from "./supportStructure.js";
+import { applyHistoryStress, isSameHistoryStructure } from "./historyStructure.js";
+
+// Above this share of changed active rows a full calculation is cheaper
+const MAX_CHANGED_ROW_SHARE = 0.5;
+
+/**
+ * Calculate the current stability of the tower, reusing the previous result
+ * where the board hasn't changed. Falls back to calculateStability when there
+ * is nothing to reuse.
+ * @param {object} state - The game state (state.stabilityCache is created and updated)
+ * @returns {number} The calculated stability value (0-100, higher is more stable)
+ */
+export function calculateStabilityIncremental(state) {
+  const { board, rules } = state;
+  const { cutOffRow } = rules.board;
+  const cache = state.stabilityCache;
+  const topRow = findTopRow(board);
+
+  if (topRow === -1) {
+    state.stabilityCache = null;
+    return 100; // No blocks, tower is perfectly stable
+  }
+
+  const changedCells = canReuseCache(cache, state, topRow) ? findChangedCells(cache, board, rules) : null;
+  const changedRows = new Set((changedCells || []).map(([, y]) => y));
+
+  if (!changedCells || changedRows.size > cutOffRow * MAX_CHANGED_ROW_SHARE) {
+    const stability = calculateStability(state);
+    state.stabilityCache = createStabilityCache(state);
+    return stability;
+  }
+
+  if (changedCells.length > 0) {
+    updateCache(cache, board, topRow, changedCells, rules, state.historyStructure);
+  }
+
+  return finishStabilityCalculation(state, {
+    topRow,
+    cellStability: cache.cellStability,
+    rowStability: cache.rowStability,
+    voidClusters: cache.voidClusters,
+  });
+}
+
+/**
+ * Store the result of a full calculation as the base for incremental updates
+ * @param {object} state - The game state, right after calculateStability
+ * @returns {Object} The stability cache
+ */
+function createStabilityCache(state) {
+  const { board, rules } = state;
+
+  return {
+    rules,
+    historyStructure: state.historyStructure,
+    board: board.slice(0, rules.board.cutOffRow).map(row => [...row]),
+    cellStability: state.cellStability,
+    rowStability: state.rowStability,
+    voidClusters: state.voidClusters,
+  };
+}
+
+/**
+ * Check whether a cached result can be updated for the current board
+ * @param {Object|null} cache - The stability cache
+ * @param {object} state - The game state
+ * @param {number} topRow - The topmost occupied row
+ * @returns {boolean} True if an incremental update gives the same result as a full one
+ */
+function canReuseCache(cache, state, topRow) {
+  const { board, rules } = state;
+  if (!cache || cache.rules !== rules || board[0].length !== cache.board[0].length) return false;
+
+  // A section lock changes the stress from the history on every row
+  if (!isSameHistoryStructure(cache.historyStructure, state.historyStructure)) return false;
+
+  // Open space above the tower is what makes cells accessible, so a tower
+  // touching the top row has to be checked from scratch
+  return topRow > 0;
+}
+
+/**
+ * List the tower cells of the active section that changed since the cache was
+ * built, along with the gutter cells right beside the tower (they decide
+ * whether the tower's edge cells are open to the side)
+ * @param {Object} cache - The stability cache
+ * @param {Array} board - The game board
+ * @param {object} rules - The game's ruleset
+ * @returns {Array} [x, y] of every changed cell
+ */
+function findChangedCells(cache, board, rules) {
+  const { gutterWidth, towerWidth, cutOffRow } = rules.board;
+  const left = Math.max(0, gutterWidth - 1);
+  const right = Math.min(board[0].length - 1, gutterWidth + towerWidth);
+  const changed = [];
+
+  for (let y = 0; y < cutOffRow; y++) {
+    const row = board[y];
+    const cachedRow = cache.board[y];
+    for (let x = left; x <= right; x++) {
+      if (row[x] !== cachedRow[x]) changed.push([x, y]);
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Bring the cached stability up to date with the changed cells
+ * @param {Object} cache - The stability cache (updated in place)
+ * @param {Array} board - The game board
+ * @param {number} topRow - The topmost occupied row
+ * @param {Array} changedCells - [x, y] of every changed cell
+ * @param {object} rules - The game's ruleset
+ * @param {Object|null} historyStructure - The locked history's structure (historyStructure.js)
+ */
+function updateCache(cache, board, topRow, changedCells, rules, historyStructure) {
+  const { cutOffRow } = rules.board;
+  const dirtyRows = new Set();
+  const markRows = (from, to) => {
+    for (let y = Math.max(0, from); y <= Math.min(cutOffRow - 1, to); y++) dirtyRows.add(y);
+  };
+
+  // A cell changes its own row and the overhang support of the row above
+  changedCells.forEach(([, y]) => markRows(y - 1, y));
+
+  // Step 1: Replace the void clusters the change can reach
+  const { kept, removed } = splitVoidClusters(cache.voidClusters, changedCells, cutOffRow);
+  const added = findVoidClusters(board, topRow, changedCells, removed, rules);
+  [...removed, ...added].forEach(cluster => markRows(cluster.minY - 1, cluster.maxY + 1));
+
+  // Clusters are numbered in scan order (top to bottom, left to right) like detectVoids does
+  const voidClusters = [...kept, ...added].sort((a, b) =>
+    a.cells[0][1] - b.cells[0][1] || a.cells[0][0] - b.cells[0][0]
+  );
+  voidClusters.forEach((cluster, index) => { cluster.id = index; });
+
+  // Step 2: Recalculate the dirty rows in the same order as calculateStability
+  const { cellStability, rowStability } = cache;
+  dirtyRows.forEach(y => cellStability[y].fill(1.0));
+
+  const touching = voidClusters.filter(cluster =>
+    [...dirtyRows].some(y => y >= cluster.minY - 1 && y <= cluster.maxY + 1)
+  );
+  touching.forEach(cluster => applyVoidPenalty(cellStability, cluster, cutOffRow, dirtyRows));
+  touching.forEach(cluster => propagateVoidEffects(board, cellStability, cluster, cutOffRow, rules, dirtyRows));
+
+  applyOverhangPenalties(board, cellStability, cutOffRow, rules, dirtyRows);
+  applyThinWidthPenalties(board, cellStability, cutOffRow, rules, dirtyRows);
+  applyBalancePenalties(board, cellStability, cutOffRow, rules, dirtyRows);
+  applyHistoryStress(board, cellStability, cutOffRow, historyStructure, rules, dirtyRows);
+
+  dirtyRows.forEach(y => {
+    rowStability[y] = calculateRowStability(cellStability, board, y, rules);
+  });
+
+  changedCells.forEach(([x, y]) => { cache.board[y][x] = board[y][x]; });
+  cache.voidClusters = voidClusters;
+}
+
+/**
+ * Split cached void clusters into the ones a change can't affect and the ones
+ * that have to be found again. A cluster is affected when a changed cell lies
+ * in or right next to it (its shape or enclosure may differ) or when it
+ * reaches the bottom row, where it connects to every gap in the foundation.
+ * @param {Array} voidClusters - Cached void clusters
+ * @param {Array} changedCells - [x, y] of every changed cell
+ * @param {number} cutOffRow - The row where history begins
+ * @returns {Object} { kept, removed } void clusters
+ */
+function splitVoidClusters(voidClusters, changedCells, cutOffRow) {
+  const kept = [];
+  const removed = [];
+
+  voidClusters.forEach(cluster => {
+    const affected = cluster.maxY >= cutOffRow - 1 || changedCells.some(([x, y]) =>
+      x >= cluster.minX - 1 && x <= cluster.maxX + 1 &&
+      y >= cluster.minY - 1 && y <= cluster.maxY + 1
+    );
+    (affected ? removed : kept).push(cluster);
+  });
+
+  return { kept, removed };
+}
+
+/**
+ * Find the void clusters around the changed cells. Only the empty regions
+ * containing or bordering a change (and the ones connected through gaps in the
+ * foundation row) are searched.
+ * @param {Array} board - The game board
+ * @param {number} topRow - The topmost occupied row
+ * @param {Array} changedCells - [x, y] of every changed cell
+ * @param {Array} removed - Cached clusters that have to be found again
+ * @param {object} rules - The game's ruleset
+ * @returns {Array} New void clusters (analyzed, without ids)
+ */
+function findVoidClusters(board, topRow, changedCells, removed, rules) {
+  const { gutterWidth, towerWidth, cutOffRow } = rules.board;
+  const width = board[0].length;
+  const key = (x, y) => y * width + x;
+  const isOpen = (x, y) =>
+    x >= gutterWidth && x < gutterWidth + towerWidth &&
+    y >= 0 && y < cutOffRow && !board[y][x];
+
+  // Empty cells of the bottom row lead into the (always empty) rows below the
+  // active section, which connects all of them with each other
+  const floorGaps = [];
+  for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
+    if (isOpen(x, cutOffRow - 1)) floorGaps.push([x, cutOffRow - 1]);
+  }
+
+  const seeds = [...floorGaps, ...removed.flatMap(cluster => cluster.cells)];
+  changedCells.forEach(([x, y]) => {
+    seeds.push([x, y], [x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]);
+  });
+
+  const accessible = new Set();
+  const enclosed = new Set();
+  const regions = [];
+
+  for (const [sx, sy] of seeds) {
+    if (!isOpen(sx, sy) || accessible.has(key(sx, sy)) || enclosed.has(key(sx, sy))) continue;
+
+    // Breadth-first search of the empty region. It is accessible as soon as it
+    // reaches the open rows above the tower, the open gutter beside it or a
+    // region already known to be.
+    const seen = new Set([key(sx, sy)]);
+    const queue = [[sx, sy]];
+    let open = false;
+    let viaFloor = false;
+
+    for (let i = 0; i < queue.length && !open; i++) {
+      const [cx, cy] = queue[i];
+      if (cy < topRow || isOpenToGutter(board, cx, cy, rules)) {
+        open = true;
+        break;
+      }
+
+      const neighbors = [[cx + 1, cy], [cx - 1, cy], [cx, cy + 1], [cx, cy - 1]];
+      if (cy === cutOffRow - 1 && !viaFloor) {
+        viaFloor = true;
+        neighbors.push(...floorGaps);
+      }
+
+      for (const [nx, ny] of neighbors) {
+        const cellKey = key(nx, ny);
+        if (!isOpen(nx, ny) || seen.has(cellKey)) continue;
+        if (accessible.has(cellKey)) {
+          open = true;
+          break;
+        }
+        seen.add(cellKey);
+        queue.push([nx, ny]);
+      }
+    }
+
+    if (open) {
+      seen.forEach(cellKey => accessible.add(cellKey));
+    } else {
+      seen.forEach(cellKey => enclosed.add(cellKey));
+      regions.push(queue);
+    }
+  }
+
+  // Split each enclosed region into clusters the way detectVoids finds them:
+  // starting from the first cell in scan order, without crossing the foundation
+  const visited = Array.from({ length: cutOffRow }, () => []);
+  const clusters = [];
+
+  regions.forEach(cells => {
+    [...cells]
+      .sort((a, b) => a[1] - b[1] || a[0] - b[0])
+      .forEach(([x, y]) => {
+        if (visited[y][x]) return;
+        const cluster = identifyVoidCluster(board, visited, x, y, cutOffRow, rules);
+        clusters.push(analyzeVoidCluster(board, cluster, rules));
+      });
+  });
+
+  return clusters;
+}
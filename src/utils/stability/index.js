@@ -5,5 +5,11 @@
 export * from './instabilityCore.js';
 export * from './voidDetection.js';
 export * from './supportStructure.js';
+export * from './loadAnalysis.js';
+export * from './incrementalStability.js';
+export * from './stabilityUpdates.js';
+export * from './stabilityAnalyzer.js';
+export * from './stabilityPreview.js';
 export * from './debugVisualization.js';
-export * from './stabilityEffects.js';
\ No newline at end of file
+export * from './stabilityEffects.js';
+export * from './towerCollapse.js';
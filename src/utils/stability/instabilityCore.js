@@ -1,5 +1,5 @@
 // stability/instabilityCore.js
-import { GUTTER_WIDTH, TOWER_WIDTH, HISTORY_ROWS } from "../constants.js";
+import { STANDARD_RULESET } from "../ruleset.js";
 import { findTopRow } from "../boardHelpers.js";
 import { detectVoids } from "./voidDetection.js";
 import {
@@ -7,35 +7,31 @@ import {
   applyThinWidthPenalties,
   applyBalancePenalties,
 } from "./supportStructure.js";
-import { updateStabilityEffects } from "./stabilityEffects.js";
+import { analyzeLoad, calculateLoadPenalty } from "./loadAnalysis.js";
+import { applyHistoryStress } from "./historyStructure.js";
+import { calculateStabilityIncremental } from "./incrementalStability.js";
 
-// Constants for stability calculations
+// Constants for stability calculations. Tunable weights and penalties live
+// in the ruleset's stability section (utils/ruleset.js).
 export const MAX_INSTABILITY = 100;
 export const SUPPORT_WEIGHT = 0.7; // Weight for support from below
-export const NEIGHBOR_WEIGHT = 0.15; // Weight for lateral support
-export const OVERHANG_PENALTY = 0.35; // Increased from 0.25 - Penalty for blocks with no direct support
 export const VOID_STABILITY = -0.5; // Negative stability value for void cells
 export const CAPPING_PENALTY = 0.4; // Penalty for blocks directly capping voids
-export const THIN_TOWER_PENALTY = 0.4; // Increased from 0.3 - Penalty for thin towers
-export const BALANCE_PENALTY = 0.3; // Penalty factor for imbalanced rows
-export const MIN_STABLE_WIDTH = 6; // Minimum width considered stable (out of 10)
 export const IDEAL_ROW_STABILITY = 1.0; // Perfect stability score for comparison
-export const CRITICAL_STABILITY = 0.4; // Below this is critically unstable
-export const CONSECUTIVE_CRITICAL_LIMIT = 2; // This many consecutive critical rows is dangerous
 
 /**
  * Calculate the current stability of the tower
- * @param {object} scene - The game scene
+ * @param {object} state - The game state
  * @returns {number} The calculated stability value (0-100, higher is more stable)
  */
-export function calculateStability(scene) {
-  const board = scene.board;
+export function calculateStability(state) {
+  const { board, rules } = state;
   const topRow = findTopRow(board);
 
   if (topRow === -1) return 100; // No blocks, tower is perfectly stable
 
   // Define cutoff row for active section vs history
-  const cutOffRow = board.length - HISTORY_ROWS;
+  const cutOffRow = rules.board.cutOffRow;
 
   // Initialize cell stability with default values (all cells are stable)
   const cellStability = Array.from({ length: board.length }, () =>
@@ -47,20 +43,21 @@ export function calculateStability(scene) {
     board,
     topRow,
     cellStability,
-    cutOffRow
+    cutOffRow,
+    rules
   );
 
   // Step 2: Apply support and overhang penalties to active section only
-  applyOverhangPenalties(board, updatedCellStability, cutOffRow);
+  applyOverhangPenalties(board, updatedCellStability, cutOffRow, rules);
 
   // Step 3: Calculate thin tower penalties for active section only
-  applyThinWidthPenalties(board, updatedCellStability, cutOffRow);
+  applyThinWidthPenalties(board, updatedCellStability, cutOffRow, rules);
 
   // Step 4: Calculate balance penalties (center of mass)
-  applyBalancePenalties(board, updatedCellStability, cutOffRow);
+  applyBalancePenalties(board, updatedCellStability, cutOffRow, rules);
 
-  // Store void clusters for visualization
-  scene.voidClusters = voidClusters;
+  // Step 4b: Weak locked sections below stress the blocks above them
+  applyHistoryStress(board, updatedCellStability, cutOffRow, state.historyStructure, rules);
 
   // Calculate row stability for active section only
   const rowStability = [];
@@ -69,64 +66,95 @@ export function calculateStability(scene) {
       // History rows have no stability calculation
       rowStability[y] = null;
     } else {
-      rowStability[y] = calculateRowStability(updatedCellStability, board, y);
+      rowStability[y] = calculateRowStability(updatedCellStability, board, y, rules);
     }
   }
 
+  return finishStabilityCalculation(state, {
+    topRow,
+    cellStability: updatedCellStability,
+    rowStability,
+    voidClusters,
+  });
+}
+
+/**
+ * Turn cell and row stability into the tower stability and store the results
+ * on the state. Shared by the full and the incremental calculation.
+ * @param {object} state - The game state
+ * @param {object} result - topRow, cellStability, rowStability and voidClusters of the board
+ * @returns {number} The calculated stability value (0-100, higher is more stable)
+ */
+export function finishStabilityCalculation(state, { topRow, cellStability, rowStability, voidClusters }) {
+  const { board, rules } = state;
+  const cutOffRow = rules.board.cutOffRow;
+
+  // Store void clusters for visualization
+  state.voidClusters = voidClusters;
+
+  // Step 5: Carry the load of every row down to the foundation and flag
+  // rows whose load hangs past their support (tipping points)
+  const loadAnalysis = analyzeLoad(board, topRow, cutOffRow, rules);
+  state.loadAnalysis = loadAnalysis;
+
   // Calculate raw section stability (without historical influence)
   const rawSectionStability = calculateRawSectionStability(
     rowStability,
     board,
     topRow,
-    cutOffRow
-  );
+    cutOffRow,
+    rules
+  ) - calculateLoadPenalty(loadAnalysis, rules);
 
   // Store raw stability for display purposes
-  scene.rawSectionStability = rawSectionStability;
+  state.rawSectionStability = rawSectionStability;
 
-  // Calculate overall tower stability with historical influence
-  let towerStability = rawSectionStability;
-
-  // Apply historical influence with greater weight
-  if (scene.historicalStability !== undefined) {
-    // Give historical stability more weight (70% historical, 30% current)
-    towerStability = scene.historicalStability * 0.7 + towerStability * 0.3;
-
-    // If historical stability is low, it actively reduces current stability
-    if (scene.historicalStability < 50) {
-      const penalty = (50 - scene.historicalStability) * 0.5;
-      towerStability -= penalty;
-    }
-  }
-
-  // Apply external factors (like attacks) as instability
-  towerStability = Math.max(
+  // The locked history already weighs in through the stress on the cells
+  // above weak history columns (historyStructure.js). Apply external factors
+  // (like attacks) as instability.
+  const towerStability = Math.max(
     0,
-    towerStability - (scene.externalInstability || 0)
+    rawSectionStability - (state.externalInstability || 0)
   );
 
   // Cache the stability data for visualization
-  scene.cellStability = updatedCellStability;
-  scene.rowStability = rowStability;
+  state.cellStability = cellStability;
+  state.rowStability = rowStability;
 
   // Return stability percentage
   return towerStability;
 }
 
+/**
+ * Collect the results calculateStability stored on a state into a plain object
+ * (e.g. to send them between threads)
+ * @param {object} state - The state the stability was calculated for
+ * @param {number} stability - The returned stability value
+ * @returns {Object} Stability, raw section stability, cell and row stability, void clusters and load analysis
+ */
+export function getStabilityResult(state, stability) {
+  return {
+    stability,
+    rawSectionStability: state.rawSectionStability,
+    cellStability: state.cellStability,
+    rowStability: state.rowStability,
+    voidClusters: state.voidClusters,
+    loadAnalysis: state.loadAnalysis,
+  };
+}
+
 /**
  * Update stability after a piece is placed
- * @param {object} scene - The game scene
+ * @param {object} state - The game state
  * @param {object} placedPiece - The piece that was just placed (shape and position)
+ * @returns {number} The new stability value
  */
-export function updateStabilityAfterPlacement(scene, placedPiece) {
-  // Calculate stability for the entire tower
-  const stability = calculateStability(scene);
+export function updateStabilityAfterPlacement(state, placedPiece) {
+  // Only recalculate the rows and voids changed since the last update
+  const stability = calculateStabilityIncremental(state);
 
-  // Update scene stability value (as instability for gameplay purposes)
-  scene.instability = MAX_INSTABILITY - stability;
-
-  // Update visual effects
-  updateStabilityEffects(scene);
+  // Update stability value (as instability for gameplay purposes)
+  state.instability = MAX_INSTABILITY - stability;
 
   return stability;
 }
@@ -136,15 +164,18 @@ export function updateStabilityAfterPlacement(scene, placedPiece) {
  * @param {Array} cellStability - 2D array of cell stability values
  * @param {Array} board - The game board
  * @param {number} y - Row index
+ * @param {object} rules - The game's ruleset (for the tower bounds)
  * @returns {number} Row stability value (can be negative)
  */
-export function calculateRowStability(cellStability, board, y) {
+export function calculateRowStability(cellStability, board, y, rules = STANDARD_RULESET) {
+  const { gutterWidth, towerWidth } = rules.board;
+
   // Count filled cells and voids in this row
   let filledCells = 0;
   let voidCells = 0;
   let totalStability = 0;
 
-  for (let x = GUTTER_WIDTH; x < GUTTER_WIDTH + TOWER_WIDTH; x++) {
+  for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
     if (board[y][x]) {
       // This is a filled cell
       filledCells++;
@@ -165,7 +196,7 @@ export function calculateRowStability(cellStability, board, y) {
   const avgStability = totalStability / (filledCells + voidCells);
 
   // Complete rows get a bonus
-  if (filledCells === TOWER_WIDTH) {
+  if (filledCells === towerWidth) {
     return Math.min(1.0, avgStability * 1.5);
   }
 
@@ -179,14 +210,18 @@ export function calculateRowStability(cellStability, board, y) {
  * @param {Array} board - The game board
  * @param {number} topRow - The topmost occupied row
  * @param {number} cutOffRow - The row where history begins
+ * @param {object} rules - The game's ruleset (tower bounds and critical limits)
  * @returns {number} Raw section stability (0-100)
  */
 export function calculateRawSectionStability(
   rowStabilities,
   board,
   topRow,
-  cutOffRow
+  cutOffRow,
+  rules = STANDARD_RULESET
 ) {
+  const { criticalStability, consecutiveCriticalLimit } = rules.stability;
+
   // Track worst section and consecutive unstable rows
   let worstSectionStability = 1.0;
   let consecLowStabilityRows = 0;
@@ -198,12 +233,12 @@ export function calculateRawSectionStability(
     // Skip empty rows or null values
     if (
       !rowStabilities[y] ||
-      (rowStabilities[y] === 1.0 && !hasFilledCells(board, y))
+      (rowStabilities[y] === 1.0 && !hasFilledCells(board, y, rules))
     )
       continue;
 
     // Track consecutive low stability
-    if (rowStabilities[y] < CRITICAL_STABILITY) {
+    if (rowStabilities[y] < criticalStability) {
       consecLowStabilityRows++;
       currentSectionStability = Math.min(
         currentSectionStability,
@@ -211,7 +246,7 @@ export function calculateRawSectionStability(
       );
 
       // Severely penalize consecutive unstable rows
-      if (consecLowStabilityRows >= CONSECUTIVE_CRITICAL_LIMIT) {
+      if (consecLowStabilityRows >= consecutiveCriticalLimit) {
         worstSectionStability = Math.min(
           worstSectionStability,
           currentSectionStability * 0.5 // More aggressive penalty
@@ -241,7 +276,7 @@ export function calculateRawSectionStability(
   }
 
   // Apply height penalty
-  const towerHeight = countFilledRows(board, topRow, cutOffRow);
+  const towerHeight = countFilledRows(board, topRow, cutOffRow, rules);
   const heightFactor = Math.max(0, towerHeight - 10) * 0.02; // Increased penalty factor
   structuralIntegrity -= heightFactor;
 
@@ -254,12 +289,14 @@ export function calculateRawSectionStability(
  * Helper to check if a row has any filled cells
  * @param {Array} board - The game board
  * @param {number} y - Row index
+ * @param {object} rules - The game's ruleset (for the tower bounds)
  * @returns {boolean} True if row has filled cells
  */
-export function hasFilledCells(board, y) {
+export function hasFilledCells(board, y, rules = STANDARD_RULESET) {
   if (!board[y]) return false;
 
-  for (let x = GUTTER_WIDTH; x < GUTTER_WIDTH + TOWER_WIDTH; x++) {
+  const { gutterWidth, towerWidth } = rules.board;
+  for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
     if (board[y][x]) return true;
   }
   return false;
@@ -268,10 +305,10 @@ export function hasFilledCells(board, y) {
 /**
  * Count the number of rows with blocks in them (only in active section)
  */
-export function countFilledRows(board, topRow, cutOffRow) {
+export function countFilledRows(board, topRow, cutOffRow, rules = STANDARD_RULESET) {
   let count = 0;
   for (let y = topRow; y < cutOffRow; y++) {
-    if (hasFilledCells(board, y)) count++;
+    if (hasFilledCells(board, y, rules)) count++;
   }
   return count;
 }
@@ -0,0 +1,138 @@
+// stability/loadAnalysis.js
+// Structural pass over the whole active section. Row penalties in
+// supportStructure.js only look at one row at a time, so a tower that leans a
+// little further on every row hardly loses stability there. This pass carries
+// the load of everything above each row down to the foundation and checks
+// whether its center of mass still rests on that row's blocks. The lean is
+// measured against the contact span (the blocks of the row that have a block
+// on top of them), at least minSupportWidth cells wide. A single piece sitting
+// anywhere on a flat row doesn't lean; a lean builds up when the load of many
+// rows drifts to one side of what carries it.
+import { STANDARD_RULESET } from "../ruleset.js";
+import { getMaterial } from "../materials.js";
+
+// Rounding slack for a center of mass that sits right on a support edge
+// (material weights aren't exact in floating point)
+const EDGE_EPSILON = 1e-9;
+
+/**
+ * Analyze the load carried by every row of the active section
+ * @param {Array} board - The game board
+ * @param {number} topRow - The topmost occupied row
+ * @param {number} cutOffRow - The row where history begins
+ * @param {object} rules - The game's ruleset (tower bounds and load weights)
+ * @returns {Object} Per-row load data, tipping rows and overall load stability (0-1)
+ */
+export function analyzeLoad(board, topRow, cutOffRow, rules = STANDARD_RULESET) {
+  const { gutterWidth, towerWidth } = rules.board;
+  const { leanTolerance, minSupportWidth } = rules.stability;
+
+  const rows = [];
+  const tippingPoints = [];
+  let loadMass = 0;
+  let loadMoment = 0; // Sum of block center x positions above the current row
+  let worstLean = 0;
+
+  for (let y = topRow; y < cutOffRow; y++) {
+    const support = getSupportSpan(board[y], gutterWidth, towerWidth);
+
+    // Check the load from the rows above against this row's blocks
+    if (loadMass > 0 && support) {
+      const centerOfMass = loadMoment / loadMass;
+      const contact = getContactSpan(board[y], board[y - 1], gutterWidth, towerWidth) || support;
+      const contactCenter = (contact.left + contact.right) / 2;
+      const halfWidth = Math.max(minSupportWidth, contact.right - contact.left) / 2;
+
+      // 0 when the load is centered on its contact, 1 at its edge (or
+      // minSupportWidth / 2 away), tipping once it hangs past the row's blocks
+      const lean = Math.max(0, Math.abs(centerOfMass - contactCenter) - EDGE_EPSILON) / halfWidth;
+      const tipping = centerOfMass < support.left - EDGE_EPSILON || centerOfMass > support.right + EDGE_EPSILON;
+
+      rows.push({
+        y,
+        mass: loadMass,
+        centerOfMass,
+        supportLeft: support.left,
+        supportRight: support.right,
+        contactLeft: contact.left,
+        contactRight: contact.right,
+        lean,
+        tipping,
+      });
+      if (tipping) tippingPoints.push(y);
+      worstLean = Math.max(worstLean, lean);
+    }
+
+    // This row becomes part of the load on the rows below
+    if (support) {
+      loadMass += support.mass;
+      loadMoment += support.moment;
+    }
+  }
+
+  // Full stability until the worst lean passes the tolerance, none at the edge
+  const loadStability = 1 - Math.min(1, Math.max(0, worstLean - leanTolerance) / (1 - leanTolerance));
+
+  return { rows, tippingPoints, worstLean, loadStability };
+}
+
+/**
+ * Turn a load analysis into a stability penalty (in stability percentage points)
+ * @param {Object} analysis - Result of analyzeLoad
+ * @param {object} rules - The game's ruleset (load weights)
+ * @returns {number} Points to subtract from the section stability
+ */
+export function calculateLoadPenalty(analysis, rules = STANDARD_RULESET) {
+  const { loadWeight, tippingPenalty } = rules.stability;
+  const leanPenalty = (1 - analysis.loadStability) * loadWeight;
+  return (leanPenalty + analysis.tippingPoints.length * tippingPenalty) * 100;
+}
+
+/**
+ * Measure the blocks of one row inside the tower
+ * @param {Array} row - A board row
+ * @param {number} gutterWidth - Width of each gutter
+ * @param {number} towerWidth - Width of the tower area
+ * @returns {Object|null} Support span (cell edges), mass and moment, or null for an empty row
+ */
+function getSupportSpan(row, gutterWidth, towerWidth) {
+  if (!row) return null;
+
+  let left = null;
+  let right = null;
+  let mass = 0;
+  let moment = 0;
+
+  for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
+    if (!row[x]) continue;
+    const { weight } = getMaterial(row[x]);
+    if (left === null) left = x;
+    right = x + 1;
+    mass += weight;
+    moment += (x + 0.5) * weight; // Blocks weigh in at their center
+  }
+
+  return mass > 0 ? { left, right, mass, moment } : null;
+}
+
+/**
+ * Find the blocks of a row that carry a block of the row above
+ * @param {Array} row - A board row
+ * @param {Array} above - The row above it
+ * @param {number} gutterWidth - Width of each gutter
+ * @param {number} towerWidth - Width of the tower area
+ * @returns {Object|null} Contact span (cell edges), or null when nothing rests on the row
+ */
+function getContactSpan(row, above, gutterWidth, towerWidth) {
+  if (!row || !above) return null;
+
+  let left = null;
+  let right = null;
+  for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
+    if (!row[x] || !above[x]) continue;
+    if (left === null) left = x;
+    right = x + 1;
+  }
+
+  return left === null ? null : { left, right };
+}
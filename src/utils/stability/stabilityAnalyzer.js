@@ -0,0 +1,138 @@
+// stability/stabilityAnalyzer.js
+// Async API for the stability calculation. Boards are sent to a Web Worker
+// (stabilityWorker.js) so void detection and the row passes never block the
+// render loop. Where workers aren't available (Node, or the worker fails to
+// start) the same calculation runs synchronously and the promise resolves
+// right away.
+import { getStabilityResult } from "./instabilityCore.js";
+import { calculateStabilityIncremental } from "./incrementalStability.js";
+
+/**
+ * Create a stability analyzer
+ * @param {object} options - { useWorker: false forces the synchronous fallback }
+ * @returns {Object} { analyze(state), analyzeSync(state), dispose(), usesWorker(), isDisposed() }
+ */
+export function createStabilityAnalyzer(options = {}) {
+  const { useWorker = true } = options;
+  const pending = new Map(); // Request id -> { request, resolve, reject }
+  let worker = useWorker ? startWorker() : null;
+  let sentRules = null;
+  let nextId = 0;
+  let disposed = false;
+
+  // Synchronous fallback, with its own incremental cache like the worker
+  const scratch = {
+    board: null,
+    rules: null,
+    historyStructure: null,
+    externalInstability: 0,
+    stabilityCache: null,
+    rawSectionStability: 100,
+    cellStability: null,
+    rowStability: null,
+    voidClusters: [],
+    loadAnalysis: null,
+  };
+
+  function analyzeNow(request) {
+    Object.assign(scratch, request);
+    const stability = calculateStabilityIncremental(scratch);
+    // Copy the results, the incremental cache keeps updating them in place
+    return structuredClone(getStabilityResult(scratch, stability));
+  }
+
+  // Finish everything that was waiting on the worker on this thread instead
+  function fallBack(error) {
+    console.warn(`Stability worker unavailable, calculating on the main thread: ${error.message || error}`);
+    worker.terminate();
+    worker = null;
+    pending.forEach(({ request, resolve }) => resolve(analyzeNow(request)));
+    pending.clear();
+  }
+
+  if (worker) {
+    worker.onmessage = ({ data }) => {
+      const entry = pending.get(data.id);
+      if (!entry) return;
+      pending.delete(data.id);
+      entry.resolve(data.result);
+    };
+    worker.onerror = event => fallBack(event.message || "worker error");
+  }
+
+  function createRequest(state) {
+    return {
+      rules: state.rules,
+      board: state.board.map(row => [...row]),
+      historyStructure: state.historyStructure,
+      externalInstability: state.externalInstability,
+    };
+  }
+
+  /**
+   * Calculate the stability of the state's current board
+   * @param {object} state - The game state (not modified)
+   * @returns {Promise<Object>} Result for applyStabilityResult (see stabilityUpdates.js),
+   *   rejected if the analyzer is disposed before the result arrives
+   */
+  function analyze(state) {
+    const request = createRequest(state);
+
+    if (!worker) return Promise.resolve(analyzeNow(request));
+
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { request, resolve, reject });
+      try {
+        // The rules only travel when they change (they never do mid-game)
+        worker.postMessage({ ...request, id, rules: state.rules === sentRules ? null : state.rules });
+        sentRules = state.rules;
+      } catch (error) {
+        fallBack(error);
+      }
+    });
+  }
+
+  /**
+   * Calculate the stability of the state's current board on this thread
+   * (e.g. when an asynchronous request failed)
+   * @param {object} state - The game state (not modified)
+   * @returns {Object} Result for applyStabilityResult (see stabilityUpdates.js)
+   */
+  function analyzeSync(state) {
+    return analyzeNow(createRequest(state));
+  }
+
+  // Stop the worker and reject the requests still waiting, so nothing is left
+  // waiting for an answer that never comes
+  function dispose() {
+    if (worker) worker.terminate();
+    worker = null;
+    disposed = true;
+    pending.forEach(({ reject }) => reject(new Error("Stability analyzer disposed")));
+    pending.clear();
+  }
+
+  return {
+    analyze,
+    analyzeSync,
+    dispose,
+    usesWorker: () => Boolean(worker),
+    isDisposed: () => disposed,
+  };
+}
+
+/**
+ * Start the stability worker
+ * @returns {Worker|null} The worker, or null where workers aren't supported
+ */
+function startWorker() {
+  if (typeof Worker === "undefined") return null;
+
+  try {
+    return new Worker(new URL("./stabilityWorker.js", import.meta.url), { type: "module" });
+  } catch (error) {
+    console.warn(`Could not start the stability worker: ${error.message}`);
+    return null;
+  }
+}
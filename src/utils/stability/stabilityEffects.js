@@ -1,25 +1,23 @@
 // stability/stabilityEffects.js
-import { GRID_SIZE, GUTTER_WIDTH, TOWER_WIDTH } from "../constants.js";
-import { findTopRow } from "../boardHelpers.js";
+import { GRID_SIZE } from "../constants.js";
 import { shakeScreen, flashScreen } from "../animHelpers.js";
-import { sendRoomMessage } from "../networkHelpers.js";
-import { renderDebugOverlay } from "./debugVisualization.js";
-import { updateStabilityAfterPlacement } from "./instabilityCore.js";
+import { renderDebugOverlay, renderLoadOverlay } from "./debugVisualization.js";
+import { getClusterFallDuration } from "./towerCollapse.js";
 
 /**
  * Update stability visuals and effects
  * @param {object} scene - The game scene
  */
 export function updateStabilityEffects(scene) {
-  const instability = scene.instability;
+  const { instability, rawSectionStability, cellStability } = scene.state;
 
   // Calculate stability percentage (inverse of instability)
   const stabilityPercentage = Math.max(0, 100 - Math.floor(instability));
 
   // For UI display, use the raw section stability if available
   const displayStability =
-    scene.rawSectionStability !== undefined
-      ? Math.floor(scene.rawSectionStability)
+    rawSectionStability !== undefined
+      ? Math.floor(rawSectionStability)
       : stabilityPercentage;
 
   // Update stability text
@@ -31,18 +29,17 @@ export function updateStabilityEffects(scene) {
   }
 
   // Visual effect: Tint blocks based on cell stability
-  if (scene.cellStability) {
+  if (cellStability) {
     scene.lockedBlocks.getChildren().forEach((block) => {
       const gridX = Math.floor(block.x / GRID_SIZE);
       const gridY = Math.floor(block.y / GRID_SIZE);
 
       // Use cell stability if available for precise tinting
       if (
-        gridY < scene.cellStability.length &&
-        gridX < scene.cellStability[0].length
+        gridY < cellStability.length &&
+        gridX < cellStability[0].length
       ) {
-        const cellStability = scene.cellStability[gridY][gridX];
-        block.setTint(getStabilityTint(cellStability));
+        block.setTint(getStabilityTint(cellStability[gridY][gridX]));
       } else {
         // Fallback to overall stability
         block.setTint(getStabilityTint(stabilityPercentage / 100));
@@ -65,19 +62,11 @@ export function updateStabilityEffects(scene) {
     scene.isShaking = true;
   }
 
-  // Check for different collapse levels
-  if (instability >= 80 && !scene.isCollapsing) {
-    // Critical instability - full tower collapse
-    initiateFullCollapse(scene);
-  } else if (instability >= 60 && !scene.isCollapsing) {
-    // Severe instability - partial collapse from the top
-    initiatePartialCollapse(scene);
-  }
-
   // Update debug overlay if in debug mode
   if (scene.debugMode) {
     renderDebugOverlay(scene);
   }
+  renderLoadOverlay(scene);
 }
 
 /**
@@ -119,143 +108,33 @@ export function getStabilityTextColor(stability) {
 }
 
 /**
- * Initiate full tower collapse when stability is too low
- * @param {object} scene - The game scene
- */
-export function initiateFullCollapse(scene) {
-  // Set collapse flag
-  scene.isCollapsing = true;
-
-  // Cancel any active piece movement
-  if (scene.fallTimer) scene.fallTimer.remove();
-  if (scene.activePiece) {
-    scene.clearActiveBlocks();
-    scene.activePiece = null;
-  }
-
-  // Visual and audio effects for collapse
-  flashScreen(scene, 500, 0xff0000);
-  shakeScreen(scene, 1000, 0.01);
-
-  // Find how many rows to collapse based on instability
-  const collapseRows = Math.min(
-    10,
-    Math.max(1, Math.floor(scene.instability / 10))
-  );
-
-  // Apply large score penalty for full collapse
-  const scorePenalty = Math.min(scene.score, 500);
-  scene.score = Math.max(0, scene.score - scorePenalty);
-
-  // Update score text
-  if (scene.scoreText) {
-    scene.scoreText.setText("Score: " + scene.score);
-  }
-
-  // Show penalty message
-  if (scorePenalty > 0) {
-    const penaltyText = scene.add
-      .text(
-        scene.game.config.width / 2,
-        150,
-        `TOWER COLLAPSE! -${scorePenalty} POINTS`,
-        {
-          fontSize: "24px",
-          fill: "#ff0000",
-          fontStyle: "bold",
-          stroke: "#000000",
-          strokeThickness: 2,
-        }
-      )
-      .setOrigin(0.5);
-
-    scene.tweens.add({
-      targets: penaltyText,
-      y: 100,
-      alpha: 0,
-      duration: 2000,
-      onComplete: () => penaltyText.destroy(),
-    });
-  }
-
-  // Animation for collapse
-  animateCollapse(scene, collapseRows, () => {
-    // After collapse finishes
-    scene.isCollapsing = false;
-
-    // Reduce instability after collapse
-    scene.instability = Math.max(0, scene.instability - 50);
-
-    // Optional: Notify other players of the collapse
-    if (scene.room) {
-      sendRoomMessage(scene.room, "towerCollapse", {
-        rows: collapseRows,
-        newInstability: scene.instability,
-        penalty: scorePenalty,
-      });
-    }
-
-    // Spawn a new piece if there isn't one
-    if (!scene.activePiece) {
-      scene.time.delayedCall(500, () => {
-        scene.spawnTetromino();
-      });
-    }
-  });
-}
-
-/**
- * Initiate a partial collapse of the tower (just the top portion)
+ * Animate a tower collapse reported by the engine
  * @param {object} scene - The game scene
+ * @param {object} event - The towerCollapsed event
+ * @param {function} onComplete - Callback when animation completes
  */
-export function initiatePartialCollapse(scene) {
-  // Set collapse flag
-  scene.isCollapsing = true;
-
-  // Cancel any active piece movement
-  if (scene.fallTimer) scene.fallTimer.remove();
-  if (scene.activePiece) {
-    scene.clearActiveBlocks();
-    scene.activePiece = null;
-  }
-
-  // Visual and audio effects for collapse (less intense than full collapse)
-  flashScreen(scene, 300, 0xff6600);
-  shakeScreen(scene, 500, 0.005);
+export function animateTowerCollapse(scene, event, onComplete) {
+  const isFull = event.kind === "full";
 
-  // Find the top row of the tower
-  const topRow = findTopRow(scene.board);
-  if (topRow === -1) {
-    scene.isCollapsing = false;
-    return;
-  }
-
-  // Calculate how many rows to collapse based on instability
-  // For partial collapse, use fewer rows than full collapse
-  const rowsToCollapse = Math.max(
-    1,
-    Math.min(5, Math.floor((scene.instability - 60) / 5))
-  );
-
-  // Apply moderate score penalty for partial collapse
-  const scorePenalty = Math.min(scene.score, rowsToCollapse * 50);
-  scene.score = Math.max(0, scene.score - scorePenalty);
-
-  // Update score text
-  if (scene.scoreText) {
-    scene.scoreText.setText("Score: " + scene.score);
+  // Visual and audio effects for collapse (less intense for partial collapse)
+  if (isFull) {
+    flashScreen(scene, 500, 0xff0000);
+    shakeScreen(scene, 1000, 0.01);
+  } else {
+    flashScreen(scene, 300, 0xff6600);
+    shakeScreen(scene, 500, 0.005);
   }
 
   // Show penalty message
-  if (scorePenalty > 0) {
+  if (event.penalty > 0) {
     const penaltyText = scene.add
       .text(
         scene.game.config.width / 2,
         150,
-        `PARTIAL COLLAPSE! -${scorePenalty} POINTS`,
+        `${isFull ? "TOWER" : "PARTIAL"} COLLAPSE! -${event.penalty} POINTS`,
         {
-          fontSize: "20px",
-          fill: "#ff6600",
+          fontSize: isFull ? "24px" : "20px",
+          fill: isFull ? "#ff0000" : "#ff6600",
           fontStyle: "bold",
           stroke: "#000000",
           strokeThickness: 2,
@@ -267,226 +146,88 @@ export function initiatePartialCollapse(scene) {
       targets: penaltyText,
       y: 100,
       alpha: 0,
-      duration: 1500,
+      duration: isFull ? 2000 : 1500,
       onComplete: () => penaltyText.destroy(),
     });
   }
 
-  // Animation for collapse
-  animatePartialCollapse(scene, topRow, rowsToCollapse, () => {
-    // After collapse finishes
-    scene.isCollapsing = false;
-
-    // Reduce instability after partial collapse
-    scene.instability = Math.max(0, scene.instability - 20);
-
-    // Spawn a new piece if there isn't one
-    if (!scene.activePiece) {
-      scene.time.delayedCall(500, () => {
-        scene.spawnTetromino();
-      });
-    }
-  });
-}
-
-/**
- * Animate the tower collapse
- * @param {object} scene - The game scene
- * @param {number} rows - Number of rows to collapse
- * @param {function} onComplete - Callback when animation completes
- */
-function animateCollapse(scene, rows, onComplete) {
-  // Find the top row of the tower
-  const topRow = findTopRow(scene.board);
-  if (topRow === -1) {
-    if (onComplete) onComplete();
-    return;
-  }
-
-  // Collect blocks to destroy in the collapsing rows
-  const blocksToDestroy = [];
-  const rowsToCollapse = [];
-
-  // Determine which rows will collapse
-  for (let i = 0; i < rows; i++) {
-    const rowIndex = topRow + i;
-    if (rowIndex >= scene.board.length) break;
-    rowsToCollapse.push(rowIndex);
-  }
-
-  // Find all blocks in these rows
+  // Index the block sprites by grid cell
+  const sprites = new Map();
   scene.lockedBlocks.getChildren().forEach((block) => {
-    const gridY = Math.floor(block.y / GRID_SIZE); // Calculate grid position using GRID_SIZE
-    if (rowsToCollapse.includes(gridY)) {
-      blocksToDestroy.push(block);
-    }
-  });
-
-  // Animate blocks falling away
-  blocksToDestroy.forEach((block) => {
-    // Random rotation and fall animation
-    scene.tweens.add({
-      targets: block,
-      y: "+=" + (Math.random() * 100 + 100),
-      angle: Math.random() * 360,
-      alpha: 0,
-      duration: 1000,
-      ease: "Power2",
-      onComplete: () => {
-        block.destroy();
-      },
-    });
-
-    // Remove from board data
     const gridX = Math.floor(block.x / GRID_SIZE);
     const gridY = Math.floor(block.y / GRID_SIZE);
-    scene.board[gridY][gridX] = 0;
-  });
-
-  // Wait for animations to complete
-  scene.time.delayedCall(1100, () => {
-    // Compact the tower (move blocks down to fill gaps)
-    compactTowerAfterCollapse(scene);
-
-    // Run completion callback
-    if (onComplete) onComplete();
+    sprites.set(`${gridX},${gridY}`, block);
   });
-}
-
-/**
- * Animate a partial collapse of the tower (just top rows)
- * @param {object} scene - The game scene
- * @param {number} topRow - The topmost row with blocks
- * @param {number} rowCount - Number of rows to collapse
- * @param {function} onComplete - Callback when animation completes
- */
-function animatePartialCollapse(scene, topRow, rowCount, onComplete) {
-  // Collect blocks to destroy in the collapsing rows
-  const blocksToDestroy = [];
-  const rowsToCollapse = [];
 
-  // Determine which rows will collapse (only from the top)
-  for (let i = 0; i < rowCount; i++) {
-    const rowIndex = topRow + i;
-    if (rowIndex >= scene.board.length) break;
-    rowsToCollapse.push(rowIndex);
-  }
-
-  // Find all blocks in these rows
-  scene.lockedBlocks.getChildren().forEach((block) => {
-    const gridY = Math.floor(block.y / GRID_SIZE);
-    if (rowsToCollapse.includes(gridY)) {
-      blocksToDestroy.push(block);
-    }
-  });
+  // Find the sprites of all broken blocks
+  const blocksToDestroy = event.removedCells
+    .map(({ x, y }) => sprites.get(`${x},${y}`))
+    .filter(Boolean);
+  event.removedCells.forEach(({ x, y }) => sprites.delete(`${x},${y}`));
 
-  // Animate blocks falling away
+  // Animate broken blocks falling away
   blocksToDestroy.forEach((block) => {
     // For partial collapse, make blocks fall to the sides as well
-    const fallDirection = Math.random() > 0.5 ? 1 : -1;
+    const fallDirection = isFull ? 1 : Math.random() > 0.5 ? 1 : -1;
 
-    // Random rotation and fall animation
+    scene.lockedBlocks.remove(block);
     scene.tweens.add({
       targets: block,
-      y: "+=" + (Math.random() * 80 + 80),
-      x: "+=" + Math.random() * 60 * fallDirection,
-      angle: Math.random() * 180 * fallDirection,
+      y: "+=" + (Math.random() * 100 + (isFull ? 100 : 80)),
+      x: isFull ? block.x : "+=" + Math.random() * 60 * fallDirection,
+      angle: Math.random() * (isFull ? 360 : 180) * fallDirection,
       alpha: 0,
-      duration: 800,
+      duration: isFull ? 1000 : 800,
       ease: "Power2",
       onComplete: () => {
         block.destroy();
       },
     });
-
-    // Remove from board data
-    const gridX = Math.floor(block.x / GRID_SIZE);
-    const gridY = Math.floor(block.y / GRID_SIZE);
-    scene.board[gridY][gridX] = 0;
   });
 
-  // Wait for animations to complete
-  scene.time.delayedCall(900, () => {
-    // No need to compact the tower for partial collapse
-    // Just recalculate stability
-    updateStabilityAfterPlacement(scene, {
-      shape: [[1]],
-      x: GUTTER_WIDTH,
-      y: findTopRow(scene.board) || 0,
-    });
+  // Unsupported clusters then fall as rigid bodies, one after another
+  const fallsDuration = animateClusterFalls(scene, event.fallenClusters || [], sprites, 300);
 
-    // Run completion callback
+  // Wait for animations to complete
+  scene.time.delayedCall(Math.max(isFull ? 1100 : 900, fallsDuration + 100), () => {
     if (onComplete) onComplete();
   });
 }
 
 /**
- * Compact the tower by moving blocks down after a collapse
+ * Animate the clusters that lost their support, in the order the engine
+ * dropped them. A cluster can fall more than once when it lands on another
+ * floating cluster, so sprites are tracked by their current cell.
  * @param {object} scene - The game scene
+ * @param {Array} falls - The collapse event's fallenClusters
+ * @param {Map} sprites - Block sprites by "x,y" cell
+ * @param {number} startDelay - Delay before the first fall (ms)
+ * @returns {number} Time until the last cluster has landed (ms)
  */
-function compactTowerAfterCollapse(scene) {
-  // Initialize new board with fixed bottom row
-  const newBoard = createEmptyBoard(scene.board.length);
-
-  // Preserve the bottom row (foundation)
-  for (let x = 0; x < scene.board[0].length; x++) {
-    newBoard[scene.board.length - 1][x] =
-      scene.board[scene.board.length - 1][x];
-  }
-
-  // For each column, move blocks down
-  for (let x = 0; x < scene.board[0].length; x++) {
-    let newY = scene.board.length - 2; // Start above foundation
-
-    // Scan from bottom to top
-    for (let y = scene.board.length - 2; y >= 0; y--) {
-      if (scene.board[y][x] === 1) {
-        newBoard[newY][x] = 1;
-        newY--;
-      }
-    }
-  }
-
-  // Replace board data
-  scene.board = newBoard;
-
-  // Clear and redraw all blocks
-  scene.lockedBlocks.clear(true, true);
-
-  // Redraw blocks based on new board
-  for (let y = 0; y < scene.board.length; y++) {
-    for (let x = 0; x < scene.board[y].length; x++) {
-      if (scene.board[y][x]) {
-        const block = scene.add
-          .image(x * GRID_SIZE, y * GRID_SIZE, "block")
-          .setOrigin(0);
-        scene.lockedBlocks.add(block);
+function animateClusterFalls(scene, falls, sprites, startDelay) {
+  let delay = startDelay;
+
+  falls.forEach(({ cells, distance }) => {
+    const moving = cells.map(({ x, y }) => sprites.get(`${x},${y}`));
+    cells.forEach(({ x, y }) => sprites.delete(`${x},${y}`));
+    cells.forEach(({ x, y }, index) => {
+      if (moving[index]) sprites.set(`${x},${y + distance}`, moving[index]);
+    });
+    const blocks = moving.filter(Boolean);
 
-        // Calculate new stability for proper tinting
-        const stabilityPercentage = Math.max(
-          0,
-          100 - Math.floor(scene.instability)
-        );
-        block.setTint(getStabilityTint(stabilityPercentage / 100));
-      }
-    }
-  }
+    // Accelerating fall, longer for longer drops
+    const duration = getClusterFallDuration(distance);
+    scene.tweens.add({
+      targets: blocks,
+      y: "+=" + distance * GRID_SIZE,
+      delay,
+      duration,
+      ease: "Quad.easeIn",
+      onComplete: () => shakeScreen(scene, 150, Math.min(0.004, 0.001 * blocks.length / 4)),
+    });
 
-  // Recalculate stability after compaction
-  updateStabilityAfterPlacement(scene, {
-    shape: [[1]],
-    x: GUTTER_WIDTH,
-    y: findTopRow(scene.board) || 0,
+    delay += duration;
   });
-}
 
-/**
- * Create a clean empty board of specified dimensions
- * @param {number} rows - Number of rows
- * @returns {Array} Empty board array
- */
-function createEmptyBoard(rows) {
-  return Array.from({ length: rows }, () =>
-    Array(TOWER_WIDTH + 2 * GUTTER_WIDTH).fill(0)
-  );
+  return delay;
 }
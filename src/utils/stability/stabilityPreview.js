@@ -0,0 +1,80 @@
+// stability/stabilityPreview.js
+// What-if stability for a placement that hasn't happened yet. Runs
+// calculateStability on copies of the board, so the real state only changes
+// when the piece actually locks.
+import { calculateStability } from "./instabilityCore.js";
+import { getPieceMaterial } from "../materials.js";
+
+/**
+ * Calculate how placing a piece at a position would change the section stability
+ * @param {object} state - The game state (not modified)
+ * @param {object} placement - Where the piece would lock ({ x, y, shape, type }, e.g. from calculateGhostPosition)
+ * @returns {Object|null} { before, after, delta, newVoids, overhangs } or null if nothing would land in the tower
+ */
+export function previewPlacementStability(state, placement) {
+  const { gutterWidth, towerWidth, cutOffRow } = state.rules.board;
+  const { x, y, shape } = placement;
+
+  // Only blocks inside the tower's active section count, like in lockPiece
+  const cells = [];
+  for (let row = 0; row < shape.length; row++) {
+    for (let col = 0; col < shape[row].length; col++) {
+      if (!shape[row][col]) continue;
+      const cellX = x + col;
+      const cellY = y + row;
+      const inTower = cellX >= gutterWidth && cellX < gutterWidth + towerWidth;
+      if (inTower && cellY >= 0 && cellY < cutOffRow) {
+        cells.push({ x: cellX, y: cellY });
+      }
+    }
+  }
+  if (cells.length === 0) return null;
+
+  const current = evaluateBoard(state, state.board.map(row => [...row]));
+
+  const board = state.board.map(row => [...row]);
+  const { id } = getPieceMaterial(state.rules, placement.type);
+  cells.forEach(cell => { board[cell.y][cell.x] = id; });
+  const placed = evaluateBoard(state, board);
+
+  // Empty cells that only become voids because of this placement
+  const existingVoids = new Set(
+    current.voidClusters.flatMap(cluster => cluster.cells.map(([vx, vy]) => `${vx},${vy}`))
+  );
+  const newVoids = placed.voidClusters
+    .flatMap(cluster => cluster.cells)
+    .filter(([vx, vy]) => !existingVoids.has(`${vx},${vy}`))
+    .map(([vx, vy]) => ({ x: vx, y: vy }));
+
+  // Placed blocks with nothing directly below them
+  const overhangs = cells.filter(cell => cell.y + 1 < cutOffRow && !board[cell.y + 1][cell.x]);
+
+  return {
+    before: current.stability,
+    after: placed.stability,
+    delta: placed.stability - current.stability,
+    newVoids,
+    overhangs,
+  };
+}
+
+/**
+ * Run the stability calculation on a scratch state with the given board
+ * @param {object} state - The game state the scratch copy is based on
+ * @param {Array} board - A board copy to evaluate
+ * @returns {Object} Raw section stability and void clusters
+ */
+function evaluateBoard(state, board) {
+  const scratch = {
+    board,
+    rules: state.rules,
+    historyStructure: state.historyStructure,
+    externalInstability: state.externalInstability,
+  };
+  calculateStability(scratch);
+
+  return {
+    stability: scratch.rawSectionStability ?? 100,
+    voidClusters: scratch.voidClusters || [],
+  };
+}
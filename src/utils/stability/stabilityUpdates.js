@@ -0,0 +1,85 @@
+// stability/stabilityUpdates.js
+// Engine side of stability updates. By default the stability is recalculated
+// right away; a state created with deferStability asks the view to calculate
+// it off the main thread instead (STABILITY_REQUESTED, see
+// stabilityAnalyzer.js) and applies the result when it comes back as an
+// APPLY_STABILITY input. Whatever a lock does after the stability update
+// (collapse, auto-lock check, next piece) waits for the result, so both modes
+// play out the same.
+import { GameEvents } from "../engine/events.js";
+import { spawnTetromino } from "../spawn.js";
+import { checkTowerHeight } from "../towerHelpers.js";
+import { MAX_INSTABILITY, updateStabilityAfterPlacement } from "./instabilityCore.js";
+import { checkForCollapse } from "./towerCollapse.js";
+import { checkStabilityStreak } from "../abilityEconomy.js";
+
+/**
+ * Recalculate the stability after the board changed, or request it
+ * @param {object} state - The game state
+ * @returns {Array} STABILITY_CHANGED and any collapse events, or a STABILITY_REQUESTED event
+ */
+export function refreshStability(state) {
+  if (state.deferStability) {
+    state.stabilityRequestId++;
+    state.stabilityPending = true;
+    return [{ type: GameEvents.STABILITY_REQUESTED, requestId: state.stabilityRequestId }];
+  }
+
+  const stability = updateStabilityAfterPlacement(state);
+  return [
+    { type: GameEvents.STABILITY_CHANGED, stability, instability: state.instability },
+    ...checkStabilityStreak(state, stability),
+    ...checkForCollapse(state),
+  ];
+}
+
+/**
+ * Request the stability again when the board changed while a result was on
+ * its way (e.g. a tower section lock), so the old result isn't applied to
+ * the new board
+ * @param {object} state - The game state
+ * @returns {Array} A STABILITY_REQUESTED event, or nothing if no result was pending
+ */
+export function restartStabilityRequest(state) {
+  return state.stabilityPending ? refreshStability(state) : [];
+}
+
+/**
+ * Apply a stability result calculated off the main thread
+ * @param {object} state - The game state
+ * @param {number} requestId - The id from the STABILITY_REQUESTED event
+ * @param {Object} result - Result of a stability analyzer (see stabilityAnalyzer.js)
+ * @returns {Array} STABILITY_CHANGED and any collapse events (empty for an outdated result)
+ */
+export function applyStabilityResult(state, requestId, result) {
+  // A newer request is on its way
+  if (!state.stabilityPending || requestId !== state.stabilityRequestId) return [];
+
+  state.stabilityPending = false;
+  state.cellStability = result.cellStability;
+  state.rowStability = result.rowStability;
+  state.voidClusters = result.voidClusters;
+  state.loadAnalysis = result.loadAnalysis;
+  state.rawSectionStability = result.rawSectionStability;
+
+  // After a collapse the result gets the collapse's relief, and like with the
+  // synchronous calculation the collapse doesn't count towards a streak
+  const relief = state.collapseRelief;
+  state.collapseRelief = 0;
+  state.instability = Math.max(0, MAX_INSTABILITY - result.stability - relief);
+  const stability = MAX_INSTABILITY - state.instability;
+
+  const events = [
+    { type: GameEvents.STABILITY_CHANGED, stability, instability: state.instability },
+    ...(relief > 0 ? [] : checkStabilityStreak(state, stability)),
+    ...checkForCollapse(state),
+  ];
+
+  // Finish the piece lock that was waiting for this result
+  if (!state.isCollapsing && !state.activePiece) {
+    events.push(...checkTowerHeight(state));
+    if (!state.activePiece) events.push(...spawnTetromino(state));
+  }
+
+  return events;
+}
@@ -0,0 +1,33 @@
+// stability/stabilityWorker.js
+// Web Worker entry point for stabilityAnalyzer.js. Keeps its own copy of the
+// tower's stability state, so consecutive boards are still calculated
+// incrementally.
+import { getStabilityResult } from "./instabilityCore.js";
+import { calculateStabilityIncremental } from "./incrementalStability.js";
+
+const scratch = {
+  board: null,
+  rules: null,
+  historyStructure: null,
+  externalInstability: 0,
+  stabilityCache: null,
+  // Results of the last calculation, like the GameState defaults
+  rawSectionStability: 100,
+  cellStability: null,
+  rowStability: null,
+  voidClusters: [],
+  loadAnalysis: null,
+};
+
+self.onmessage = ({ data }) => {
+  const { id, rules, board, historyStructure, externalInstability } = data;
+
+  // Rules are only sent when they change, so the incremental cache stays valid
+  if (rules) scratch.rules = rules;
+  scratch.board = board;
+  scratch.historyStructure = historyStructure;
+  scratch.externalInstability = externalInstability;
+
+  const stability = calculateStabilityIncremental(scratch);
+  self.postMessage({ id, result: getStabilityResult(scratch, stability) });
+};
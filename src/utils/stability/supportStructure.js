@@ -1,78 +1,91 @@
 // stability/supportStructure.js
-import { GUTTER_WIDTH, TOWER_WIDTH } from "../constants.js";
-import {
-  OVERHANG_PENALTY,
-  NEIGHBOR_WEIGHT,
-  THIN_TOWER_PENALTY,
-  MIN_STABLE_WIDTH,
-  BALANCE_PENALTY,
-} from "./instabilityCore.js";
+import { STANDARD_RULESET } from "../ruleset.js";
+import { getMaterial } from "../materials.js";
 import { hasFilledCells } from "./instabilityCore.js";
 
 /**
- * Apply overhang penalties to blocks without support
+ * Apply overhang penalties to blocks without support. Supported blocks that
+ * are heavier than their support's material can carry get part of the penalty,
+ * and neighbours steady a block by their material's support strength.
  * @param {Array} board - The game board
  * @param {Array} cellStability - Cell stability values to update
  * @param {number} cutOffRow - The row where history begins
+ * @param {object} rules - The game's ruleset (tower bounds and stability weights)
+ * @param {Set<number>|null} rows - Only update these rows (all rows when null)
  */
-export function applyOverhangPenalties(board, cellStability, cutOffRow) {
+export function applyOverhangPenalties(board, cellStability, cutOffRow, rules = STANDARD_RULESET, rows = null) {
+  const { gutterWidth, towerWidth } = rules.board;
+  const { overhangPenalty, neighborWeight } = rules.stability;
+
   // Only process active section (not history)
   for (let y = 0; y < cutOffRow - 1; y++) {
+    if (rows && !rows.has(y)) continue;
+
     // Skip the bottom row of active section
-    for (let x = GUTTER_WIDTH; x < GUTTER_WIDTH + TOWER_WIDTH; x++) {
+    for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
       // Skip empty cells
       if (!board[y][x]) continue;
+      const material = getMaterial(board[y][x]);
 
       // Check for direct support
-      const hasDirectSupport = board[y + 1] && board[y + 1][x] === 1;
+      const below = board[y + 1] && board[y + 1][x];
 
-      if (!hasDirectSupport) {
+      if (below) {
+        // A block heavier than its support can carry still sags a little
+        const overload = material.weight - getMaterial(below).support;
+        if (overload > 0) {
+          cellStability[y][x] = Math.max(
+            -1.0,
+            cellStability[y][x] - overhangPenalty * overload
+          );
+        }
+      } else {
         // Check for diagonal support
         const hasLeftDiagonalSupport =
-          x > GUTTER_WIDTH && board[y + 1] && board[y + 1][x - 1] === 1;
+          x > gutterWidth && board[y + 1] && Boolean(board[y + 1][x - 1]);
         const hasRightDiagonalSupport =
-          x < GUTTER_WIDTH + TOWER_WIDTH - 1 &&
+          x < gutterWidth + towerWidth - 1 &&
           board[y + 1] &&
-          board[y + 1][x + 1] === 1;
+          Boolean(board[y + 1][x + 1]);
 
         if (hasLeftDiagonalSupport || hasRightDiagonalSupport) {
           // Diagonal support is better than nothing but still problematic
           cellStability[y][x] = Math.max(
             -1.0,
-            cellStability[y][x] - OVERHANG_PENALTY * 0.7
+            cellStability[y][x] - overhangPenalty * 0.7
           ); // Increased from 0.5
         } else {
           // Complete overhang is very unstable - can go negative
           cellStability[y][x] = Math.max(
             -1.0,
-            cellStability[y][x] - OVERHANG_PENALTY * 2.0
+            cellStability[y][x] - overhangPenalty * 2.0
           );
         }
       }
 
       // Apply lateral support bonuses
-      const hasLeftNeighbor = x > GUTTER_WIDTH && board[y][x - 1] === 1;
-      const hasRightNeighbor =
-        x < GUTTER_WIDTH + TOWER_WIDTH - 1 && board[y][x + 1] === 1;
+      const leftNeighbor = x > gutterWidth && board[y][x - 1];
+      const rightNeighbor =
+        x < gutterWidth + towerWidth - 1 && board[y][x + 1];
 
-      if (hasLeftNeighbor)
+      if (leftNeighbor)
         cellStability[y][x] = Math.min(
           1.0,
-          cellStability[y][x] + NEIGHBOR_WEIGHT
+          cellStability[y][x] + neighborWeight * getMaterial(leftNeighbor).support
         );
-      if (hasRightNeighbor)
+      if (rightNeighbor)
         cellStability[y][x] = Math.min(
           1.0,
-          cellStability[y][x] + NEIGHBOR_WEIGHT
+          cellStability[y][x] + neighborWeight * getMaterial(rightNeighbor).support
         );
 
       // Edge support
-      const isLeftEdge = x === GUTTER_WIDTH;
-      const isRightEdge = x === GUTTER_WIDTH + TOWER_WIDTH - 1;
+      const isLeftEdge = x === gutterWidth;
+      const isRightEdge = x === gutterWidth + towerWidth - 1;
       if (isLeftEdge || isRightEdge) {
         cellStability[y][x] = Math.min(
           1.0,
-          cellStability[y][x] + NEIGHBOR_WEIGHT * 0.3
+          cellStability[y][x] + neighborWeight * 0.3
         );
       }
     }
@@ -80,7 +93,8 @@ export function applyOverhangPenalties(board, cellStability, cutOffRow) {
 
   // The bottom row of active section always has perfect stability
   const bottomRow = cutOffRow - 1;
-  for (let x = GUTTER_WIDTH; x < GUTTER_WIDTH + TOWER_WIDTH; x++) {
+  if (rows && !rows.has(bottomRow)) return;
+  for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
     if (board[bottomRow] && board[bottomRow][x]) {
       cellStability[bottomRow][x] = 1.0;
     }
@@ -92,27 +106,34 @@ export function applyOverhangPenalties(board, cellStability, cutOffRow) {
  * @param {Array} board - The game board
  * @param {Array} cellStability - Cell stability values to update
  * @param {number} cutOffRow - The row where history begins
+ * @param {object} rules - The game's ruleset (tower bounds and stability weights)
+ * @param {Set<number>|null} rows - Only update these rows (all rows when null)
  */
-export function applyThinWidthPenalties(board, cellStability, cutOffRow) {
+export function applyThinWidthPenalties(board, cellStability, cutOffRow, rules = STANDARD_RULESET, rows = null) {
+  const { gutterWidth, towerWidth } = rules.board;
+  const { minStableWidth, thinTowerPenalty } = rules.stability;
+
   // Only process active section (not history)
   for (let y = 0; y < cutOffRow; y++) {
+    if (rows && !rows.has(y)) continue;
+
     // Skip empty rows
-    if (!hasFilledCells(board, y)) continue;
+    if (!hasFilledCells(board, y, rules)) continue;
 
     // Calculate row width
     let rowWidth = 0;
-    for (let x = GUTTER_WIDTH; x < GUTTER_WIDTH + TOWER_WIDTH; x++) {
+    for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
       if (board[y][x]) rowWidth++;
     }
 
     // Apply thin tower penalty
-    if (rowWidth > 0 && rowWidth < MIN_STABLE_WIDTH) {
+    if (rowWidth > 0 && rowWidth < minStableWidth) {
       // Make penalty more severe for very thin rows
-      const widthFactor = (MIN_STABLE_WIDTH - rowWidth) / MIN_STABLE_WIDTH;
-      const widthPenalty = widthFactor * THIN_TOWER_PENALTY * 1.5; // Added multiplier
+      const widthFactor = (minStableWidth - rowWidth) / minStableWidth;
+      const widthPenalty = widthFactor * thinTowerPenalty * 1.5; // Added multiplier
 
       // Apply to all blocks in this row
-      for (let x = GUTTER_WIDTH; x < GUTTER_WIDTH + TOWER_WIDTH; x++) {
+      for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
         if (board[y][x]) {
           cellStability[y][x] = Math.max(
             -1.0,
@@ -129,44 +150,53 @@ export function applyThinWidthPenalties(board, cellStability, cutOffRow) {
  * @param {Array} board - The game board
  * @param {Array} cellStability - Cell stability values to update
  * @param {number} cutOffRow - The row where history begins
+ * @param {object} rules - The game's ruleset (tower bounds and stability weights)
+ * @param {Set<number>|null} rows - Only update these rows (all rows when null)
  */
-export function applyBalancePenalties(board, cellStability, cutOffRow) {
+export function applyBalancePenalties(board, cellStability, cutOffRow, rules = STANDARD_RULESET, rows = null) {
+  const { gutterWidth, towerWidth } = rules.board;
+
   // Process each row in active section
   for (let y = 0; y < cutOffRow; y++) {
+    if (rows && !rows.has(y)) continue;
+
     // Skip empty rows
-    if (!hasFilledCells(board, y)) continue;
+    if (!hasFilledCells(board, y, rules)) continue;
 
-    // Calculate center of mass for this row
+    // Calculate center of mass for this row (heavier materials pull harder)
+    let blockCount = 0;
     let totalMass = 0;
     let weightedSum = 0;
 
-    for (let x = GUTTER_WIDTH; x < GUTTER_WIDTH + TOWER_WIDTH; x++) {
+    for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
       if (board[y][x]) {
-        totalMass++;
-        weightedSum += x;
+        const { weight } = getMaterial(board[y][x]);
+        blockCount++;
+        totalMass += weight;
+        weightedSum += x * weight;
       }
     }
 
     // Skip rows with only one block (no balance issues)
-    if (totalMass <= 1) continue;
+    if (blockCount <= 1) continue;
 
     // Calculate center of mass
     const centerOfMass = weightedSum / totalMass;
 
     // Calculate the ideal center (middle of tower area)
-    const idealCenter = GUTTER_WIDTH + TOWER_WIDTH / 2;
+    const idealCenter = gutterWidth + towerWidth / 2;
 
     // Calculate imbalance as distance from ideal center (normalized to 0-1 range)
-    const maxPossibleOffset = TOWER_WIDTH / 2;
+    const maxPossibleOffset = towerWidth / 2;
     const imbalance = Math.abs(centerOfMass - idealCenter) / maxPossibleOffset;
 
     // Apply penalties based on imbalance
     // Only penalize significant imbalances (more than 30% off center)
     if (imbalance > 0.3) {
-      const balancePenalty = (imbalance - 0.3) * BALANCE_PENALTY;
+      const balancePenalty = (imbalance - 0.3) * rules.stability.balancePenalty;
 
       // Apply to all blocks in this row
-      for (let x = GUTTER_WIDTH; x < GUTTER_WIDTH + TOWER_WIDTH; x++) {
+      for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
         if (board[y][x]) {
           // Blocks farther from center get bigger penalties
           const distanceFromCenter =
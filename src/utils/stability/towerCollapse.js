@@ -0,0 +1,245 @@
+// stability/towerCollapse.js
+import { findTopRow } from "../boardHelpers.js";
+import { GameEvents } from "../engine/events.js";
+import { updateStabilityAfterPlacement } from "./instabilityCore.js";
+import { refreshStability } from "./stabilityUpdates.js";
+
+// Time before the next piece spawns after a collapse (animation time + pause)
+export const FULL_COLLAPSE_DURATION = 1600;
+export const PARTIAL_COLLAPSE_DURATION = 1400;
+
+/**
+ * Time a falling cluster takes to drop (it speeds up, so longer drops take
+ * less time per row). The spawn delay and the animation both use this.
+ * @param {number} distance - Fall distance in rows
+ * @returns {number} Duration in milliseconds
+ */
+export function getClusterFallDuration(distance) {
+  return Math.round(120 * Math.sqrt(distance));
+}
+
+/**
+ * Collapse the tower if instability has reached a critical level
+ * @param {object} state - The game state
+ * @returns {Array} Events describing the collapse (empty if none)
+ */
+export function checkForCollapse(state) {
+  if (state.isCollapsing) return [];
+
+  // Instability thresholds for the two collapse levels come from the ruleset
+  const { fullThreshold, partialThreshold } = state.rules.collapse;
+  if (state.instability >= fullThreshold) {
+    // Critical instability - most of the weak blocks break
+    return collapseTower(state, "full");
+  } else if (state.instability >= partialThreshold) {
+    // Severe instability - only the weakest blocks break
+    return collapseTower(state, "partial");
+  }
+
+  return [];
+}
+
+/**
+ * Break the weakest blocks of the tower, let everything that lost its
+ * connection to the foundation fall, and apply the collapse penalties
+ * @param {object} state - The game state
+ * @param {string} kind - "full" (breaks more of the tower) or "partial"
+ * @returns {Array} Events describing the collapse
+ */
+export function collapseTower(state, kind) {
+  const isFull = kind === "full";
+  const { cutOffRow } = state.rules.board;
+  const { fullBreakStability, partialBreakStability } = state.rules.collapse;
+
+  // Cancel any active piece, the next one spawns when the collapse is over
+  state.activePiece = null;
+  state.isCollapsing = true;
+
+  // Blocks at the weak points break away...
+  const removedCells = breakWeakCells(
+    state.board,
+    state.cellStability,
+    cutOffRow,
+    isFull ? fullBreakStability : partialBreakStability
+  );
+  const rowCount = new Set(removedCells.map(cell => cell.y)).size;
+
+  // ...and whatever they were holding up falls as rigid clusters
+  const fallenClusters = dropUnsupportedClusters(state.board, cutOffRow);
+  const fallTime = fallenClusters.reduce((total, fall) => total + getClusterFallDuration(fall.distance), 0);
+  state.spawnDelay = (isFull ? FULL_COLLAPSE_DURATION : PARTIAL_COLLAPSE_DURATION) + fallTime;
+
+  // Apply score penalty (larger for a full collapse)
+  const penalty = Math.min(state.score, isFull ? 500 : rowCount * 50);
+  state.score = Math.max(0, state.score - penalty);
+
+  // Recalculate stability, then relieve some of the pressure. Deferred
+  // stability is requested like after any other board change, and the relief
+  // is taken off its result as well when it comes back (stabilityUpdates.js).
+  const relief = isFull ? 50 : 20;
+  const requested = [];
+  if (state.deferStability) {
+    state.collapseRelief = relief;
+    requested.push(...refreshStability(state));
+  } else {
+    updateStabilityAfterPlacement(state);
+  }
+  state.instability = Math.max(0, state.instability - relief);
+
+  return [
+    {
+      type: GameEvents.TOWER_COLLAPSED,
+      kind,
+      rows: rowCount,
+      removedCells,
+      fallenClusters,
+      penalty,
+      instability: state.instability,
+    },
+    { type: GameEvents.SCORE_CHANGED, score: state.score },
+    {
+      type: GameEvents.STABILITY_CHANGED,
+      stability: 100 - state.instability,
+      instability: state.instability,
+    },
+    ...requested,
+  ];
+}
+
+/**
+ * Remove every block of the active section whose stability is below the
+ * break threshold. When none is that weak, the weakest blocks (or the top
+ * row of a uniformly stable tower) break instead. The foundation row never breaks.
+ * @param {Array} board - The game board
+ * @param {Array|null} cellStability - Cell stability values from calculateStability
+ * @param {number} cutOffRow - The row where history begins
+ * @param {number} breakStability - Stability below which blocks break
+ * @returns {Array} The removed cells as {x, y}
+ */
+function breakWeakCells(board, cellStability, cutOffRow, breakStability) {
+  const candidates = [];
+  for (let y = 0; y < cutOffRow - 1; y++) {
+    for (let x = 0; x < board[y].length; x++) {
+      if (!board[y][x]) continue;
+      const stability = cellStability?.[y]?.[x] ?? 1.0;
+      candidates.push({ x, y, stability });
+    }
+  }
+  if (candidates.length === 0) return [];
+
+  let broken = candidates.filter(cell => cell.stability < breakStability);
+  if (broken.length === 0) {
+    const weakest = Math.min(...candidates.map(cell => cell.stability));
+    broken = weakest < 1.0
+      ? candidates.filter(cell => cell.stability === weakest)
+      : candidates.filter(cell => cell.y === findTopRow(board));
+  }
+
+  return broken.map(({ x, y }) => {
+    board[y][x] = 0;
+    return { x, y };
+  });
+}
+
+/**
+ * Find connected clusters of blocks (4-way) in the active section and mark
+ * the ones that reach the foundation row
+ * @param {Array} board - The game board
+ * @param {number} cutOffRow - The row where history begins
+ * @returns {Array} Clusters as { cells: [{x, y}], anchored }
+ */
+export function findBlockClusters(board, cutOffRow) {
+  const foundationRow = cutOffRow - 1;
+  const visited = Array.from({ length: cutOffRow }, () => Array(board[0].length).fill(false));
+  const clusters = [];
+
+  for (let y = 0; y < cutOffRow; y++) {
+    for (let x = 0; x < board[y].length; x++) {
+      if (!board[y][x] || visited[y][x]) continue;
+
+      const cells = [];
+      let anchored = false;
+      const queue = [[x, y]];
+      visited[y][x] = true;
+
+      while (queue.length > 0) {
+        const [cx, cy] = queue.shift();
+        cells.push({ x: cx, y: cy });
+        if (cy === foundationRow) anchored = true;
+
+        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+          const nx = cx + dx;
+          const ny = cy + dy;
+          if (ny < 0 || ny >= cutOffRow || nx < 0 || nx >= board[ny].length) continue;
+          if (!board[ny][nx] || visited[ny][nx]) continue;
+          visited[ny][nx] = true;
+          queue.push([nx, ny]);
+        }
+      }
+
+      clusters.push({ cells, anchored });
+    }
+  }
+
+  return clusters;
+}
+
+/**
+ * Drop clusters that aren't connected to the foundation. The lowest cluster
+ * falls first; after every landing the clusters are found again, because a
+ * cluster that lands on another floating one joins it and falls with it.
+ * @param {Array} board - The game board
+ * @param {number} cutOffRow - The row where history begins
+ * @returns {Array} Falls in order as { cells: [{x, y}] before the fall, distance }
+ */
+function dropUnsupportedClusters(board, cutOffRow) {
+  const falls = [];
+  const maxFalls = board.length * board[0].length; // Every fall lands, this is only a guard
+
+  while (falls.length < maxFalls) {
+    const floating = findBlockClusters(board, cutOffRow).filter(cluster => !cluster.anchored);
+    if (floating.length === 0) break;
+
+    // Lowest bottom edge first
+    const lowest = floating.reduce((best, cluster) =>
+      getBottom(cluster) > getBottom(best) ? cluster : best
+    );
+
+    const distance = getFallDistance(board, lowest.cells, cutOffRow);
+    if (distance === 0) break;
+
+    // Blocks keep their material as they fall
+    const cells = lowest.cells.map(({ x, y }) => board[y][x]);
+    lowest.cells.forEach(({ x, y }) => { board[y][x] = 0; });
+    lowest.cells.forEach(({ x, y }, index) => { board[y + distance][x] = cells[index]; });
+    falls.push({ cells: lowest.cells, distance });
+  }
+
+  return falls;
+}
+
+function getBottom(cluster) {
+  return Math.max(...cluster.cells.map(cell => cell.y));
+}
+
+/**
+ * How many rows a rigid cluster can fall before it rests on another block
+ * or reaches the foundation row
+ * @param {Array} board - The game board
+ * @param {Array} cells - The cluster's cells
+ * @param {number} cutOffRow - The row where history begins
+ * @returns {number} Fall distance in rows
+ */
+function getFallDistance(board, cells, cutOffRow) {
+  const own = new Set(cells.map(({ x, y }) => `${x},${y}`));
+  let distance = 0;
+
+  const canMove = offset => cells.every(({ x, y }) => {
+    const ny = y + offset;
+    if (ny >= cutOffRow) return false;
+    return !board[ny][x] || own.has(`${x},${ny}`);
+  });
+
+  while (canMove(distance + 1)) distance++;
+  return distance;
+}
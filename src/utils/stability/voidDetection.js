@@ -1,5 +1,6 @@
 // stability/voidDetection.js
-import { GUTTER_WIDTH, TOWER_WIDTH } from "../constants.js";
+import { STANDARD_RULESET } from "../ruleset.js";
+import { getMaterial, DEFAULT_MATERIAL } from "../materials.js";
 import { VOID_STABILITY } from "./instabilityCore.js";
 
 /**
@@ -8,9 +9,11 @@ import { VOID_STABILITY } from "./instabilityCore.js";
  * @param {number} topRow - The topmost occupied row
  * @param {Array} initialCellStability - Initial cell stability values
  * @param {number} cutOffRow - The row where history begins
+ * @param {object} rules - The game's ruleset (for the tower bounds)
  * @returns {Object} Object containing updated cell stability and void clusters
  */
-export function detectVoids(board, topRow, initialCellStability, cutOffRow) {
+export function detectVoids(board, topRow, initialCellStability, cutOffRow, rules = STANDARD_RULESET) {
+  const { gutterWidth, towerWidth } = rules.board;
   const width = board[0].length;
   
   // Make a copy of the initial cell stability to avoid modifying the original
@@ -24,18 +27,18 @@ export function detectVoids(board, topRow, initialCellStability, cutOffRow) {
   const voidClusters = [];
   
   // Check for open paths from the top
-  const accessibleFromTop = findAccessibleCells(board, topRow);
+  const accessibleFromTop = findAccessibleCells(board, topRow, rules);
   
   // First pass: identify potential voids
   // Only analyze up to the cutoff row
   let clusterIndex = 0;
   for (let y = topRow; y < cutOffRow; y++) {
-    for (let x = GUTTER_WIDTH; x < GUTTER_WIDTH + TOWER_WIDTH; x++) {
+    for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
       // Skip if already visited or if cell is filled
-      if (visited[y][x] || board[y][x] === 1) continue;
+      if (visited[y][x] || board[y][x]) continue;
       
       // Check if it's possibly a void (has a block above it)
-      const hasBlockAbove = y > 0 && board[y-1][x] === 1;
+      const hasBlockAbove = y > 0 && Boolean(board[y-1][x]);
       
       // If cell is accessible from top or has no block above, it's not a void
       if (accessibleFromTop[y][x] || !hasBlockAbove) {
@@ -46,13 +49,13 @@ export function detectVoids(board, topRow, initialCellStability, cutOffRow) {
       
       // This might be a void - identify the entire cluster
       // But limit it to active section
-      const cluster = identifyVoidCluster(board, visited, x, y, cutOffRow);
+      const cluster = identifyVoidCluster(board, visited, x, y, cutOffRow, rules);
       
       // Only consider it a void if the cluster has at least one block above
       let hasCapAbove = false;
       for (const cell of cluster) {
         const [cx, cy] = cell;
-        if (cy > 0 && board[cy-1][cx] === 1) {
+        if (cy > 0 && board[cy-1][cx]) {
           hasCapAbove = true;
           break;
         }
@@ -62,58 +65,89 @@ export function detectVoids(board, topRow, initialCellStability, cutOffRow) {
       if (!hasCapAbove || cluster.length === 0) continue;
       
       // Calculate cluster properties
-      const clusterInfo = analyzeVoidCluster(board, cluster);
+      const clusterInfo = analyzeVoidCluster(board, cluster, rules);
       clusterInfo.id = clusterIndex++;
       
       // Store cluster info
       voidClusters.push(clusterInfo);
       
       // Assign stability values based on void type
-      for (const [vx, vy] of cluster) {
-        // Skip cells in history grid
-        if (vy >= cutOffRow) continue;
-        
-        // Deeper voids cause more instability
-        const depthPenalty = Math.min(0.4, clusterInfo.depth * 0.1);
-        // Larger voids cause more instability
-        const sizePenalty = Math.min(0.3, cluster.length * 0.05); 
-        
-        // Combine penalties based on void type
-        let voidPenalty;
-        switch (clusterInfo.type) {
-          case 'critical': // Completely sealed voids
-            voidPenalty = -0.7 - depthPenalty - sizePenalty;
-            break;
-          case 'severe': // Almost sealed, hard to access
-            voidPenalty = -0.5 - depthPenalty - sizePenalty;
-            break;
-          case 'moderate': // Partially accessible
-            voidPenalty = -0.3 - depthPenalty;
-            break;
-          default: // Minor voids
-            voidPenalty = -0.2;
-        }
-        
-        cellStability[vy][vx] = voidPenalty;
-      }
+      applyVoidPenalty(cellStability, clusterInfo, cutOffRow);
     }
   }
   
   // Second pass: propagate void effects to surrounding blocks
   for (const cluster of voidClusters) {
-    propagateVoidEffects(board, cellStability, cluster, cutOffRow);
+    propagateVoidEffects(board, cellStability, cluster, cutOffRow, rules);
   }
   
   return { updatedCellStability: cellStability, voidClusters };
 }
 
 /**
- * Find all cells that are accessible from the top of the tower
+ * Set the stability of every cell in a void cluster based on its type
+ * @param {Array} cellStability - Cell stability values to update
+ * @param {Object} cluster - Void cluster information
+ * @param {number} cutOffRow - The row where history begins
+ * @param {Set<number>|null} rows - Only update these rows (all rows when null)
+ */
+export function applyVoidPenalty(cellStability, cluster, cutOffRow, rows = null) {
+  // Deeper voids cause more instability
+  const depthPenalty = Math.min(0.4, cluster.depth * 0.1);
+  // Larger voids cause more instability
+  const sizePenalty = Math.min(0.3, cluster.size * 0.05);
+  
+  // Combine penalties based on void type
+  let voidPenalty;
+  switch (cluster.type) {
+    case 'critical': // Completely sealed voids
+      voidPenalty = -0.7 - depthPenalty - sizePenalty;
+      break;
+    case 'severe': // Almost sealed, hard to access
+      voidPenalty = -0.5 - depthPenalty - sizePenalty;
+      break;
+    case 'moderate': // Partially accessible
+      voidPenalty = -0.3 - depthPenalty;
+      break;
+    default: // Minor voids
+      voidPenalty = -0.2;
+  }
+  
+  for (const [vx, vy] of cluster.cells) {
+    // Skip cells in history grid
+    if (vy >= cutOffRow || (rows && !rows.has(vy))) continue;
+    
+    cellStability[vy][vx] = voidPenalty;
+  }
+}
+
+/**
+ * Check if an empty tower cell opens sideways into the gutter, i.e. it is an
+ * edge column of the tower with an empty gutter cell right beside it
+ * @param {Array} board - The game board
+ * @param {number} x - Cell x coordinate
+ * @param {number} y - Cell y coordinate
+ * @param {object} rules - The game's ruleset (for the tower bounds)
+ * @returns {boolean} True if the gutter beside the cell is open
+ */
+export function isOpenToGutter(board, x, y, rules = STANDARD_RULESET) {
+  const { gutterWidth, towerWidth } = rules.board;
+  const right = gutterWidth + towerWidth - 1;
+  if (x === gutterWidth && x > 0) return !board[y][x - 1];
+  if (x === right && x < board[0].length - 1) return !board[y][x + 1];
+  return false;
+}
+
+/**
+ * Find all cells that are accessible from the top of the tower, or from the
+ * open gutter beside it
  * @param {Array} board - The game board
  * @param {number} topRow - The topmost occupied row
+ * @param {object} rules - The game's ruleset (for the tower bounds)
  * @returns {Array} 2D array marking accessible cells as true
  */
-export function findAccessibleCells(board, topRow) {
+export function findAccessibleCells(board, topRow, rules = STANDARD_RULESET) {
+  const { gutterWidth, towerWidth, cutOffRow } = rules.board;
   const width = board[0].length;
   const height = board.length;
   
@@ -122,9 +156,19 @@ export function findAccessibleCells(board, topRow) {
     Array(width).fill(false));
   
   // Start from each empty column at the top row
-  for (let x = GUTTER_WIDTH; x < GUTTER_WIDTH + TOWER_WIDTH; x++) {
+  for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
     if (!board[topRow][x]) {
-      floodFillAccessible(board, accessible, x, topRow);
+      floodFillAccessible(board, accessible, x, topRow, rules);
+    }
+  }
+
+  // A gap at the edge of the tower is open to the side when the gutter next
+  // to it is empty, so the cell under an edge overhang is no sealed void
+  for (let y = topRow; y < cutOffRow; y++) {
+    for (const x of [gutterWidth, gutterWidth + towerWidth - 1]) {
+      if (!board[y][x] && isOpenToGutter(board, x, y, rules)) {
+        floodFillAccessible(board, accessible, x, y, rules);
+      }
     }
   }
   
@@ -137,8 +181,10 @@ export function findAccessibleCells(board, topRow) {
  * @param {Array} accessible - The accessibility array to fill
  * @param {number} x - Starting x coordinate
  * @param {number} y - Starting y coordinate
+ * @param {object} rules - The game's ruleset (for the tower bounds)
  */
-function floodFillAccessible(board, accessible, x, y) {
+function floodFillAccessible(board, accessible, x, y, rules) {
+  const { gutterWidth, towerWidth } = rules.board;
   const width = board[0].length;
   const height = board.length;
   
@@ -150,9 +196,9 @@ function floodFillAccessible(board, accessible, x, y) {
     const [cx, cy] = queue.shift();
     
     // Skip if out of bounds, already visited, or filled
-    if (cx < GUTTER_WIDTH || cx >= GUTTER_WIDTH + TOWER_WIDTH || 
+    if (cx < gutterWidth || cx >= gutterWidth + towerWidth || 
         cy < 0 || cy >= height || 
-        accessible[cy][cx] || board[cy][cx] === 1) {
+        accessible[cy][cx] || board[cy][cx]) {
       continue;
     }
     
@@ -174,9 +220,11 @@ function floodFillAccessible(board, accessible, x, y) {
  * @param {number} startX - Starting x coordinate
  * @param {number} startY - Starting y coordinate
  * @param {number} cutOffRow - The row where history begins
+ * @param {object} rules - The game's ruleset (for the tower bounds)
  * @returns {Array} Array of [x,y] coordinates in the cluster
  */
-export function identifyVoidCluster(board, visited, startX, startY, cutOffRow) {
+export function identifyVoidCluster(board, visited, startX, startY, cutOffRow, rules = STANDARD_RULESET) {
+  const { gutterWidth, towerWidth } = rules.board;
   // Cluster cells
   const cluster = [];
   
@@ -188,9 +236,9 @@ export function identifyVoidCluster(board, visited, startX, startY, cutOffRow) {
     const [cx, cy] = queue.shift();
     
     // Skip if out of bounds, already visited, filled, or in history grid
-    if (cx < GUTTER_WIDTH || cx >= GUTTER_WIDTH + TOWER_WIDTH || 
+    if (cx < gutterWidth || cx >= gutterWidth + towerWidth || 
         cy < 0 || cy >= cutOffRow || 
-        visited[cy][cx] || board[cy][cx] === 1) {
+        visited[cy][cx] || board[cy][cx]) {
       continue;
     }
     
@@ -214,9 +262,11 @@ export function identifyVoidCluster(board, visited, startX, startY, cutOffRow) {
  * Analyze a void cluster to determine its properties
  * @param {Array} board - The game board
  * @param {Array} cluster - Array of [x,y] coordinates in the cluster
+ * @param {object} rules - The game's ruleset (for the tower bounds)
  * @returns {Object} Information about the void cluster
  */
-export function analyzeVoidCluster(board, cluster) {
+export function analyzeVoidCluster(board, cluster, rules = STANDARD_RULESET) {
+  const { gutterWidth, towerWidth } = rules.board;
   const width = board[0].length;
   const height = board.length;
   
@@ -260,14 +310,14 @@ export function analyzeVoidCluster(board, cluster) {
       const ny = y + dy;
       
       // Skip if out of bounds or another void cell
-      if (nx < GUTTER_WIDTH || nx >= GUTTER_WIDTH + TOWER_WIDTH || 
+      if (nx < gutterWidth || nx >= gutterWidth + towerWidth || 
           ny < 0 || ny >= height) {
         continue;
       }
       
       // Count surrounding cells
       possibleSurroundingPositions++;
-      if (board[ny] && board[ny][nx] === 1) {
+      if (board[ny] && board[ny][nx]) {
         surroundingBlocks++;
       }
     }
@@ -303,8 +353,11 @@ export function analyzeVoidCluster(board, cluster) {
  * @param {Array} cellStability - Cell stability values to update
  * @param {Object} cluster - Void cluster information
  * @param {number} cutOffRow - The row where history begins
+ * @param {object} rules - The game's ruleset (for the tower bounds)
+ * @param {Set<number>|null} rows - Only update blocks in these rows (all rows when null)
  */
-export function propagateVoidEffects(board, cellStability, cluster, cutOffRow) {
+export function propagateVoidEffects(board, cellStability, cluster, cutOffRow, rules = STANDARD_RULESET, rows = null) {
+  const { gutterWidth, towerWidth } = rules.board;
   const { cells, type, size } = cluster;
   
   // Base effect strength depends on void type
@@ -346,9 +399,9 @@ export function propagateVoidEffects(board, cellStability, cluster, cutOffRow) {
       const ny = y + dy;
       
       // Skip if out of bounds, in history, or not a block
-      if (nx < GUTTER_WIDTH || nx >= GUTTER_WIDTH + TOWER_WIDTH || 
+      if (nx < gutterWidth || nx >= gutterWidth + towerWidth || 
           ny < 0 || ny >= cutOffRow || 
-          !board[ny] || board[ny][nx] !== 1) {
+          !board[ny] || !board[ny][nx]) {
         continue;
       }
       
@@ -360,18 +413,23 @@ export function propagateVoidEffects(board, cellStability, cluster, cutOffRow) {
   // Apply effects to all affected blocks
   for (const cellKey of affectedCells) {
     const [x, y] = cellKey.split(',').map(Number);
+    if (rows && !rows.has(y)) continue;
+    
+    // Brittle materials crack more than stone, tough ones less
+    const { brittleness } = getMaterial(board[y][x]);
+    const strength = effectStrength * (1 + (brittleness - DEFAULT_MATERIAL.brittleness));
     
     // Blocks above voids are severely affected (capping blocks)
     if (y < cluster.minY) {
-      cellStability[y][x] = Math.max(0, cellStability[y][x] - effectStrength * 1.5);
+      cellStability[y][x] = Math.max(0, cellStability[y][x] - strength * 1.5);
     } 
     // Blocks below are slightly affected
     else if (y > cluster.maxY) {
-      cellStability[y][x] = Math.max(0, cellStability[y][x] - effectStrength * 0.5);
+      cellStability[y][x] = Math.max(0, cellStability[y][x] - strength * 0.5);
     }
     // Side blocks are moderately affected
     else {
-      cellStability[y][x] = Math.max(0, cellStability[y][x] - effectStrength);
+      cellStability[y][x] = Math.max(0, cellStability[y][x] - strength);
     }
   }
 }
\ No newline at end of file
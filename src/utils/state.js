@@ -1,78 +1,173 @@
 // utils/state.js
-import { BOARD_WIDTH, BOARD_HEIGHT, HISTORY_ROWS, BUFFER_ROWS, VISIBLE_ROWS } from "./constants.js";
+import { ROTATION_SYSTEMS } from "./constants.js";
+import { STANDARD_RULESET } from "./ruleset.js";
+import { createRandomizer, createRng, generateSeed } from "./randomizer.js";
+import { createPowerUpDealer } from "./powerUps.js";
+import { createPieceSet } from "./pieceSets.js";
 
+// All gameplay state for a single player. Holds no Phaser objects so it can
+// be driven by the engine in Node as well as in the browser.
 export class GameState {
-  constructor() {
+  constructor(options = {}) {
+    // Validated ruleset (utils/ruleset.js). Options below override single rules.
+    this.rules = options.rules || STANDARD_RULESET;
+    const { board, pieces, lockDelay, autoLock } = this.rules;
+
     // Core game state
     this.activePiece = null;
-    this.ghostBlocks = [];
-    this.board = Array.from({ length: BOARD_HEIGHT }, () => Array(BOARD_WIDTH).fill(0));
-    this.historyGrid = Array.from({ length: HISTORY_ROWS }, () => Array(BOARD_WIDTH).fill(0));
-    
+    this.board = Array.from({ length: board.height }, () => Array(board.width).fill(0));
+    this.historyGrid = Array.from({ length: board.historyRows }, () => Array(board.width).fill(0));
+
+    // Rotation system ("srs" or "classic") decides piece shapes and kick
+    // tables, unless the piece set brings its own (utils/pieceSets.js)
+    const rotationSystem = options.rotationSystem || pieces.rotationSystem;
+    if (!ROTATION_SYSTEMS[rotationSystem]) {
+      throw new Error(`Unknown rotation system: ${rotationSystem}`);
+    }
+    this.pieceSet = createPieceSet(this.rules, ROTATION_SYSTEMS[rotationSystem]);
+    this.rotationSystem = this.pieceSet.rotationSystem;
+    this.shapes = options.shapes || this.pieceSet.shapes;
+    this.started = false;
+
     // Game progression
     this.score = 0;
+    this.level = 0;
+    this.linesCleared = 0;
     this.towerHeight = 0;
-    this.instability = 0;
-    
-    // Player abilities and status
+    this.combo = -1; // Consecutive line-clearing locks, 0 on the first clear
+    this.backToBack = false; // Last line clear was a quad or T-spin
+
+    // Piece preview queue, filled by a seeded randomizer so every player
+    // sharing a seed sees the same sequence
+    this.seed = options.seed !== undefined ? options.seed : generateSeed();
+    this.randomizer = createRandomizer(options.randomizer || pieces.randomizer, Object.keys(this.shapes), this.seed);
+    this.powerUpDealer = createPowerUpDealer(this.rules, this.seed); // Power-ups between the pieces (utils/powerUps.js)
+    this.previewQueue = [];
+    this.previewSize = options.previewSize !== undefined ? options.previewSize : pieces.previewSize;
+
+    // Hold slot (one swap per spawned piece)
+    this.heldPiece = null;
+    this.canHold = true;
+
+    // Timers (milliseconds, advanced by the engine's step function)
+    this.dropTimer = 0;
+    this.spawnDelay = null;
+
+    // Lock delay: a grounded piece waits lockDelay ms before locking. Moves and
+    // rotations restart the delay up to lockResetLimit times per piece, and the
+    // count starts over whenever the piece reaches a new lowest row.
+    this.lockDelay = options.lockDelay !== undefined ? options.lockDelay : lockDelay.delay;
+    this.lockResetLimit = options.lockResetLimit !== undefined ? options.lockResetLimit : lockDelay.resetLimit;
+    this.lockTimer = null; // Milliseconds left while the piece is grounded
+    this.lockResets = 0;
+    this.lockLowestY = 0;
+
+    // Player abilities and status. Abilities are earned and spent through
+    // utils/abilityEconomy.js; a player can hold several uses of one.
     this.abilities = [];
-    this.lockReady = true;
+    this.abilityRng = createRng(`${this.seed}:abilities`); // Picks earned abilities
+    this.abilityCooldowns = {}; // Milliseconds left per ability
+    this.linesTowardAbility = 0;
+    this.stabilityStreak = 0; // Placements in a row at or above streakStability
+    this.streakCheckPending = false; // The next stability update follows a placement
+    this.abilityEffects = []; // Opponents' abilities and our defenses still in effect (utils/abilities.js)
+    this.pendingAttacks = []; // Attacks waiting out their warning time (utils/defenses.js)
+    this.garbageAttacks = 0; // Garbage attacks landed, seeds the ones that come without a seed (utils/garbage.js)
     this.chargeLevel = 0;
-    
-    // Multiplayer
-    this.adjacentTowers = {};
+    this.maxChargeLevel = 100;
+    this.lockReady = false;
+
+    // Stability
+    this.instability = 0;
+    this.externalInstability = 0;
+    this.isCollapsing = false;
+    this.cellStability = null; // Initialized on first piece placement
+    this.rowStability = null;
+    this.voidClusters = [];
+    this.loadAnalysis = null; // Cumulative load and tipping points (stability/loadAnalysis.js)
+    this.stabilityCache = null; // Last result reused by stability/incrementalStability.js
+    this.deferStability = Boolean(options.deferStability); // Let the view calculate stability off the main thread
+    this.stabilityRequestId = 0;
+    this.stabilityPending = false; // Waiting for a deferred stability result
+    this.collapseRelief = 0; // Instability a collapse takes off the deferred result it waits for
+    this.historicalStability = 100; // Average section stability at lock time (shown when a section locks)
+    this.historyStructure = null; // Analysis of the locked history (stability/historyStructure.js)
+    this.lockedSectionCount = 0;
+    this.rawSectionStability = 100;
+
+    // Auto-lock
+    this.autoLockEnabled = options.autoLockEnabled !== undefined ? options.autoLockEnabled : autoLock.enabled;
+    this.autoLockThreshold = autoLock.threshold; // Number of blocks from the top to trigger auto-lock
+    this.autoLockCountdown = autoLock.countdown; // Seconds before auto-locking
+    this.autoLockRemaining = null; // Milliseconds left on a running countdown
+
+    this.buildFoundation();
   }
-  
+
   // Helper methods for state manipulation
   resetBoard() {
-    this.board = Array.from({ length: BOARD_HEIGHT }, () => Array(BOARD_WIDTH).fill(0));
+    const { width, height } = this.rules.board;
+    this.board = Array.from({ length: height }, () => Array(width).fill(0));
   }
-  
+
+  // Fill the tower width of the row just above the history section
+  buildFoundation() {
+    const { gutterWidth, towerWidth, cutOffRow } = this.rules.board;
+    for (let x = gutterWidth; x < gutterWidth + towerWidth; x++) {
+      this.board[cutOffRow - 1][x] = 1;
+    }
+  }
+
+  // Add one use of an ability, up to the ruleset's maxStock
   addAbility(ability) {
-    if (!this.abilities.includes(ability)) {
+    const stock = this.abilities.filter(a => a === ability).length;
+    if (stock < this.rules.abilityEconomy.maxStock) {
       this.abilities.push(ability);
     }
     return this.abilities;
   }
-  
+
+  // Remove one use of an ability
   removeAbility(ability) {
-    this.abilities = this.abilities.filter(a => a !== ability);
+    const index = this.abilities.indexOf(ability);
+    if (index !== -1) this.abilities.splice(index, 1);
     return this.abilities;
   }
-  
+
   setLockReady(isReady) {
     this.lockReady = isReady;
     return this.lockReady;
   }
-  
+
   increaseScore(points) {
     this.score += points;
     return this.score;
   }
-  
+
   increaseTowerHeight(amount = 1) {
     this.towerHeight += amount;
     return this.towerHeight;
   }
-  
+
   setActivePiece(piece) {
     this.activePiece = piece;
     return this.activePiece;
   }
-  
+
   // Tower history management
   updateHistoryGrid(newRows) {
-    this.historyGrid = [...newRows, ...this.historyGrid].slice(0, HISTORY_ROWS);
+    this.historyGrid = [...newRows, ...this.historyGrid].slice(0, this.rules.board.historyRows);
     return this.historyGrid;
   }
-  
+
   // Board state queries
   isCellOccupied(x, y) {
-    if (y >= BUFFER_ROWS + VISIBLE_ROWS) {
-      const historyY = y - (BUFFER_ROWS + VISIBLE_ROWS);
+    const { cutOffRow } = this.rules.board;
+    if (y >= cutOffRow) {
+      const historyY = y - cutOffRow;
       return Boolean(this.historyGrid[historyY]?.[x]);
     } else {
       return Boolean(this.board[y]?.[x]);
     }
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,67 @@
+// utils/targeting.js
+// Who our abilities hit when the room has several opponents. The player
+// cycles the target mode from the sidebar or the Target Mode key, or clicks
+// an opponent's mini-tower to target that player. The target is resolved
+// from each opponent's latest adjacentTowerUpdate when an ability is used,
+// and the mode goes along in the useAbility message (abilityMessages.js) so
+// the server can resolve it again with its own data.
+import { createRng } from "./randomizer.js";
+import { TARGET_MODES } from "./abilityMessages.js";
+
+export const TARGET_MODE_LABELS = {
+  leader: "Leader",
+  weakest: "Weakest",
+  random: "Random",
+  specific: "Player",
+};
+
+export function createTargeting(mode = "leader") {
+  return { mode, playerId: null };
+}
+
+// Switch to the next mode. "specific" is skipped until a player was clicked.
+export function cycleTargetMode(targeting) {
+  const modes = TARGET_MODES.filter(mode => mode !== "specific" || targeting.playerId !== null);
+  targeting.mode = modes[(modes.indexOf(targeting.mode) + 1) % modes.length];
+  return targeting;
+}
+
+// Target one opponent
+export function selectTarget(targeting, playerId) {
+  targeting.mode = "specific";
+  targeting.playerId = playerId;
+  return targeting;
+}
+
+/**
+ * Resolve the target mode to an opponent
+ * @param {Object} targeting - { mode, playerId }
+ * @param {Object} opponents - Latest { towerHeight, instability } per player id
+ * @param {number} seed - The ability's seed (picks the random target)
+ * @returns {string|null} The target's player id, null when no opponent fits (the server picks one)
+ */
+export function resolveTarget(targeting, opponents, seed) {
+  // Sorted so ties and random picks don't depend on the order updates came in
+  const ids = Object.keys(opponents).sort();
+  if (ids.length === 0) return null;
+
+  const height = id => opponents[id].towerHeight || 0;
+  const instability = id => opponents[id].instability || 0;
+
+  switch (targeting.mode) {
+    case "leader": // Tallest tower, the steadier one on a tie
+      return pickFirst(ids, (a, b) => height(b) - height(a) || instability(a) - instability(b));
+    case "weakest": // Most unstable tower, the shorter one on a tie
+      return pickFirst(ids, (a, b) => instability(b) - instability(a) || height(a) - height(b));
+    case "random":
+      return ids[Math.floor(createRng(`${seed}:target`)() * ids.length)];
+    case "specific":
+      return ids.includes(targeting.playerId) ? targeting.playerId : null;
+    default:
+      return null;
+  }
+}
+
+function pickFirst(ids, compare) {
+  return ids.reduce((best, id) => (compare(id, best) < 0 ? id : best));
+}
@@ -7,25 +7,51 @@ export function rotateTetromino(shape) {
   return shape[0].map((_, i) => shape.map(row => row[i]).reverse());
 }
 
+// Rotate a shape by a number of clockwise quarter turns (-1 is counter-clockwise)
+export function rotateShape(shape, turns) {
+  let rotated = shape;
+  for (let i = 0; i < ((turns % 4) + 4) % 4; i++) {
+    rotated = rotateTetromino(rotated);
+  }
+  return rotated;
+}
+
+// Strip empty rows and columns so padded rotation boxes render compactly
+export function trimShape(shape) {
+  const rows = shape.filter(row => row.some(cell => cell));
+  const cols = rows[0].map((_, i) => i).filter(i => rows.some(row => row[i]));
+  return rows.map(row => cols.map(i => row[i]));
+}
+
+// Get the kick table for a piece type from a rotation system, including
+// 180 degree kicks when the system defines them
+export function getKickTable(rotationSystem, pieceType) {
+  const kicks = rotationSystem.kicks[pieceType] || rotationSystem.kicks.default;
+  if (!rotationSystem.kicks180 || pieceType === "O") return kicks;
+  return { ...rotationSystem.kicks180, ...kicks };
+}
+
 // Calculate the ghost piece position (the place where piece would land)
-export function calculateGhostPosition(scene, activePiece) {
+export function calculateGhostPosition(state, activePiece) {
   if (!activePiece) return null;
   
   const { shape, x } = activePiece;
   let ghostY = activePiece.y;
   
-  while (!checkCollisionAt(scene, x, ghostY + 1, shape)) {
+  while (!checkCollisionAt(state, x, ghostY + 1, shape)) {
     ghostY++;
   }
   
-  return { x, y: ghostY, shape };
+  return { x, y: ghostY, shape, type: activePiece.type };
 }
 
 // Get spawn position for a tetromino shape
 export function getSpawnPosition(shape, gutterWidth = GUTTER_WIDTH, towerWidth = TOWER_WIDTH, bufferRows = BUFFER_ROWS) {
+  // Large rotation boxes may stick out above the board, their blocks may not
+  const firstFilledRow = shape.findIndex(row => row.some(cell => cell));
   return {
     x: gutterWidth + Math.floor((towerWidth - shape[0].length) / 2),
-    y: bufferRows - shape.length
+    y: Math.max(bufferRows - shape.length, -firstFilledRow)
   };
 }
 
@@ -47,23 +73,27 @@ export function renderBlocks(scene, x, y, shape, spriteKey = "block", alpha = 1)
   return blocks;
 }
 
-// Try to apply rotation with wall kicks
-export function tryRotation(scene, piece, kicks) {
+// Try to apply rotation with wall kicks. `turns` is 1 for clockwise,
+// -1 for counter-clockwise and 2 for a 180 degree rotation.
+export function tryRotation(state, piece, kicks, turns = 1) {
   const oldShape = piece.shape;
-  const rotated = rotateTetromino(oldShape);
+  const rotated = rotateShape(oldShape, turns);
   const oldRotation = piece.rotationIndex;
-  const newRotation = (oldRotation + 1) % 4;
+  const newRotation = (((oldRotation + turns) % 4) + 4) % 4;
   const kickData = kicks[`${oldRotation}>${newRotation}`] || [[0, 0]];
   const oldX = piece.x;
   const oldY = piece.y;
 
-  for (const [dx, dy] of kickData) {
+  for (let index = 0; index < kickData.length; index++) {
+    const [dx, dy] = kickData[index];
     piece.shape = rotated;
     piece.x = oldX + dx;
     piece.y = oldY + dy;
     
-    if (!checkCollisionAt(scene, piece.x, piece.y, piece.shape)) {
+    if (!checkCollisionAt(state, piece.x, piece.y, piece.shape)) {
       piece.rotationIndex = newRotation;
+      // Remember the kick that was applied (used for T-spin detection)
+      piece.lastKick = { index, dx, dy, turns };
       return true; // Rotation successful
     }
   }
@@ -84,6 +114,6 @@ export function clonePiece(piece) {
     y: piece.y,
     type: piece.type,
     rotationIndex: piece.rotationIndex,
-    blocks: [] // Blocks aren't cloned since they're visual elements
+    lastKick: piece.lastKick ? { ...piece.lastKick } : null
   };
 }
\ No newline at end of file
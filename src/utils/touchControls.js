@@ -0,0 +1,188 @@
+// utils/touchControls.js
+// Touch gameplay: swipe left/right to move, tap to rotate, flick down to hard
+// drop (drag down slowly to soft drop) and flick up to hold. Gestures only
+// start on the board, so camera drags from the sidebar (responsiveGame.js)
+// and the on-screen buttons never move the piece by accident.
+import { GRID_SIZE } from "./constants.js";
+import { createTextStyle } from "./uiHelpers.js";
+
+// Distances in pixels, times in milliseconds, speed in pixels per millisecond
+export const TOUCH_SETTINGS = {
+  step: GRID_SIZE * 1.5, // Drag distance per column moved or row soft dropped
+  tapSlop: 10, // Movement allowed before a touch stops being a tap
+  tapTime: 250,
+  flickDistance: 60,
+  flickSpeed: 0.6,
+};
+
+// On-screen buttons for actions that have no gesture
+const OVERLAY_BUTTONS = [
+  { action: "windGust", label: "Wind" },
+  { action: "earthShake", label: "Shake" },
+  { action: "gravityWell", label: "Gravity" },
+  { action: "wobbleCurse", label: "Wobble" },
+  { action: "shield", label: "Shield" },
+  { action: "reinforce", label: "Reinforce" },
+  { action: "counterAttack", label: "Counter" },
+  { action: "lockSection", label: "LOCK" },
+  { action: "hold", label: "HOLD" },
+];
+
+// Turn one pointer's movement into bound action names. Each gesture locks to
+// the axis it first moves along, so diagonal swipes don't both move and drop.
+export function createGestureRecognizer(settings = {}) {
+  const options = { ...TOUCH_SETTINGS, ...settings };
+  let gesture = null;
+
+  function start(x, y, time) {
+    gesture = { startX: x, startY: y, lastX: x, lastY: y, startTime: time, axis: null };
+  }
+
+  function move(x, y) {
+    if (!gesture) return [];
+
+    const dx = x - gesture.startX;
+    const dy = y - gesture.startY;
+    if (!gesture.axis) {
+      if (Math.max(Math.abs(dx), Math.abs(dy)) < options.tapSlop) return [];
+      gesture.axis = Math.abs(dx) > Math.abs(dy) ? "x" : "y";
+    }
+
+    const actions = [];
+    if (gesture.axis === "x") {
+      while (x - gesture.lastX >= options.step) {
+        actions.push("moveRight");
+        gesture.lastX += options.step;
+      }
+      while (gesture.lastX - x >= options.step) {
+        actions.push("moveLeft");
+        gesture.lastX -= options.step;
+      }
+    } else {
+      while (y - gesture.lastY >= options.step) {
+        actions.push("softDrop");
+        gesture.lastY += options.step;
+      }
+    }
+    return actions;
+  }
+
+  function end(x, y, time) {
+    const ended = gesture;
+    gesture = null;
+    if (!ended) return [];
+
+    const dx = x - ended.startX;
+    const dy = y - ended.startY;
+    const duration = Math.max(1, time - ended.startTime);
+
+    // A quick flick may end before any move event arrives
+    const axis = ended.axis || (Math.max(Math.abs(dx), Math.abs(dy)) < options.tapSlop
+      ? null
+      : Math.abs(dx) > Math.abs(dy) ? "x" : "y");
+
+    if (!axis) {
+      return duration <= options.tapTime ? ["rotateCW"] : [];
+    }
+    if (axis === "y" && Math.abs(dy) >= options.flickDistance && Math.abs(dy) / duration >= options.flickSpeed) {
+      return [dy > 0 ? "hardDrop" : "hold"];
+    }
+    return [];
+  }
+
+  // Drop the current gesture (e.g. when a second finger starts a pinch)
+  function cancel() {
+    gesture = null;
+  }
+
+  return { start, move, end, cancel };
+}
+
+// True when a pointer belongs to gameplay gestures rather than camera drags
+export function isGameplayPointer(scene, pointer) {
+  return Boolean(scene.touchControlsEnabled && pointer.wasTouch && pointer.worldX < GRID_SIZE * scene.state.rules.board.width);
+}
+
+// Wire gestures and the optional button overlay to the scene's bound actions
+export function setupTouchGameplay(scene) {
+  const recognizer = createGestureRecognizer();
+  let activePointerId = null;
+  const perform = actions => actions.forEach(action => {
+    scene.pressAction(action);
+    scene.releaseAction(action);
+  });
+
+  scene.touchControlsEnabled = true;
+  scene.input.addPointer(1); // Second finger for pinch zoom
+
+  scene.input.on('pointerdown', (pointer, over) => {
+    // A second finger means a pinch, not a swipe
+    if (activePointerId !== null) {
+      recognizer.cancel();
+      activePointerId = null;
+      return;
+    }
+    if (over.length > 0 || !isGameplayPointer(scene, pointer)) return;
+    if (scene.controlsMenu && scene.controlsMenu.isOpen) return;
+
+    activePointerId = pointer.id;
+    recognizer.start(pointer.x, pointer.y, pointer.downTime);
+  });
+
+  scene.input.on('pointermove', (pointer) => {
+    if (pointer.id !== activePointerId) return;
+    perform(recognizer.move(pointer.x, pointer.y));
+  });
+
+  scene.input.on('pointerup', (pointer) => {
+    if (pointer.id !== activePointerId) return;
+    activePointerId = null;
+    perform(recognizer.end(pointer.x, pointer.y, pointer.upTime));
+  });
+
+  createTouchOverlay(scene);
+}
+
+// Buttons for abilities, section lock and hold in the sidebar, shown by
+// default on touch devices and toggled from the sidebar
+function createTouchOverlay(scene) {
+  const left = GRID_SIZE * scene.state.rules.board.width + 10;
+  const top = 620;
+  const buttons = scene.add.group();
+
+  OVERLAY_BUTTONS.forEach(({ action, label }, index) => {
+    const x = left + (index % 2) * 92;
+    const y = top + Math.floor(index / 2) * 44;
+
+    const button = scene.add.rectangle(x, y, 86, 38, 0x444444)
+      .setOrigin(0, 0)
+      .setStrokeStyle(1, 0x888888)
+      .setInteractive();
+    const text = scene.add.text(x + 43, y + 19, label, { fontSize: "14px", fill: "#fff" }).setOrigin(0.5);
+
+    button.on('pointerdown', () => {
+      button.setFillStyle(0x666666);
+      scene.pressAction(action);
+    });
+    const release = () => {
+      button.setFillStyle(0x444444);
+      scene.releaseAction(action);
+    };
+    button.on('pointerup', release);
+    button.on('pointerout', release);
+
+    buttons.addMultiple([button, text]);
+  });
+
+  const setVisible = visible => {
+    buttons.setVisible(visible);
+    buttons.getChildren().forEach(child => {
+      if (child.input) child.input.enabled = visible;
+    });
+    toggle.setText(`Touch Buttons: ${visible ? 'ON' : 'OFF'}`);
+  };
+
+  const toggle = scene.add.text(left, 590, "", createTextStyle()).setInteractive();
+  toggle.on('pointerdown', () => setVisible(!buttons.getChildren()[0].visible));
+  setVisible('ontouchstart' in window);
+}
@@ -1,10 +1,163 @@
 // utils/ui.js
-import { formatAbilityList, updateText } from "./uiHelpers.js";
+import { updateText } from "./uiHelpers.js";
+import { getKeyLabel } from "./controls.js";
+import { GRID_SIZE } from "./constants.js";
+import { ABILITIES, isAbilityActive } from "./abilities.js";
+import { ABILITY_TYPES } from "./abilityMessages.js";
+import { DEFENSIVE_ABILITY_TYPES, getPendingStrength } from "./defenses.js";
+import { PLAYER_ABILITIES, getStock } from "./abilityEconomy.js";
+import { TARGET_MODE_LABELS } from "./targeting.js";
 
-export function updateAbilityText(scene) {
-  updateText(scene.abilityText, formatAbilityList(scene.abilities), "Abilities: ");
+// Abilities whose lasting effect tints the tower while it runs
+const OVERLAY_ABILITIES = ["gravityWell", "wobbleCurse", "shield", "counterAttack"];
+
+// Ability bar slots in the sidebar, attacking abilities in the first row and
+// defensive ones in the second, both rows as wide as the sidebar
+const BAR_WIDTH = 178;
+const SLOT_HEIGHT = 14;
+const SLOT_GAP = 2;
+const SLOT_ROWS = [ABILITY_TYPES, DEFENSIVE_ABILITY_TYPES];
+const SLOT_LABELS = {
+  windGust: "WIND",
+  earthShake: "SHAK",
+  gravityWell: "GRAV",
+  wobbleCurse: "WOBL",
+  shield: "SHLD",
+  reinforce: "RNFC",
+  counterAttack: "CNTR",
+};
+
+// Attack meter beside the tower: height per point of pending attack strength
+const METER_WIDTH = 4;
+const METER_SCALE = 4;
+
+// Create the ability bar: a slot per ability with its key, the uses held and
+// a shade that drains as the cooldown runs out. Clicking a slot uses it.
+export function createAbilityBar(scene) {
+  const left = GRID_SIZE * scene.state.rules.board.width + 10;
+  scene.abilityBar = scene.add.container(left, 38);
+  scene.abilitySlots = {};
+
+  SLOT_ROWS.forEach((abilities, row) => {
+    const width = (BAR_WIDTH - SLOT_GAP * (abilities.length - 1)) / abilities.length;
+    const y = row * (SLOT_HEIGHT + SLOT_GAP);
+
+    abilities.forEach((ability, index) => {
+      const x = index * (width + SLOT_GAP);
+      const background = scene.add.rectangle(x, y, width, SLOT_HEIGHT, ABILITIES[ability].tint)
+        .setOrigin(0, 0)
+        .setInteractive();
+      const cooldown = scene.add.rectangle(x, y + SLOT_HEIGHT, width, 0, 0x000000, 0.6).setOrigin(0, 1);
+      const info = scene.add.text(x + width / 2, y + SLOT_HEIGHT / 2, "", {
+        fontSize: "8px",
+        fill: "#000",
+        fontStyle: "bold"
+      }).setOrigin(0.5);
+
+      background.on('pointerdown', () => scene.pressAction(ability));
+
+      scene.abilityBar.add([background, cooldown, info]);
+      scene.abilitySlots[ability] = { background, cooldown, info };
+    });
+  });
+}
+
+// Refresh the slots: bright when usable, dim while not held, cooling down
+// or short of charge
+export function updateAbilityBar(scene) {
+  if (!scene.abilitySlots) return;
+  const { state } = scene;
+
+  PLAYER_ABILITIES.forEach(ability => {
+    const { background, cooldown, info } = scene.abilitySlots[ability];
+    const stock = getStock(state, ability);
+    const remaining = state.abilityCooldowns[ability] || 0;
+    const duration = state.rules.abilityCooldowns[ability];
+    const usable = stock > 0 && remaining === 0 && state.chargeLevel >= state.rules.abilityCosts[ability];
+
+    background.setAlpha(usable ? 1 : stock > 0 ? 0.6 : 0.25);
+    // setSize keeps the bottom origin, so the shade drains down inside the slot
+    cooldown.setSize(cooldown.width, duration > 0 ? SLOT_HEIGHT * (remaining / duration) : 0);
+    info.setText(`${getKeyLabel(scene.bindings, ability)} ${SLOT_LABELS[ability]} ${stock}`);
+  });
+}
+
+// Show the target mode, or the picked opponent in "specific" mode
+export function updateTargetText(scene) {
+  if (!scene.targetText) return;
+  const { mode, playerId } = scene.targeting;
+  const label = mode === "specific" ? playerId : TARGET_MODE_LABELS[mode];
+  updateText(scene.targetText, `${label} (${getKeyLabel(scene.bindings, "cycleTarget")})`, "Target: ");
 }
 
 export function updateSidebarText(scene) {
-  updateText(scene.lockStatusText, scene.lockReady ? "Ready (L)" : "Charging...", "Lock: ");
-}
\ No newline at end of file
+  const lockKey = getKeyLabel(scene.bindings, "lockSection");
+  updateText(scene.lockStatusText, scene.state.lockReady ? `Ready (${lockKey})` : "Charging...", "Lock: ");
+  updateText(scene.holdLabel, `Hold (${getKeyLabel(scene.bindings, "hold")}):`);
+  updateAbilityBar(scene);
+  updateTargetText(scene);
+}
+
+// Show (or update) the auto-lock countdown warning
+export function showAutoLockWarning(scene, remaining) {
+  if (!scene.autoLockWarning) {
+    scene.autoLockWarning = scene.add.text(
+      scene.game.config.width / 2, 
+      100, 
+      `AUTO-LOCK IN ${remaining}`, 
+      { fontSize: '24px', fill: '#ff0000', fontStyle: 'bold' }
+    ).setOrigin(0.5);
+  } else {
+    updateText(scene.autoLockWarning, remaining, "AUTO-LOCK IN ");
+    scene.autoLockWarning.setVisible(true);
+  }
+}
+
+// Hide the auto-lock countdown warning
+export function hideAutoLockWarning(scene) {
+  if (scene.autoLockWarning) {
+    scene.autoLockWarning.setVisible(false);
+  }
+}
+
+// Show a tint over the tower for every lasting ability in effect
+export function updateAbilityOverlays(scene) {
+  const { gutterWidth, towerWidth, cutOffRow } = scene.state.rules.board;
+
+  OVERLAY_ABILITIES.forEach(ability => {
+    const active = isAbilityActive(scene.state, ability);
+    if (active && !scene.abilityOverlays[ability]) {
+      scene.abilityOverlays[ability] = scene.add.rectangle(
+        gutterWidth * GRID_SIZE,
+        0,
+        towerWidth * GRID_SIZE,
+        cutOffRow * GRID_SIZE,
+        ABILITIES[ability].tint,
+        0.12
+      ).setOrigin(0).setDepth(5);
+    }
+    if (scene.abilityOverlays[ability]) {
+      scene.abilityOverlays[ability].setVisible(active);
+    }
+  });
+}
+
+// Draw the strength of the attacks waiting to land as a bar growing up the
+// tower's left edge, red once one of them is about to land
+export function updateAttackMeter(scene) {
+  const { pendingAttacks, rules } = scene.state;
+  const { gutterWidth, cutOffRow } = rules.board;
+  const bottom = cutOffRow * GRID_SIZE;
+
+  if (!scene.attackMeter) {
+    scene.attackMeter = scene.add.rectangle(gutterWidth * GRID_SIZE, bottom, METER_WIDTH, 0, 0xffaa00)
+      .setOrigin(0, 1)
+      .setDepth(6);
+  }
+
+  const strength = getPendingStrength(scene.state);
+  const landing = pendingAttacks.some(attack => attack.remaining <= 1000);
+  scene.attackMeter.setSize(METER_WIDTH, Math.min(bottom, strength * METER_SCALE));
+  scene.attackMeter.setFillStyle(landing ? 0xff0000 : 0xffaa00);
+  scene.attackMeter.setVisible(strength > 0);
+}
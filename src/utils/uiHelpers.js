@@ -24,8 +24,3 @@ export function createShadedRect(scene, x, y, width, height, color = 0xffffff, a
     .setOrigin(0, 0)
     .setAlpha(alpha);
 }
-
-// Format ability list for display
-export function formatAbilityList(abilities) {
-  return abilities.length > 0 ? abilities.join(", ") : "none";
-}
\ No newline at end of file